@@ -0,0 +1,209 @@
+import connectionPool from "../utils/db.mjs";
+import config from "../utils/config.mjs";
+import { getReputation } from "../utils/reputation.mjs";
+import { HttpError } from "../utils/errors.mjs";
+import { authenticate } from "./protect.mjs";
+
+// Throws unless the user wrote the question. Questions in the trash count as
+// missing.
+export const assertQuestionAuthor = async (questionId, userId) => {
+  const results = await connectionPool.query(
+    `
+      select author_id from questions where id = $1 and deleted_at is null`,
+    [questionId]
+  );
+  if (results.rowCount === 0) {
+    throw new HttpError(404, "NOT_FOUND", "Question not found.");
+  }
+  if (results.rows[0].author_id !== userId) {
+    throw new HttpError(
+      403,
+      "FORBIDDEN",
+      "You are not the author of this question."
+    );
+  }
+};
+
+// Throws unless the user wrote the answer. Answers in the trash, or whose
+// question is, count as missing.
+export const assertAnswerAuthor = async (answerId, userId) => {
+  const results = await connectionPool.query(
+    `
+      select answers.author_id from answers inner join questions
+      on questions.id = answers.question_id
+      where answers.id = $1
+      and answers.deleted_at is null and questions.deleted_at is null`,
+    [answerId]
+  );
+  if (results.rowCount === 0) {
+    throw new HttpError(404, "NOT_FOUND", "Answer not found.");
+  }
+  if (results.rows[0].author_id !== userId) {
+    throw new HttpError(
+      403,
+      "FORBIDDEN",
+      "You are not the author of this answer."
+    );
+  }
+};
+
+// Runs after protect: only the author of the question may continue.
+export const checkQuestionAuthor = async (req, res, next) => {
+  try {
+    await assertQuestionAuthor(req.params.id, req.user.id);
+  } catch (error) {
+    return next(error);
+  }
+  next();
+};
+
+// Runs after protect: only the author of the answer may continue.
+export const checkAnswerAuthor = async (req, res, next) => {
+  try {
+    await assertAnswerAuthor(req.params.id, req.user.id);
+  } catch (error) {
+    return next(error);
+  }
+  next();
+};
+
+// Runs after protect: only the author of the comment may continue. Comments on
+// something in the trash count as missing.
+export const checkCommentAuthor = async (req, res, next) => {
+  let results;
+  try {
+    results = await connectionPool.query(
+      `
+        select comments.author_id from comments
+        left join answers on answers.id = comments.answer_id
+        inner join questions
+        on questions.id = coalesce(comments.question_id, answers.question_id)
+        where comments.id = $1
+        and answers.deleted_at is null and questions.deleted_at is null`,
+      [req.params.id]
+    );
+  } catch (error) {
+    return next(error);
+  }
+  if (results.rowCount === 0) {
+    return res.status(404).json({
+      message: "Comment not found.",
+      code: "NOT_FOUND",
+    });
+  }
+  if (results.rows[0].author_id !== req.user.id) {
+    return res.status(403).json({
+      message: "You are not the author of this comment.",
+      code: "FORBIDDEN",
+    });
+  }
+  next();
+};
+
+// Runs after protect: only users with one of the given roles may continue. The
+// role is read from the database, so a promotion or demotion applies at once.
+export const requireRole =
+  (...roles) =>
+  async (req, res, next) => {
+    let results;
+    try {
+      results = await connectionPool.query(
+        `
+        select role from users where id = $1`,
+        [req.user.id]
+      );
+    } catch (error) {
+      return next(error);
+    }
+    if (results.rowCount === 0 || !roles.includes(results.rows[0].role)) {
+      return res.status(403).json({
+        message: "You do not have permission to do this.",
+        code: "FORBIDDEN",
+      });
+    }
+    req.user.role = results.rows[0].role;
+    next();
+  };
+
+// Throws unless the user has the reputation configured for the privilege in
+// config.reputation.privileges. Moderators and admins have every privilege.
+export const assertReputation = async (userId, privilege) => {
+  const required = config.reputation.privileges[privilege];
+  const results = await connectionPool.query(
+    `
+      select role from users where id = $1`,
+    [userId]
+  );
+  if (["moderator", "admin"].includes(results.rows[0]?.role)) {
+    return;
+  }
+  const reputation = await getReputation(userId);
+  if (reputation < required) {
+    throw new HttpError(
+      403,
+      "FORBIDDEN",
+      `You need at least ${required} reputation to ${privilege}.`
+    );
+  }
+};
+
+// Runs after protect: only users with the reputation for the privilege may
+// continue.
+export const requireReputation = (privilege) => async (req, res, next) => {
+  try {
+    await assertReputation(req.user.id, privilege);
+  } catch (error) {
+    return next(error);
+  }
+  next();
+};
+
+// For read routes that work signed out: the id of the user of the Authorization
+// header, or null without a valid access token.
+export const signedInUserId = (authorization) => {
+  try {
+    return authenticate(authorization).id;
+  } catch {
+    return null;
+  }
+};
+
+const findUserRole = async (userId) => {
+  if (userId === null) {
+    return null;
+  }
+  const results = await connectionPool.query(
+    `
+      select id, role from users where id = $1`,
+    [userId]
+  );
+  return results.rows[0] ?? null;
+};
+
+// The id and role of the user of the Authorization header, or null without a
+// valid access token.
+export const findViewer = (authorization) =>
+  findUserRole(signedInUserId(authorization));
+
+// Content hidden by flags or moderators is only shown to its author and to
+// moderators and admins; viewer comes from findViewer.
+export const canSeeHidden = (viewer, authorId) =>
+  viewer !== null &&
+  (viewer.id === authorId || ["moderator", "admin"].includes(viewer.role));
+
+// Whether the viewer may see a row of visibleQuestion or visibleAnswer (see
+// utils/trash.mjs). The answers of a hidden question are hidden with it.
+export const canSeeContent = (viewer, row) =>
+  (!row.hidden_at || canSeeHidden(viewer, row.author_id)) &&
+  (!row.question_hidden_at || canSeeHidden(viewer, row.question_author_id));
+
+// Throws the 404 of a missing row unless the user with userId (null when
+// signed out) may see it. The role is only read for hidden content.
+export const assertCanSee = async (userId, row, notFound) => {
+  if (!row.hidden_at && !row.question_hidden_at) {
+    return;
+  }
+  if (!canSeeContent(await findUserRole(userId), row)) {
+    throw new HttpError(404, "NOT_FOUND", notFound);
+  }
+};
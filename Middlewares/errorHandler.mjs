@@ -0,0 +1,45 @@
+import { HttpError, fromDatabaseError } from "../utils/errors.mjs";
+
+export const notFoundHandler = (req, res) => {
+  return res.status(404).json({
+    message: `Cannot ${req.method} ${req.path}.`,
+    code: "ROUTE_NOT_FOUND",
+  });
+};
+
+// Registered after every router: turns errors passed to next() into a JSON
+// response with a stable code, and logs the original error.
+export const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) {
+    return next(error);
+  }
+  let httpError = error instanceof HttpError ? error : fromDatabaseError(error);
+  if (!httpError && error.type === "entity.parse.failed") {
+    httpError = new HttpError(
+      400,
+      "INVALID_JSON",
+      "Request body is not valid JSON."
+    );
+  }
+  if (!httpError && error.type === "entity.too.large") {
+    httpError = new HttpError(
+      413,
+      "PAYLOAD_TOO_LARGE",
+      "Request body is too large."
+    );
+  }
+  if (!httpError) {
+    httpError = new HttpError(500, "INTERNAL_ERROR", "Internal server error.");
+  }
+  if (httpError.status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, error);
+  } else if (httpError !== error) {
+    console.warn(
+      `${req.method} ${req.originalUrl} rejected (${httpError.code}): ${error.message}`
+    );
+  }
+  return res.status(httpError.status).json({
+    message: httpError.message,
+    code: httpError.code,
+  });
+};
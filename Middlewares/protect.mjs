@@ -0,0 +1,24 @@
+import { verifyAccessToken } from "../utils/token.mjs";
+import { HttpError } from "../utils/errors.mjs";
+
+// Returns the user of an Authorization header holding a valid access token.
+export const authenticate = (authorization) => {
+  if (!authorization || !authorization.startsWith("Bearer ")) {
+    throw new HttpError(401, "UNAUTHORIZED", "Token has invalid format.");
+  }
+  const token = authorization.split(" ")[1];
+  try {
+    return verifyAccessToken(token);
+  } catch {
+    throw new HttpError(401, "UNAUTHORIZED", "Token is invalid or expired.");
+  }
+};
+
+export const protect = (req, res, next) => {
+  try {
+    req.user = authenticate(req.headers.authorization);
+  } catch (error) {
+    return next(error);
+  }
+  next();
+};
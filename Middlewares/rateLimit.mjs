@@ -0,0 +1,82 @@
+import config from "../utils/config.mjs";
+import { createMemoryStore, createPostgresStore } from "../utils/rateLimit.mjs";
+import { HttpError } from "../utils/errors.mjs";
+
+const stores = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore,
+};
+
+export const rateLimitStore = stores[config.rateLimit.store]();
+
+// Counts the request against the budgets of the route in config.rateLimit.routes,
+// one for the client IP and one for req.user, and throws once either is used up.
+// The RateLimit-* headers describe the budget closest to running out.
+export const checkRateLimit = async (
+  route,
+  req,
+  res,
+  store = rateLimitStore
+) => {
+  const { windowMs, routes } = config.rateLimit;
+  const { perIp, perUser } = routes[route];
+  const budgets = [];
+  if (perIp > 0) {
+    budgets.push({ key: `${route}:ip:${req.ip}`, limit: perIp });
+  }
+  if (perUser > 0 && req.user) {
+    budgets.push({ key: `${route}:user:${req.user.id}`, limit: perUser });
+  }
+  if (budgets.length === 0) {
+    return;
+  }
+  const counted = await Promise.all(
+    budgets.map(async (budget) => ({
+      ...budget,
+      ...(await store.increment(budget.key, windowMs)),
+    }))
+  );
+  const exceeded = counted.filter((budget) => budget.count > budget.limit);
+  // Once a budget is used up the client has to wait until every used up one
+  // resets; until then the headers show the one closest to running out.
+  const tightest =
+    exceeded.length > 0
+      ? exceeded.reduce((latest, budget) =>
+          budget.resetAt > latest.resetAt ? budget : latest
+        )
+      : counted.reduce((closest, budget) =>
+          budget.limit - budget.count < closest.limit - closest.count
+            ? budget
+            : closest
+        );
+  const resetSeconds = Math.max(
+    Math.ceil((tightest.resetAt.getTime() - Date.now()) / 1000),
+    0
+  );
+  res.set({
+    "RateLimit-Policy": `${tightest.limit};w=${Math.ceil(windowMs / 1000)}`,
+    "RateLimit-Limit": String(tightest.limit),
+    "RateLimit-Remaining": String(Math.max(tightest.limit - tightest.count, 0)),
+    "RateLimit-Reset": String(resetSeconds),
+  });
+  if (exceeded.length > 0) {
+    res.set("Retry-After", String(resetSeconds));
+    throw new HttpError(
+      429,
+      "RATE_LIMITED",
+      `Too many requests. Try again in ${resetSeconds} seconds.`
+    );
+  }
+};
+
+// Runs after protect and applies checkRateLimit to the route.
+export const rateLimit =
+  (route, store = rateLimitStore) =>
+  async (req, res, next) => {
+    try {
+      await checkRateLimit(route, req, res, store);
+    } catch (error) {
+      return next(error);
+    }
+    next();
+  };
@@ -0,0 +1,107 @@
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import { decodeCursor } from "../utils/pagination.mjs";
+import { NOT_BLANK, TAG_PATTERN, TAG_LIST_PATTERN } from "../utils/schemas.mjs";
+
+// Bodies are JSON, so their types are checked as sent: a numeric title is an error.
+// Path and query values always arrive as strings and are converted first.
+const createAjv = (options) => {
+  const ajv = new Ajv({ allErrors: true, ...options });
+  addFormats(ajv, ["email", "date-time"]);
+  ajv.addFormat("cursor", (value) => decodeCursor(value) !== null);
+  ajv.addVocabulary(["example"]);
+  return ajv;
+};
+
+const bodyAjv = createAjv();
+const stringAjv = createAjv({ coerceTypes: true });
+
+const ruleMessages = {
+  required: (field) => `${field} is required.`,
+  type: (field, params) => `${field} must be ${withArticle(params.type)}.`,
+  minLength: (field, params) =>
+    params.limit === 1
+      ? `${field} must not be empty.`
+      : `${field} must be at least ${params.limit} characters.`,
+  maxLength: (field, params) =>
+    `${field} must be at most ${params.limit} characters.`,
+  minimum: (field, params) => `${field} must be at least ${params.limit}.`,
+  maximum: (field, params) => `${field} must be at most ${params.limit}.`,
+  enum: (field, params) =>
+    `${field} must be one of ${params.allowedValues.join(", ")}.`,
+  pattern: (field, params) => {
+    if (params.pattern === NOT_BLANK) {
+      return `${field} must not be blank.`;
+    }
+    if (params.pattern === TAG_PATTERN || params.pattern === TAG_LIST_PATTERN) {
+      return `${field} may only contain letters, digits, spaces and + # . - characters.`;
+    }
+    return `${field} has an invalid format.`;
+  },
+  format: (field, params) => `${field} must be a valid ${params.format}.`,
+  additionalProperties: (field) => `${field} is not allowed.`,
+  minProperties: (field) => `${field} must not be empty.`,
+};
+
+const withArticle = (type) =>
+  /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+
+// Turns an Ajv error into { field, rule, message }, e.g.
+// { field: "body.title", rule: "type", message: "title must be a string." }
+const toFieldError = (location, error) => {
+  const path = error.instancePath.split("/").filter(Boolean);
+  if (error.keyword === "required") {
+    path.push(error.params.missingProperty);
+  }
+  if (error.keyword === "additionalProperties") {
+    path.push(error.params.additionalProperty);
+  }
+  const name = path.join(".") || location;
+  const describe = ruleMessages[error.keyword];
+  return {
+    field: [location, ...path].join("."),
+    rule: error.keyword,
+    message: describe
+      ? describe(name, error.params)
+      : `${name} ${error.message}.`,
+  };
+};
+
+// Checks data that does not come in a request, such as a record of an import
+// file, with the rules of request bodies. Returns the problems found, if any.
+export const createCheck = (location, schema) => {
+  const check = bodyAjv.compile(schema);
+  return (value) =>
+    check(value)
+      ? []
+      : check.errors.map((error) => toFieldError(location, error));
+};
+
+// validate({ params, query, body }) checks each given part of the request against
+// its schema and answers 400 with every problem found, not just the first.
+export const validate = (schemas) => {
+  const validators = Object.entries(schemas).map(([location, schema]) => [
+    location,
+    (location === "body" ? bodyAjv : stringAjv).compile(schema),
+  ]);
+  return (req, res, next) => {
+    const errors = [];
+    for (const [location, check] of validators) {
+      const value = req[location] ?? {};
+      if (!check(value)) {
+        errors.push(
+          ...check.errors.map((error) => toFieldError(location, error))
+        );
+      }
+      req[location] = value;
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: "Missing or invalid request data.",
+        code: "VALIDATION_FAILED",
+        errors,
+      });
+    }
+    next();
+  };
+};
@@ -0,0 +1,5 @@
+import { validate } from "./validate.mjs";
+import { trashQuery, datasetQuery } from "../utils/schemas.mjs";
+
+export const validateTrashQuery = validate({ query: trashQuery });
+export const validateDatasetQuery = validate({ query: datasetQuery });
@@ -1,39 +1,25 @@
-export const validateAnswer = (req,res,next) => {
-    if (!req.body.content) {
-        return res.status(400).json({
-            message: "Missing or invalid request data."
-        })
-    }
-    if (req.body.content.length>300) {
-        return res.status(400).json({
-            message: "Textlength is over 300."
-        })
-    }
-    next()
-}
-export const validateAnswerDownVote = (req,res,next) => {
-    if (!req.body.vote) {
-        return res.status(400).json({
-            message: "Missing or invalid request data."
-        })
-    }
-    if (req.body.vote !== "-1") {
-        return res.status(400).json({
-            message: "Please enter only -1."
-        })
-    }
-    next()
-}
-export const validateAnswerUpVote = (req,res,next) => {
-    if (!req.body.vote) {
-        return res.status(400).json({
-            message: "Missing or invalid request data."
-        })
-    }
-    if (req.body.vote !== "1") {
-        return res.status(400).json({
-            message: "Please enter only 1."
-        })
-    }
-    next()
-}
\ No newline at end of file
+import { validate } from "./validate.mjs";
+import {
+  idParams,
+  revisionParams,
+  revisionListQuery,
+  answerBody,
+  upvoteBody,
+  downvoteBody,
+} from "../utils/schemas.mjs";
+
+export const validateAnswer = validate({ params: idParams, body: answerBody });
+export const validateAnswerId = validate({ params: idParams });
+export const validateAnswerRevision = validate({ params: revisionParams });
+export const validateAnswerRevisions = validate({
+  params: idParams,
+  query: revisionListQuery,
+});
+export const validateAnswerDownVote = validate({
+  params: idParams,
+  body: downvoteBody,
+});
+export const validateAnswerUpVote = validate({
+  params: idParams,
+  body: upvoteBody,
+});
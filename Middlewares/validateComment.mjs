@@ -0,0 +1,12 @@
+import { validate } from "./validate.mjs";
+import { idParams, commentBody, commentUpdateBody } from "../utils/schemas.mjs";
+
+export const validateNewComment = validate({
+  params: idParams,
+  body: commentBody,
+});
+export const validateComment = validate({
+  params: idParams,
+  body: commentUpdateBody,
+});
+export const validateCommentId = validate({ params: idParams });
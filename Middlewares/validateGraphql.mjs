@@ -0,0 +1,4 @@
+import { validate } from "./validate.mjs";
+import { graphqlBody } from "../utils/schemas.mjs";
+
+export const validateGraphqlRequest = validate({ body: graphqlBody });
@@ -0,0 +1,25 @@
+import { validate } from "./validate.mjs";
+import {
+  idParams,
+  flagBody,
+  questionDecisionBody,
+  answerDecisionBody,
+  moderationQueueQuery,
+  moderationDecisionQuery,
+} from "../utils/schemas.mjs";
+
+export const validateFlag = validate({ params: idParams, body: flagBody });
+export const validateQuestionDecision = validate({
+  params: idParams,
+  body: questionDecisionBody,
+});
+export const validateAnswerDecision = validate({
+  params: idParams,
+  body: answerDecisionBody,
+});
+export const validateModerationQueue = validate({
+  query: moderationQueueQuery,
+});
+export const validateDecisionList = validate({
+  query: moderationDecisionQuery,
+});
@@ -0,0 +1,14 @@
+import { validate } from "./validate.mjs";
+import {
+  idParams,
+  notificationListQuery,
+  notificationPreferencesBody,
+} from "../utils/schemas.mjs";
+
+export const validateNotificationList = validate({
+  query: notificationListQuery,
+});
+export const validateNotificationId = validate({ params: idParams });
+export const validateNotificationPreferences = validate({
+  body: notificationPreferencesBody,
+});
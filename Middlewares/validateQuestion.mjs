@@ -1,54 +1,33 @@
-export const validateQuestion = (req, res, next) => {
-  if (!req.body.title) {
-    return res.status(400).json({
-      message: "Missing or invalid request data.",
-    });
-  }
-  if (!req.body.description) {
-    return res.status(400).json({
-      message: "Missing or invalid request data.",
-    });
-  }
-  if (!req.body.category) {
-    return res.status(400).json({
-      message: "Missing or invalid request data.",
-    });
-  }
-  next()
-};
-export const validateQuestionUpVote = (req,res,next) => {
-    if (!req.body.vote) {
-        return res.status(400).json({
-            message: "Missing or invalid request data."
-        })
-    }
-    if (req.body.vote !== "1") {
-        return res.status(400).json({
-            message: "Please enter only 1."
-        })
-    }
-    next()
-}
-export const validateQuestionDownVote = (req,res,next) => {
-    if (!req.body.vote) {
-        return res.status(400).json({
-            message: "Missing or invalid request data."
-        })
-    }
-    if (req.body.vote !== "-1") {
-        return res.status(400).json({
-            message: "Please enter only -1."
-        })
-    }
-    next()
-}
-export const validateQuery = (req,res,next) => {
-  for (let key in req.query) {
-    if (key !== "title" && key !== "category") {
-      return res.status(400).json({
-        message: "Please enter a correct query."
-      })
-    }
-  }
-  next()
-}
\ No newline at end of file
+import { validate } from "./validate.mjs";
+import {
+  idParams,
+  acceptParams,
+  revisionParams,
+  revisionListQuery,
+  questionBody,
+  upvoteBody,
+  downvoteBody,
+  questionListQuery,
+} from "../utils/schemas.mjs";
+
+export const validateQuestion = validate({
+  params: idParams,
+  body: questionBody,
+});
+export const validateNewQuestion = validate({ body: questionBody });
+export const validateQuestionId = validate({ params: idParams });
+export const validateAcceptAnswer = validate({ params: acceptParams });
+export const validateQuestionRevision = validate({ params: revisionParams });
+export const validateQuestionRevisions = validate({
+  params: idParams,
+  query: revisionListQuery,
+});
+export const validateQuestionUpVote = validate({
+  params: idParams,
+  body: upvoteBody,
+});
+export const validateQuestionDownVote = validate({
+  params: idParams,
+  body: downvoteBody,
+});
+export const validateQuery = validate({ query: questionListQuery });
@@ -0,0 +1,4 @@
+import { validate } from "./validate.mjs";
+import { searchQuery } from "../utils/schemas.mjs";
+
+export const validateSearch = validate({ query: searchQuery });
@@ -0,0 +1,8 @@
+import { validate } from "./validate.mjs";
+import { tagListQuery, tagParams, tagAliasBody } from "../utils/schemas.mjs";
+
+export const validateTagList = validate({ query: tagListQuery });
+export const validateTagAlias = validate({
+  params: tagParams,
+  body: tagAliasBody,
+});
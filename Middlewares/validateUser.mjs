@@ -0,0 +1,16 @@
+import { validate } from "./validate.mjs";
+import {
+  idParams,
+  registerBody,
+  loginBody,
+  refreshBody,
+  reputationQuery,
+} from "../utils/schemas.mjs";
+
+export const validateRegister = validate({ body: registerBody });
+export const validateLogin = validate({ body: loginBody });
+export const validateRefresh = validate({ body: refreshBody });
+export const validateReputationHistory = validate({
+  params: idParams,
+  query: reputationQuery,
+});
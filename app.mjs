@@ -1,11 +1,28 @@
 import express from "express";
 import { questionRouter } from "./routes/questions.mjs";
 import { answerRouter } from "./routes/answers.mjs"
+import { authRouter } from "./routes/auth.mjs";
+import { searchRouter } from "./routes/search.mjs";
+import { commentRouter } from "./routes/comments.mjs";
+import { tagRouter } from "./routes/tags.mjs";
+import { adminRouter } from "./routes/admin.mjs";
+import { moderationRouter } from "./routes/moderation.mjs";
+import { userRouter } from "./routes/users.mjs";
+import { notificationRouter } from "./routes/notifications.mjs";
+import { graphqlRouter } from "./routes/graphql.mjs";
 import swaggerJSDoc from "swagger-jsdoc";
 import swaggerUi from "swagger-ui-express"
+import config from "./utils/config.mjs";
+import connectionPool from "./utils/db.mjs";
+import { swaggerSchemas } from "./utils/schemas.mjs";
+import { errorHandler, notFoundHandler } from "./Middlewares/errorHandler.mjs";
+import { startPurgeJob } from "./utils/trash.mjs";
+import { closeStreams } from "./utils/stream.mjs";
+import { fileURLToPath } from "node:url";
 
 const app = express();
-const port = 4000;
+const port = config.port;
+app.set("trust proxy", config.trustProxy);
 const swaggerOptions = {
   definition: {
     openapi: '3.0.0',
@@ -16,9 +33,19 @@ const swaggerOptions = {
     },
     servers: [
       {
-        url: 'http://localhost:4000',
+        url: config.docsUrl,
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+      },
+      schemas: swaggerSchemas,
+    },
   },
   apis: ['./routes/*.mjs'],
 };
@@ -27,13 +54,54 @@ const swaggerSpec = swaggerJSDoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 app.use(express.json());
+app.use("/auth",authRouter)
 app.use("/questions",questionRouter)
 app.use("/answers",answerRouter)
+app.use("/search",searchRouter)
+app.use("/comments",commentRouter)
+app.use("/tags",tagRouter)
+app.use("/admin",adminRouter)
+app.use("/moderation",moderationRouter)
+app.use("/users",userRouter)
+app.use("/notifications",notificationRouter)
+app.use("/graphql",graphqlRouter)
 
 app.get("/test", (req, res) => {
   return res.json("Server API is working 🚀");
 });
 
-app.listen(port, () => {
-  console.log(`Server is running at ${port}`);
-});
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// The server only listens when this file is run directly, so tests can import the app.
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const server = app.listen(port, () => {
+    console.log(`Server is running at ${port}`);
+  });
+  const stopPurgeJob = startPurgeJob();
+
+  // Stop accepting connections, let in-flight requests finish, then close the pool.
+  // If requests are still running after SHUTDOWN_TIMEOUT_MS the process exits anyway.
+  const shutdown = (signal) => {
+    console.log(`${signal} received, shutting down.`);
+    const forceExit = setTimeout(() => {
+      console.error("In-flight requests did not finish in time, exiting.");
+      process.exit(1);
+    }, config.shutdownTimeoutMs);
+    forceExit.unref();
+    stopPurgeJob?.();
+    // Streams never finish on their own; clients reconnect to another process.
+    closeStreams();
+    server.close(async () => {
+      await connectionPool.end();
+      console.log("Server closed.");
+      process.exit(0);
+    });
+    server.closeIdleConnections();
+  };
+
+  process.once("SIGTERM", shutdown);
+  process.once("SIGINT", shutdown);
+}
+
+export default app;
@@ -0,0 +1,20 @@
+import { pipeline } from "node:stream/promises";
+import connectionPool from "../utils/db.mjs";
+import { exportDataset } from "../utils/dataset.mjs";
+import { DATASET_FORMATS } from "../utils/schemas.mjs";
+
+// Usage: node db/export.mjs [jsonl|csv] > dataset.jsonl
+// Writes the Q&A dataset to standard output, the same file GET /admin/export sends.
+const [format = "jsonl"] = process.argv.slice(2);
+
+try {
+  if (!DATASET_FORMATS.includes(format)) {
+    throw new Error(`Format must be one of ${DATASET_FORMATS.join(", ")}.`);
+  }
+  await pipeline(exportDataset(format), process.stdout);
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await connectionPool.end();
+}
@@ -0,0 +1,38 @@
+import { createReadStream } from "node:fs";
+import connectionPool from "../utils/db.mjs";
+import { readDataset, importDataset } from "../utils/dataset.mjs";
+import { DATASET_FORMATS } from "../utils/schemas.mjs";
+
+// Usage: node db/import.mjs <file> [jsonl|csv]
+// Imports a file written by db/export.mjs or GET /admin/export, like
+// POST /admin/import. The format defaults to csv for .csv files and jsonl
+// otherwise. Skipped records are listed with their line numbers.
+const [file, format = file?.endsWith(".csv") ? "csv" : "jsonl"] =
+  process.argv.slice(2);
+
+try {
+  if (!file) {
+    throw new Error("Usage: node db/import.mjs <file> [jsonl|csv]");
+  }
+  if (!DATASET_FORMATS.includes(format)) {
+    throw new Error(`Format must be one of ${DATASET_FORMATS.join(", ")}.`);
+  }
+  const report = await importDataset(
+    readDataset(createReadStream(file), format)
+  );
+  const counts = Object.entries(report.imported)
+    .map(([type, count]) => `${count} ${type}`)
+    .join(", ");
+  console.log(`Imported ${counts}; skipped ${report.failed} records.`);
+  for (const { line, message } of report.errors) {
+    console.log(`Line ${line}: ${message}`);
+  }
+  if (report.failed > report.errors.length) {
+    console.log(`...and ${report.failed - report.errors.length} more.`);
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await connectionPool.end();
+}
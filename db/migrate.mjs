@@ -0,0 +1,49 @@
+import connectionPool from "../utils/db.mjs";
+import { migrateUp, migrateDown, migrationStatus } from "./migrator.mjs";
+
+// Usage: node db/migrate.mjs up [version] | down [steps] | status
+const [command = "up", argument] = process.argv.slice(2);
+
+const run = async (client) => {
+  if (command === "up") {
+    const applied = await migrateUp(client, { to: argument });
+    if (applied.length === 0) {
+      console.log("Database is already up to date.");
+    }
+    for (const migration of applied) {
+      console.log(`Applied ${migration.version}_${migration.name}`);
+    }
+  } else if (command === "down") {
+    const steps = argument ? Number(argument) : 1;
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error("Steps must be a positive integer.");
+    }
+    const reverted = await migrateDown(client, { steps });
+    if (reverted.length === 0) {
+      console.log("There is no migration to revert.");
+    }
+    for (const migration of reverted) {
+      console.log(`Reverted ${migration.version}_${migration.name}`);
+    }
+  } else if (command === "status") {
+    for (const migration of await migrationStatus(client)) {
+      const state = migration.applied_at
+        ? `applied ${migration.applied_at.toISOString()}`
+        : "pending";
+      console.log(`${migration.version}_${migration.name}  ${state}`);
+    }
+  } else {
+    throw new Error(`Unknown command "${command}". Use up, down or status.`);
+  }
+};
+
+const client = await connectionPool.connect();
+try {
+  await run(client);
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  client.release();
+  await connectionPool.end();
+}
@@ -0,0 +1,6 @@
+drop table if exists answer_votes;
+drop table if exists question_votes;
+alter table if exists questions drop constraint if exists questions_accepted_answer_id_fkey;
+drop table if exists answers;
+drop table if exists questions;
+drop table if exists users;
@@ -0,0 +1,62 @@
+create table users (
+  id serial primary key,
+  username varchar(50) not null unique,
+  email varchar(255) not null unique,
+  password text not null,
+  created_at timestamptz(3) not null default now(),
+  updated_at timestamptz(3) not null default now()
+);
+
+create table questions (
+  id serial primary key,
+  title text not null,
+  description text not null,
+  category text not null,
+  author_id integer references users(id) on delete set null,
+  accepted_answer_id integer,
+  created_at timestamptz(3) not null default now(),
+  updated_at timestamptz(3) not null default now()
+);
+
+create table answers (
+  id serial primary key,
+  question_id integer not null references questions(id) on delete cascade,
+  content varchar(300) not null,
+  author_id integer references users(id) on delete set null,
+  created_at timestamptz(3) not null default now(),
+  updated_at timestamptz(3) not null default now()
+);
+
+-- added after answers exists because the two tables reference each other
+alter table questions
+  add constraint questions_accepted_answer_id_fkey
+  foreign key (accepted_answer_id) references answers(id) on delete set null;
+
+create table question_votes (
+  id serial primary key,
+  question_id integer not null references questions(id) on delete cascade,
+  user_id integer references users(id) on delete cascade,
+  vote smallint not null check (vote in (1, -1)),
+  created_at timestamptz(3) not null default now(),
+  updated_at timestamptz(3) not null default now(),
+  unique (question_id, user_id)
+);
+
+create table answer_votes (
+  id serial primary key,
+  answer_id integer not null references answers(id) on delete cascade,
+  user_id integer references users(id) on delete cascade,
+  vote smallint not null check (vote in (1, -1)),
+  created_at timestamptz(3) not null default now(),
+  updated_at timestamptz(3) not null default now(),
+  unique (answer_id, user_id)
+);
+
+create index answers_question_id_idx on answers (question_id);
+create index question_votes_question_id_idx on question_votes (question_id);
+create index answer_votes_answer_id_idx on answer_votes (answer_id);
+
+create index questions_search_idx on questions using gin (
+  (setweight(to_tsvector('english', title), 'A') || setweight(to_tsvector('english', description), 'B'))
+);
+create index answers_search_idx on answers using gin (to_tsvector('english', content));
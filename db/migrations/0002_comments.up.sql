@@ -0,0 +1,17 @@
+-- A comment is on exactly one question or answer. Replies point at a top-level
+-- comment on the same question or answer; the routes allow only one level.
+create table comments (
+  id serial primary key,
+  question_id integer references questions(id) on delete cascade,
+  answer_id integer references answers(id) on delete cascade,
+  parent_id integer references comments(id) on delete cascade,
+  content varchar(600) not null,
+  author_id integer references users(id) on delete set null,
+  created_at timestamptz(3) not null default now(),
+  updated_at timestamptz(3) not null default now(),
+  check (num_nonnulls(question_id, answer_id) = 1)
+);
+
+create index comments_question_id_idx on comments (question_id);
+create index comments_answer_id_idx on comments (answer_id);
+create index comments_parent_id_idx on comments (parent_id);
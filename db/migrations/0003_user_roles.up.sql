@@ -0,0 +1,5 @@
+-- Moderators curate shared data such as tag aliases; admins can do everything
+-- moderators can. Everyone else is a plain user.
+alter table users
+  add column role text not null default 'user'
+  check (role in ('user', 'moderator', 'admin'));
@@ -0,0 +1,15 @@
+-- A question keeps only its first tag as its category.
+alter table questions add column if not exists category text not null default '';
+
+update questions set category = coalesce((
+  select min(tags.name)
+  from question_tags inner join tags
+  on tags.id = question_tags.tag_id
+  where question_tags.question_id = questions.id
+), '');
+
+alter table questions alter column category drop default;
+
+drop table if exists question_tags;
+drop table if exists tag_aliases;
+drop table if exists tags;
@@ -0,0 +1,34 @@
+create table tags (
+  id serial primary key,
+  name varchar(35) not null unique,
+  created_at timestamptz(3) not null default now()
+);
+
+-- Another spelling of a tag, e.g. "js" for "javascript". Questions tagged with an
+-- alias get the tag it points to.
+create table tag_aliases (
+  alias varchar(35) primary key,
+  tag_id integer not null references tags(id) on delete cascade,
+  created_at timestamptz(3) not null default now()
+);
+
+create table question_tags (
+  question_id integer not null references questions(id) on delete cascade,
+  tag_id integer not null references tags(id) on delete cascade,
+  primary key (question_id, tag_id)
+);
+
+create index question_tags_tag_id_idx on question_tags (tag_id);
+
+-- Every existing category becomes a tag, normalised the way utils/tags.mjs does.
+insert into tags (name)
+select distinct left(regexp_replace(lower(trim(category)), '\s+', '-', 'g'), 35)
+from questions
+where trim(category) <> '';
+
+insert into question_tags (question_id, tag_id)
+select questions.id, tags.id
+from questions inner join tags
+on tags.name = left(regexp_replace(lower(trim(questions.category)), '\s+', '-', 'g'), 35);
+
+alter table questions drop column category;
@@ -0,0 +1,2 @@
+drop table if exists answer_revisions;
+drop table if exists question_revisions;
@@ -0,0 +1,41 @@
+-- Every version of a question or answer, numbered from 1 (as first posted). The
+-- latest revision always matches the current row.
+create table question_revisions (
+  id serial primary key,
+  question_id integer not null references questions(id) on delete cascade,
+  revision integer not null,
+  title text not null,
+  description text not null,
+  tags text[] not null default '{}',
+  editor_id integer references users(id) on delete set null,
+  rolled_back_from integer,
+  created_at timestamptz(3) not null default now(),
+  unique (question_id, revision)
+);
+
+create table answer_revisions (
+  id serial primary key,
+  answer_id integer not null references answers(id) on delete cascade,
+  revision integer not null,
+  content varchar(300) not null,
+  editor_id integer references users(id) on delete set null,
+  rolled_back_from integer,
+  created_at timestamptz(3) not null default now(),
+  unique (answer_id, revision)
+);
+
+-- Earlier edits were not kept, so existing rows start with their current text.
+insert into question_revisions (question_id, revision, title, description, tags, editor_id, created_at)
+select questions.id, 1, questions.title, questions.description
+,coalesce((
+  select array_agg(tags.name order by tags.name)
+  from question_tags inner join tags
+  on tags.id = question_tags.tag_id
+  where question_tags.question_id = questions.id
+), '{}')
+,questions.author_id, questions.updated_at
+from questions;
+
+insert into answer_revisions (answer_id, revision, content, editor_id, created_at)
+select answers.id, 1, answers.content, answers.author_id, answers.updated_at
+from answers;
@@ -0,0 +1,6 @@
+-- Rows still in the trash would reappear, so they are removed for good.
+delete from answers where deleted_at is not null;
+delete from questions where deleted_at is not null;
+
+alter table answers drop column if exists deleted_by, drop column if exists deleted_at;
+alter table questions drop column if exists deleted_by, drop column if exists deleted_at;
@@ -0,0 +1,12 @@
+-- Deleting a question or answer moves it to the trash. The purge job removes it
+-- for good once it has been there longer than TRASH_RETENTION_DAYS.
+alter table questions
+  add column deleted_at timestamptz(3),
+  add column deleted_by integer references users(id) on delete set null;
+
+alter table answers
+  add column deleted_at timestamptz(3),
+  add column deleted_by integer references users(id) on delete set null;
+
+create index questions_deleted_at_idx on questions (deleted_at) where deleted_at is not null;
+create index answers_deleted_at_idx on answers (deleted_at) where deleted_at is not null;
@@ -0,0 +1,5 @@
+drop table if exists flags;
+drop table if exists moderation_decisions;
+
+alter table answers drop column if exists hidden_at;
+alter table questions drop column if exists hidden_at;
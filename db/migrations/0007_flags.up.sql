@@ -0,0 +1,38 @@
+-- Users flag questions and answers for moderators. A question or answer with
+-- FLAG_HIDE_THRESHOLD pending flags is hidden from listings and search until a
+-- moderator decides. One decision settles every pending flag on it.
+alter table questions add column hidden_at timestamptz(3);
+alter table answers add column hidden_at timestamptz(3);
+
+create table moderation_decisions (
+  id serial primary key,
+  question_id integer references questions(id) on delete cascade,
+  answer_id integer references answers(id) on delete cascade,
+  action text not null check (action in ('dismiss', 'edit', 'hide', 'delete')),
+  note varchar(500),
+  moderator_id integer references users(id) on delete set null,
+  created_at timestamptz(3) not null default now(),
+  check (num_nonnulls(question_id, answer_id) = 1)
+);
+
+create table flags (
+  id serial primary key,
+  question_id integer references questions(id) on delete cascade,
+  answer_id integer references answers(id) on delete cascade,
+  reason text not null
+    check (reason in ('spam', 'offensive', 'off_topic', 'low_quality', 'other')),
+  note varchar(500),
+  flagger_id integer not null references users(id) on delete cascade,
+  decision_id integer references moderation_decisions(id) on delete cascade,
+  created_at timestamptz(3) not null default now(),
+  check (num_nonnulls(question_id, answer_id) = 1)
+);
+
+-- A user has at most one pending flag on each question or answer.
+create unique index flags_pending_question_idx on flags (question_id, flagger_id)
+  where decision_id is null and question_id is not null;
+create unique index flags_pending_answer_idx on flags (answer_id, flagger_id)
+  where decision_id is null and answer_id is not null;
+create index flags_decision_id_idx on flags (decision_id);
+create index moderation_decisions_question_id_idx on moderation_decisions (question_id);
+create index moderation_decisions_answer_id_idx on moderation_decisions (answer_id);
@@ -0,0 +1,3 @@
+drop index if exists questions_accepted_answer_id_idx;
+
+alter table questions drop column if exists accepted_at;
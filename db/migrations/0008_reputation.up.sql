@@ -0,0 +1,9 @@
+-- Reputation is derived from votes and accepted answers when it is read; the
+-- only thing missing was when an answer was accepted. Existing accepted answers
+-- get the last update of their question as the closest guess.
+alter table questions add column accepted_at timestamptz(3);
+
+update questions set accepted_at = updated_at where accepted_answer_id is not null;
+
+create index questions_accepted_answer_id_idx on questions (accepted_answer_id)
+  where accepted_answer_id is not null;
@@ -0,0 +1,25 @@
+-- Notifications tell users about activity on their questions and answers.
+-- Preferences only store the types a user changed; a missing row means the type
+-- is on.
+create table notifications (
+  id serial primary key,
+  user_id integer not null references users(id) on delete cascade,
+  type text not null
+    check (type in ('question_answered', 'answer_upvoted', 'answer_downvoted')),
+  actor_id integer references users(id) on delete set null,
+  question_id integer references questions(id) on delete cascade,
+  answer_id integer references answers(id) on delete cascade,
+  read_at timestamptz(3),
+  created_at timestamptz(3) not null default now()
+);
+
+create index notifications_user_id_idx on notifications (user_id, created_at desc);
+create index notifications_unread_idx on notifications (user_id) where read_at is null;
+
+create table notification_preferences (
+  user_id integer not null references users(id) on delete cascade,
+  type text not null
+    check (type in ('question_answered', 'answer_upvoted', 'answer_downvoted')),
+  enabled boolean not null,
+  primary key (user_id, type)
+);
@@ -0,0 +1,13 @@
+-- Changes to a question page, kept for a while so a reconnecting stream can
+-- send what it missed (Last-Event-ID). New rows are announced on the
+-- question_events channel with NOTIFY, which reaches every server process.
+create table question_events (
+  id serial primary key,
+  question_id integer not null references questions(id) on delete cascade,
+  type text not null,
+  data jsonb not null,
+  created_at timestamptz(3) not null default now()
+);
+
+create index question_events_question_id_idx on question_events (question_id, id);
+create index question_events_created_at_idx on question_events (created_at);
@@ -0,0 +1,7 @@
+alter table answers
+  drop column if exists upvote_count,
+  drop column if exists downvote_count;
+
+alter table questions
+  drop column if exists upvote_count,
+  drop column if exists downvote_count;
@@ -0,0 +1,17 @@
+-- Vote counts are stored on each question and answer and kept up to date by the
+-- vote routes, instead of being counted from the votes on every read.
+alter table questions
+  add column upvote_count int not null default 0,
+  add column downvote_count int not null default 0;
+
+alter table answers
+  add column upvote_count int not null default 0,
+  add column downvote_count int not null default 0;
+
+update questions set
+  upvote_count = (select count(*) from question_votes where question_votes.question_id = questions.id and vote = 1),
+  downvote_count = (select count(*) from question_votes where question_votes.question_id = questions.id and vote = -1);
+
+update answers set
+  upvote_count = (select count(*) from answer_votes where answer_votes.answer_id = answers.id and vote = 1),
+  downvote_count = (select count(*) from answer_votes where answer_votes.answer_id = answers.id and vote = -1);
@@ -0,0 +1,9 @@
+-- Request counts for the postgres rate limit store (RATE_LIMIT_STORE=postgres),
+-- one row per route and client for the current window.
+create table rate_limits (
+  key text primary key,
+  count integer not null,
+  reset_at timestamptz(3) not null
+);
+
+create index rate_limits_reset_at_idx on rate_limits (reset_at);
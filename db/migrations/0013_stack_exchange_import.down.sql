@@ -0,0 +1,2 @@
+drop table if exists stack_exchange_progress;
+drop table if exists stack_exchange_posts;
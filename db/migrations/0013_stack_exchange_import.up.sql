@@ -0,0 +1,20 @@
+-- What the Stack Exchange importer (db/stackexchange.mjs) has done per site: the
+-- question or answer each imported post became, and how many lines of each dump
+-- file are done, so an interrupted import carries on where it stopped.
+create table stack_exchange_posts (
+  site text not null,
+  post_id integer not null,
+  question_id integer references questions(id) on delete cascade,
+  answer_id integer references answers(id) on delete cascade,
+  -- for questions, the post id of the answer the asker accepted
+  accepted_post_id integer,
+  primary key (site, post_id)
+);
+
+create table stack_exchange_progress (
+  site text not null,
+  file text not null,
+  line integer not null,
+  updated_at timestamptz(3) not null default now(),
+  primary key (site, file)
+);
@@ -0,0 +1,2 @@
+drop index if exists answers_author_id_idx;
+drop index if exists questions_author_id_idx;
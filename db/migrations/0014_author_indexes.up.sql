@@ -0,0 +1,5 @@
+-- A user's reputation sums the votes on their questions and answers; these let
+-- it read only that user's rows instead of both tables. "if not exists" because
+-- a copy of 0008 briefly created them too.
+create index if not exists questions_author_id_idx on questions (author_id);
+create index if not exists answers_author_id_idx on answers (author_id);
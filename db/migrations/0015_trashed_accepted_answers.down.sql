@@ -0,0 +1,6 @@
+update questions set accepted_answer_id = answers.id, accepted_at = answers.was_accepted_at
+from answers
+where answers.question_id = questions.id and answers.was_accepted_at is not null
+and questions.accepted_answer_id is null;
+
+alter table answers drop column if exists was_accepted_at;
@@ -0,0 +1,12 @@
+-- An accepted answer stops being accepted when it moves to the trash, so the
+-- question does not point at an answer nobody can read. was_accepted_at keeps
+-- the accepted_at of its question until the answer is restored.
+alter table answers add column was_accepted_at timestamptz(3);
+
+update answers set was_accepted_at = questions.accepted_at
+from questions
+where questions.accepted_answer_id = answers.id and answers.deleted_at is not null;
+
+update questions set accepted_answer_id = null, accepted_at = null
+from answers
+where answers.id = questions.accepted_answer_id and answers.deleted_at is not null;
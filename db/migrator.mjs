@@ -0,0 +1,126 @@
+import { readdir, readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const migrationsDirectory = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "migrations"
+);
+
+// Migration files are named <version>_<name>.up.sql and <version>_<name>.down.sql.
+// Versions are numbers, so 10 comes after 9 whether or not they are zero-padded.
+const migrationFilePattern = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+const byVersion = (a, b) => Number(a) - Number(b);
+
+// directory is only passed by tests; the app's migrations are in db/migrations.
+export const loadMigrations = async (directory = migrationsDirectory) => {
+  const files = await readdir(directory);
+  const migrations = new Map();
+  for (const file of files) {
+    const match = file.match(migrationFilePattern);
+    if (!match) {
+      continue;
+    }
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) ?? { version, name };
+    migration[direction] = await readFile(path.join(directory, file), "utf8");
+    migrations.set(version, migration);
+  }
+  return [...migrations.values()].sort((a, b) =>
+    byVersion(a.version, b.version)
+  );
+};
+
+const ensureMigrationsTable = (client) =>
+  client.query(`
+    create table if not exists schema_migrations (
+      version text primary key,
+      name text not null,
+      applied_at timestamptz not null default now()
+    )`);
+
+// Oldest first. The version column is text, so it is sorted here.
+const appliedVersions = async (client) => {
+  const results = await client.query(`select version from schema_migrations`);
+  return results.rows.map((row) => row.version).sort(byVersion);
+};
+
+// Each migration runs in its own transaction together with its bookkeeping row,
+// so a failing migration leaves both the schema and schema_migrations untouched.
+const runInTransaction = async (client, sql, bookkeeping) => {
+  await client.query("begin");
+  try {
+    await client.query(sql);
+    await client.query(bookkeeping.text, bookkeeping.values);
+    await client.query("commit");
+  } catch (error) {
+    await client.query("rollback");
+    throw error;
+  }
+};
+
+// to is the last version to apply, as a number or a string of digits; versions
+// are compared as numbers, so "8" and "0008" mean the same migration.
+export const migrateUp = async (client, { to, directory } = {}) => {
+  if (to !== undefined && !/^\d+$/.test(String(to))) {
+    throw new Error("Version must be a non-negative integer.");
+  }
+  await ensureMigrationsTable(client);
+  const applied = await appliedVersions(client);
+  const pending = (await loadMigrations(directory)).filter(
+    (migration) =>
+      !applied.includes(migration.version) &&
+      (to === undefined || Number(migration.version) <= Number(to))
+  );
+  for (const migration of pending) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version} has no up file.`);
+    }
+    await runInTransaction(client, migration.up, {
+      text: `insert into schema_migrations (version,name) values ($1,$2)`,
+      values: [migration.version, migration.name],
+    });
+  }
+  return pending;
+};
+
+export const migrateDown = async (client, { steps = 1, directory } = {}) => {
+  await ensureMigrationsTable(client);
+  const applied = await appliedVersions(client);
+  const migrations = await loadMigrations(directory);
+  const reverted = applied
+    .slice(-steps)
+    .reverse()
+    .map(
+      (version) =>
+        migrations.find((migration) => migration.version === version) ?? {
+          version,
+        }
+    );
+  for (const migration of reverted) {
+    if (!migration.down) {
+      throw new Error(`Migration ${migration.version} has no down file.`);
+    }
+    await runInTransaction(client, migration.down, {
+      text: `delete from schema_migrations where version = $1`,
+      values: [migration.version],
+    });
+  }
+  return reverted;
+};
+
+export const migrationStatus = async (client, { directory } = {}) => {
+  await ensureMigrationsTable(client);
+  const results = await client.query(
+    `select version, applied_at from schema_migrations`
+  );
+  const migrations = await loadMigrations(directory);
+  return migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    applied_at:
+      results.rows.find((row) => row.version === migration.version)
+        ?.applied_at ?? null,
+  }));
+};
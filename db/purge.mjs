@@ -0,0 +1,34 @@
+import connectionPool from "../utils/db.mjs";
+import config from "../utils/config.mjs";
+import { purgeTrash } from "../utils/trash.mjs";
+import { pruneQuestionEvents } from "../utils/stream.mjs";
+import { pruneRateLimits } from "../utils/rateLimit.mjs";
+
+// Usage: node db/purge.mjs [retentionDays]
+// Permanently deletes what has been in the trash longer than the retention period,
+// question events older than STREAM_EVENT_RETENTION_HOURS and ended rate limit
+// windows.
+const [argument] = process.argv.slice(2);
+const retentionDays = argument ? Number(argument) : config.trash.retentionDays;
+
+try {
+  if (!Number.isInteger(retentionDays) || retentionDays < 0) {
+    throw new Error("Retention days must be a non-negative integer.");
+  }
+  const purged = await purgeTrash(connectionPool, retentionDays);
+  console.log(
+    `Purged ${purged.questions} questions and ${purged.answers} answers deleted more than ${retentionDays} days ago.`
+  );
+  const pruned = await pruneQuestionEvents(
+    connectionPool,
+    config.stream.eventRetentionHours
+  );
+  console.log(`Pruned ${pruned} question events.`);
+  const windows = await pruneRateLimits(connectionPool);
+  console.log(`Pruned ${windows} rate limit windows.`);
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await connectionPool.end();
+}
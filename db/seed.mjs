@@ -0,0 +1,251 @@
+import bcrypt from "bcrypt";
+import { fileURLToPath } from "node:url";
+import connectionPool from "../utils/db.mjs";
+import config from "../utils/config.mjs";
+import { addTagAlias, setQuestionTags } from "../utils/tags.mjs";
+import { recordRevision } from "../utils/revisions.mjs";
+
+// Every sample user logs in with this password.
+export const SEED_PASSWORD = "password123";
+
+const users = [
+  { username: "somchai", email: "somchai@example.com", role: "admin" },
+  { username: "malee", email: "malee@example.com", role: "moderator" },
+  { username: "alex", email: "alex@example.com" },
+  { username: "priya", email: "priya@example.com" },
+];
+
+// author and the voters are indexes into users; accepted is an index into answers.
+const questions = [
+  {
+    title: "How do I tune Postgres for a small VPS?",
+    description:
+      "My API runs on a 2 GB VPS and queries get slow once the answers table grows past a few hundred thousand rows. Which settings should I look at first?",
+    tags: ["postgres", "performance"],
+    author: 0,
+    answers: [
+      {
+        content:
+          "Start with shared_buffers at about 25% of RAM and set effective_cache_size to around 50-75%. Then run EXPLAIN ANALYZE on your slowest queries.",
+        author: 1,
+        upvoters: [0, 2, 3],
+      },
+      {
+        content:
+          "Make sure answers.question_id has an index. Most 'slow Postgres' problems on small apps are missing indexes, not settings.",
+        author: 2,
+        upvoters: [0],
+        downvoters: [3],
+      },
+    ],
+    accepted: 1,
+    upvoters: [1, 2],
+  },
+  {
+    title: "What is the difference between PUT and PATCH?",
+    description:
+      "I see both used for updates in REST APIs. When should I pick one over the other?",
+    tags: ["http", "rest"],
+    author: 3,
+    answers: [
+      {
+        content:
+          "PUT replaces the whole resource with what you send. PATCH applies a partial change, so fields you leave out stay as they are.",
+        author: 0,
+        upvoters: [1, 3],
+      },
+    ],
+    accepted: 0,
+    upvoters: [0, 1, 2],
+  },
+  {
+    title: "Best way to learn Thai as a beginner?",
+    description:
+      "I am moving to Bangkok next year. Should I start with the alphabet or with speaking?",
+    tags: ["thai", "language-learning"],
+    author: 2,
+    answers: [
+      {
+        content:
+          "Learn the tones and the consonant classes early. It feels slow at first but makes reading and pronunciation much easier later.",
+        author: 0,
+        upvoters: [2],
+      },
+      {
+        content:
+          "Start speaking from day one with a tutor and pick up the script in parallel. Motivation matters more than order.",
+        author: 1,
+        upvoters: [3],
+        downvoters: [0],
+      },
+    ],
+    upvoters: [3],
+  },
+  {
+    title: "How much water should I drink per day?",
+    description:
+      "Is the 8 glasses a day rule backed by anything, or is it a myth?",
+    tags: ["health", "nutrition"],
+    author: 1,
+    answers: [
+      {
+        content:
+          "There is no strong evidence for exactly 8 glasses. Needs depend on body size, activity and climate, and food also provides water.",
+        author: 3,
+        upvoters: [1, 2],
+      },
+    ],
+    downvoters: [0],
+  },
+  {
+    title: "Which sourdough starter ratio do you use?",
+    description:
+      "My starter is sluggish. I feed it 1:1:1 once a day at room temperature. Should I change the ratio?",
+    tags: ["cooking", "sourdough"],
+    author: 3,
+    answers: [],
+    upvoters: [0],
+  },
+];
+
+// Other spellings that point at a tag above.
+const tagAliases = [
+  { alias: "postgresql", tag: "postgres" },
+  { alias: "perf", tag: "performance" },
+];
+
+const hour = 60 * 60 * 1000;
+const day = 24 * hour;
+
+export const seed = async (client) => {
+  await client.query(
+    `truncate users, questions, answers, question_votes, answer_votes, comments, tags, tag_aliases, question_tags, question_revisions, answer_revisions, flags, moderation_decisions, notifications, notification_preferences, question_events restart identity cascade`
+  );
+  const password = await bcrypt.hash(SEED_PASSWORD, 10);
+  const userIds = [];
+  for (const user of users) {
+    const results = await client.query(
+      `insert into users (username,email,password,role) values ($1,$2,$3,$4) returning id`,
+      [user.username, user.email, password, user.role ?? "user"]
+    );
+    userIds.push(results.rows[0].id);
+  }
+  for (const [index, question] of questions.entries()) {
+    // One question per day ending today, so the sort orders have something to show.
+    const createdAt = new Date(Date.now() - (questions.length - index) * day);
+    const results = await client.query(
+      `insert into questions (title,description,author_id,created_at,updated_at) values ($1,$2,$3,$4,$4) returning id`,
+      [
+        question.title,
+        question.description,
+        userIds[question.author],
+        createdAt,
+      ]
+    );
+    const questionId = results.rows[0].id;
+    const tags = await setQuestionTags(client, questionId, question.tags);
+    await recordRevision(
+      client,
+      "question",
+      questionId,
+      { ...question, tags },
+      userIds[question.author]
+    );
+    await insertVotes(
+      client,
+      "questions",
+      "question_votes",
+      "question_id",
+      questionId,
+      question,
+      userIds
+    );
+    const answerIds = [];
+    for (const [answerIndex, answer] of question.answers.entries()) {
+      const answeredAt = new Date(
+        createdAt.getTime() + (answerIndex + 1) * hour
+      );
+      const answerResults = await client.query(
+        `insert into answers (question_id,content,author_id,created_at,updated_at) values ($1,$2,$3,$4,$4) returning id`,
+        [questionId, answer.content, userIds[answer.author], answeredAt]
+      );
+      const answerId = answerResults.rows[0].id;
+      answerIds.push(answerId);
+      await recordRevision(
+        client,
+        "answer",
+        answerId,
+        answer,
+        userIds[answer.author]
+      );
+      await insertVotes(
+        client,
+        "answers",
+        "answer_votes",
+        "answer_id",
+        answerId,
+        answer,
+        userIds
+      );
+    }
+    if (question.accepted !== undefined) {
+      await client.query(
+        `update questions set accepted_answer_id = $2, accepted_at = now() where id = $1`,
+        [questionId, answerIds[question.accepted]]
+      );
+    }
+  }
+  for (const { alias, tag } of tagAliases) {
+    await addTagAlias(client, tag, alias);
+  }
+  return { users: users.length, questions: questions.length };
+};
+
+// Also sets the vote counts stored on the question or answer.
+const insertVotes = async (
+  client,
+  targetTable,
+  table,
+  column,
+  targetId,
+  target,
+  userIds
+) => {
+  const votes = [
+    ...(target.upvoters ?? []).map((voter) => [voter, 1]),
+    ...(target.downvoters ?? []).map((voter) => [voter, -1]),
+  ];
+  for (const [voter, vote] of votes) {
+    await client.query(
+      `insert into ${table} (${column},user_id,vote) values ($1,$2,$3)`,
+      [targetId, userIds[voter], vote]
+    );
+  }
+  await client.query(
+    `update ${targetTable} set upvote_count = $2, downvote_count = $3 where id = $1`,
+    [targetId, target.upvoters?.length ?? 0, target.downvoters?.length ?? 0]
+  );
+};
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  if (config.env === "production") {
+    console.error("Refusing to seed: it deletes all existing data.");
+    process.exit(1);
+  }
+  const client = await connectionPool.connect();
+  try {
+    await client.query("begin");
+    const counts = await seed(client);
+    await client.query("commit");
+    console.log(
+      `Seeded ${counts.users} users and ${counts.questions} questions. Every user's password is "${SEED_PASSWORD}".`
+    );
+  } catch (error) {
+    await client.query("rollback");
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await connectionPool.end();
+  }
+}
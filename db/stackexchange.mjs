@@ -0,0 +1,46 @@
+import { createReadStream, existsSync } from "node:fs";
+import path from "node:path";
+import connectionPool from "../utils/db.mjs";
+import { importPosts, importVotes } from "../utils/stackExchange.mjs";
+
+// Usage: node db/stackexchange.mjs <dump directory> [site]
+// Imports Posts.xml and then Votes.xml (if present) from an unpacked Stack
+// Exchange data dump. After an interruption, run the same command again to carry
+// on where it stopped. site keys the progress and defaults to the directory name.
+const [directory, site = directory && path.basename(path.resolve(directory))] =
+  process.argv.slice(2);
+
+const resumed = ({ resumedAfter }) =>
+  resumedAfter > 0 ? ` (resumed after line ${resumedAfter})` : "";
+
+try {
+  if (!directory) {
+    throw new Error("Usage: node db/stackexchange.mjs <dump directory> [site]");
+  }
+  const postsFile = path.join(directory, "Posts.xml");
+  if (!existsSync(postsFile)) {
+    throw new Error(`${postsFile} not found.`);
+  }
+  const posts = await importPosts(createReadStream(postsFile), site);
+  console.log(
+    `Imported ${posts.questions} questions and ${
+      posts.answers
+    } answers from ${site}${resumed(posts)}; skipped ${
+      posts.skipped
+    } posts and shortened ${posts.truncated} texts.`
+  );
+  const votesFile = path.join(directory, "Votes.xml");
+  if (existsSync(votesFile)) {
+    const votes = await importVotes(createReadStream(votesFile), site);
+    console.log(
+      `Imported ${votes.votes} votes${resumed(votes)}; skipped ${
+        votes.skipped
+      } votes of other types or on posts that were not imported.`
+    );
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await connectionPool.end();
+}
@@ -0,0 +1,347 @@
+import { Router } from "express";
+import { pipeline } from "node:stream/promises";
+import connectionPool from "../utils/db.mjs";
+import config from "../utils/config.mjs";
+import {
+  validateTrashQuery,
+  validateDatasetQuery,
+} from "../Middlewares/validateAdmin.mjs";
+import { protect } from "../Middlewares/protect.mjs";
+import { requireRole } from "../Middlewares/authorize.mjs";
+import { DEFAULT_PAGE_SIZE } from "../utils/pagination.mjs";
+import {
+  exportDataset,
+  readDataset,
+  importDataset,
+} from "../utils/dataset.mjs";
+
+export const adminRouter = Router();
+/**
+ * @swagger
+ * /admin/trash:
+ *   get:
+ *     summary: List the trash
+ *     description: Deleted questions and answers, most recently deleted first, with the time each one will be purged. Only admins can see the trash.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [question, answer]
+ *         required: false
+ *         description: Only list deleted questions or only deleted answers.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         required: false
+ *         description: Number of items to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         required: false
+ *         description: Number of items to skip.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully retrieved the trash.
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [question, answer]
+ *                       id:
+ *                         type: integer
+ *                         example: 12
+ *                       question_id:
+ *                         type: integer
+ *                         example: 4
+ *                         description: ID of the question, or of the question the answer belongs to
+ *                       title:
+ *                         type: string
+ *                         example: "How do I tune Postgres?"
+ *                         description: Title of the question
+ *                       excerpt:
+ *                         type: string
+ *                         description: Start of the question description or the answer content
+ *                       author_id:
+ *                         type: integer
+ *                         nullable: true
+ *                       deleted_by:
+ *                         type: integer
+ *                         nullable: true
+ *                       deleted_at:
+ *                         type: string
+ *                         format: date-time
+ *                       purge_at:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the purge job removes the item for good
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The caller is not an admin
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+adminRouter.get(
+  "/trash",
+  [protect, validateTrashQuery, requireRole("admin")],
+  async (req, res, next) => {
+    const type = req.query.type ?? null;
+    const limit = Number(req.query.limit ?? DEFAULT_PAGE_SIZE);
+    const offset = Number(req.query.offset ?? 0);
+    let results;
+    try {
+      results = await connectionPool.query(
+        `
+        select *, deleted_at + make_interval(days => $2) as purge_at from (
+          select 'question' as type, questions.id, questions.id as question_id, questions.title
+          ,left(questions.description, 200) as excerpt
+          ,questions.author_id, questions.deleted_by, questions.deleted_at
+          from questions
+          where questions.deleted_at is not null
+          union all
+          select 'answer' as type, answers.id, answers.question_id, questions.title
+          ,left(answers.content, 200) as excerpt
+          ,answers.author_id, answers.deleted_by, answers.deleted_at
+          from answers inner join questions
+          on questions.id = answers.question_id
+          where answers.deleted_at is not null
+        ) as trash
+        where ($1::text is null or type = $1)
+        order by deleted_at desc, type, id desc
+        limit $3 offset $4`,
+        [type, config.trash.retentionDays, limit, offset]
+      );
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully retrieved the trash.",
+      data: results.rows,
+    });
+  }
+);
+
+const contentTypes = {
+  jsonl: "application/x-ndjson",
+  csv: "text/csv",
+};
+
+/**
+ * @swagger
+ * /admin/export:
+ *   get:
+ *     summary: Export the Q&A dataset
+ *     description: Streams every question, then every answer, then every vote, one record per line. Content in the trash is left out; content hidden by moderators is included with its hidden_at. Users are named by username and their accounts are not exported. Only admins can export.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [jsonl, csv]
+ *           default: jsonl
+ *         description: JSON Lines with a type field per record, or CSV with a type column and one column per field
+ *     responses:
+ *       200:
+ *         description: The dataset, sent as an attachment
+ *         content:
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *               example: "{\"type\":\"question\",\"id\":1,\"title\":\"How do I tune Postgres?\",\"description\":\"Queries get slow.\",\"tags\":[\"postgres\"],\"author\":\"john\",\"created_at\":\"2024-05-01T10:00:00.000Z\",\"updated_at\":\"2024-05-01T10:00:00.000Z\"}\n"
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               example: "type,id,question_id,answer_id,title,description,tags,content,author,user,vote,accepted,created_at,updated_at\n"
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The caller is not an admin
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+adminRouter.get(
+  "/export",
+  [protect, validateDatasetQuery, requireRole("admin")],
+  async (req, res, next) => {
+    const format = req.query.format ?? "jsonl";
+    const chunks = exportDataset(format);
+    // The first page is read before the response starts, so a failing database
+    // still gets an error response instead of an empty file.
+    let first;
+    try {
+      first = await chunks.next();
+    } catch (error) {
+      return next(error);
+    }
+    // attachment() sets a type from the file name, so the type comes after it.
+    res.status(200).attachment(`dataset.${format}`).type(contentTypes[format]);
+    try {
+      await pipeline(async function* () {
+        if (!first.done) {
+          yield first.value;
+        }
+        yield* chunks;
+      }, res);
+    } catch (error) {
+      // The client went away before the end; there is nobody left to tell.
+      if (error.code === "ERR_STREAM_PREMATURE_CLOSE") {
+        return;
+      }
+      return next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/import:
+ *   post:
+ *     summary: Import a Q&A dataset
+ *     description: Imports a file in the format of GET /admin/export. Questions and answers get new IDs, and the answers and votes that refer to them are linked to the new ones. Authors and voters are matched to existing users by username; content whose author is not found is imported without an author, and votes whose voter is not found are skipped. Each record is imported on its own; records that are invalid or refer to something that was not imported are reported and skipped. Only admins can import.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [jsonl, csv]
+ *         description: Format of the file; by default csv when the body is sent as text/csv and jsonl otherwise
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: The import finished; see failed and errors for the records that were skipped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully imported the dataset.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     imported:
+ *                       type: object
+ *                       description: Number of imported records of each type
+ *                       properties:
+ *                         question:
+ *                           type: integer
+ *                         answer:
+ *                           type: integer
+ *                         question_vote:
+ *                           type: integer
+ *                         answer_vote:
+ *                           type: integer
+ *                     failed:
+ *                       type: integer
+ *                       description: Number of skipped records
+ *                     errors:
+ *                       type: array
+ *                       description: Why records were skipped, for the first 100 of them
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           line:
+ *                             type: integer
+ *                             example: 12
+ *                             description: Line of the file the record starts on
+ *                           type:
+ *                             type: string
+ *                             nullable: true
+ *                             example: answer
+ *                           message:
+ *                             type: string
+ *                             example: Question 4 is not in the file or was not imported.
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The caller is not an admin
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+adminRouter.post(
+  "/import",
+  [protect, validateDatasetQuery, requireRole("admin")],
+  async (req, res, next) => {
+    const format = req.query.format ?? (req.is("text/csv") ? "csv" : "jsonl");
+    let report;
+    try {
+      report = await importDataset(readDataset(req, format));
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully imported the dataset.",
+      data: report,
+    });
+  }
+);
@@ -1,14 +1,29 @@
 import { Router } from "express";
-import connectionPool from "../utils/db.mjs";
-import { validateAnswerDownVote, validateAnswerUpVote } from "../Middlewares/validateAnswer.mjs";
+import connectionPool, { withTransaction } from "../utils/db.mjs";
+import { validateAnswer, validateAnswerId, validateAnswerRevision, validateAnswerRevisions, validateAnswerDownVote, validateAnswerUpVote } from "../Middlewares/validateAnswer.mjs";
+import { protect } from "../Middlewares/protect.mjs";
+import { rateLimit } from "../Middlewares/rateLimit.mjs";
+import { validateNewComment } from "../Middlewares/validateComment.mjs";
+import { checkAnswerAuthor, requireRole, requireReputation, signedInUserId, assertCanSee } from "../Middlewares/authorize.mjs";
+import { validateFlag } from "../Middlewares/validateModeration.mjs";
+import { addComment, listComments } from "../utils/comments.mjs";
+import { addFlag } from "../utils/moderation.mjs";
+import { publishEvent } from "../utils/stream.mjs";
+import { answerVoteSummary, updateAnswer, trashAnswer, reacceptAnswer, voteOnAnswer } from "../utils/answers.mjs";
+import { invalidateQuestion } from "../utils/cache.mjs";
+import { recordRevision, listRevisions, findRevision } from "../utils/revisions.mjs";
+import { DEFAULT_PAGE_SIZE } from "../utils/pagination.mjs";
+import { visibleAnswer } from "../utils/trash.mjs";
 
 export const answerRouter = Router()
 /**
  * @swagger
- * /answer/{id}/downvote:
+ * /answers/{id}/downvote:
  *   post:
  *     summary: Downvote an answer
- *     description: Downvotes an answer by its ID.
+ *     description: Downvotes an answer by its ID. Each user has one vote per answer; voting again replaces it.
+ *     security:
+ *       - bearerAuth: []
  *     tags:
  *       - Answers
  *     parameters:
@@ -16,18 +31,14 @@ export const answerRouter = Router()
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           type: integer
  *         description: ID of the answer to downvote
- *       - in: body
- *         name: body
- *         required: true
- *         schema:
- *           type: object
- *           properties:
- *             vote:
- *               type: integer
- *               example: -1
- *               description: The vote value (-1 for downvote, 1 for upvote)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DownvoteInput'
  *     responses:
  *       200:
  *         description: Successfully downvoted the answer
@@ -72,8 +83,14 @@ export const answerRouter = Router()
  *                       type: integer
  *                       example: 1
  *                       description: Number of downvotes for the answer
- *       404:
- *         description: Answer not found
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
  *         content:
  *           application/json:
  *             schema:
@@ -81,9 +98,15 @@ export const answerRouter = Router()
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Answer not found.
- *       500:
- *         description: Server error
+ *                   example: Token is invalid or expired.
+ *       403:
+ *         description: The caller does not have the reputation to downvote (REPUTATION_TO_DOWNVOTE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Answer not found, or it or its question is hidden and not requested by their author or a moderator
  *         content:
  *           application/json:
  *             schema:
@@ -91,55 +114,45 @@ export const answerRouter = Router()
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Server could not vote answer because database connection.
+ *                   example: Answer not found.
+ *       429:
+ *         description: Too many requests; wait for the seconds in Retry-After
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the budget resets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-answerRouter.post("/:id/downvote",[validateAnswerDownVote], async (req,res)=>{
-    const answerFromId = req.params.id
-    const answerVote = {
-        ...req.body,
-        created_at: new Date(),
-        updated_at: new Date()
-    }
-    let results
+answerRouter.post("/:id/downvote",[protect, rateLimit("vote"), validateAnswerDownVote, requireReputation("downvote")], async (req,res,next)=>{
+    let answerVote
     try {
-        results = await connectionPool.query(`with newField as (insert into answer_votes (answer_id,vote,created_at,updated_at)
-        values ($1,$2,$3,$4) returning *) select answers.id, answers.question_id, answers.content, answers.created_at, answers.updated_at
-        ,count(case when answer_votes.vote = 1 then answer_votes end) as upvote
-        ,count(case when answer_votes.vote = -1 then answer_votes end) as downvote
-        from answers inner join answer_votes
-        on answers.id = answer_votes.answer_id
-        inner join newField
-        on newField.answer_id = answer_votes.answer_id
-        where answers.id = $1
-        group by answers.id`,[
-                answerFromId,
-                answerVote.vote,
-                answerVote.created_at,
-                answerVote.updated_at
-            ])
-    }catch (err) {
-        console.log(err)
-        return res.status(500).json({
-            message:
-              "Server could not vote answer because database connection.",
-          });
-    }
-    if (results.rowCount === 0) {
-        return res.status(404).json({
-          message: "Answer not found.",
-        });
+        answerVote = await voteOnAnswer(req.params.id, req.user.id, req.body.vote)
+    }catch (error) {
+        return next(error)
     }
     return res.status(200).json({
         message: "Successfully downvoted the answer.",
-        answerVote: results.rows[0]
+        answerVote
     })
 })
 /**
  * @swagger
- * /answer/{id}/upvote:
+ * /answers/{id}/upvote:
  *   post:
  *     summary: Upvote an answer
- *     description: Upvotes an answer by its ID.
+ *     description: Upvotes an answer by its ID. Each user has one vote per answer; voting again replaces it.
+ *     security:
+ *       - bearerAuth: []
  *     tags:
  *       - Answers
  *     parameters:
@@ -147,18 +160,14 @@ answerRouter.post("/:id/downvote",[validateAnswerDownVote], async (req,res)=>{
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           type: integer
  *         description: ID of the answer to upvote
- *       - in: body
- *         name: body
- *         required: true
- *         schema:
- *           type: object
- *           properties:
- *             vote:
- *               type: integer
- *               example: 1
- *               description: The vote value (-1 for downvote, 1 for upvote)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpvoteInput'
  *     responses:
  *       200:
  *         description: Successfully upvoted the answer
@@ -203,8 +212,30 @@ answerRouter.post("/:id/downvote",[validateAnswerDownVote], async (req,res)=>{
  *                       type: integer
  *                       example: 1
  *                       description: Number of downvotes for the answer
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Token is invalid or expired.
+ *       403:
+ *         description: The caller does not have the reputation to upvote (REPUTATION_TO_UPVOTE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Answer not found
+ *         description: Answer not found, or it or its question is hidden and not requested by their author or a moderator
  *         content:
  *           application/json:
  *             schema:
@@ -213,54 +244,929 @@ answerRouter.post("/:id/downvote",[validateAnswerDownVote], async (req,res)=>{
  *                 message:
  *                   type: string
  *                   example: Answer not found.
+ *       429:
+ *         description: Too many requests; wait for the seconds in Retry-After
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the budget resets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
  *           application/json:
  *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+answerRouter.post("/:id/upvote",[protect, rateLimit("vote"), validateAnswerUpVote, requireReputation("upvote")], async (req,res,next)=>{
+    let answerVote
+    try {
+        answerVote = await voteOnAnswer(req.params.id, req.user.id, req.body.vote)
+    }catch (error) {
+        return next(error)
+    }
+    return res.status(200).json({
+        message: "Successfully upvoted the answer.",
+        answerVote
+    })
+})
+/**
+ * @swagger
+ * /answers/{id}/vote:
+ *   delete:
+ *     summary: Retract a vote on an answer
+ *     description: Remove the current user's upvote or downvote from an answer.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Answers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the answer
+ *     responses:
+ *       200:
+ *         description: Successfully retracted the vote
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully retracted the vote.
+ *                 answerVote:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     upvote:
+ *                       type: integer
+ *                       example: 3
+ *                     downvote:
+ *                       type: integer
+ *                       example: 0
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       404:
+ *         description: Answer or vote not found, or the answer or its question is hidden and not requested by their author or a moderator
+ *         content:
+ *           application/json:
+ *             schema:
  *               type: object
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Server could not vote answer because database connection.
+ *                   example: Vote not found.
+ *       429:
+ *         description: Too many requests; wait for the seconds in Retry-After
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the budget resets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-answerRouter.post("/:id/upvote",[validateAnswerUpVote], async (req,res)=>{
-    const answerFromId = req.params.id
-    const answerVote = {
-        ...req.body,
-        created_at: new Date(),
-        updated_at: new Date()
+answerRouter.delete("/:id/vote",[protect, rateLimit("vote"), validateAnswerId], async (req,res,next)=>{
+    let answerVote
+    try {
+        answerVote = await voteOnAnswer(req.params.id, req.user.id, null)
+    }catch (error) {
+        return next(error)
     }
+    return res.status(200).json({
+        message: "Successfully retracted the vote.",
+        answerVote
+    })
+})
+/**
+ * @swagger
+ * /answers/{id}:
+ *   get:
+ *     summary: Get an answer by ID
+ *     description: Retrieve a single answer together with its upvote and downvote counts.
+ *     tags:
+ *       - Answers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the answer
+ *       - in: header
+ *         name: Authorization
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Bearer token; needed to see an answer hidden by flags or moderators, which only its author, moderators and admins can.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the answer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully retrieved the answer.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                       description: ID of the answer
+ *                     question_id:
+ *                       type: integer
+ *                       example: 10
+ *                       description: ID of the question to which the answer belongs
+ *                     content:
+ *                       type: string
+ *                       example: "This is the answer content."
+ *                       description: Content of the answer
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *                       example: "2024-07-02T12:00:00Z"
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                       example: "2024-07-02T12:30:00Z"
+ *                     upvote:
+ *                       type: integer
+ *                       example: 3
+ *                     downvote:
+ *                       type: integer
+ *                       example: 1
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Answer not found, or it or its question is hidden and not requested by their author or a moderator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Answer not found.
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+answerRouter.get("/:id",[validateAnswerId], async (req,res,next)=>{
+    const answerFromId = req.params.id
     let results
     try {
-        results = await connectionPool.query(`with newField as (insert into answer_votes (answer_id,vote,created_at,updated_at)
-        values ($1,$2,$3,$4) returning *) select answers.id, answers.question_id, answers.content, answers.created_at, answers.updated_at
-        ,count(case when answer_votes.vote = 1 then answer_votes end) as upvote
-        ,count(case when answer_votes.vote = -1 then answer_votes end) as downvote
-        from answers inner join answer_votes
-        on answers.id = answer_votes.answer_id
-        inner join newField
-        on newField.answer_id = answer_votes.answer_id
-        where answers.id = $1
-        group by answers.id`,[
-                answerFromId,
-                answerVote.vote,
-                answerVote.created_at,
-                answerVote.updated_at
-            ])
-    }catch {
-        return res.status(500).json({
-            message:
-              "Server could not vote answer because database connection.",
-          });
+        const found = await connectionPool.query(visibleAnswer,[answerFromId])
+        if (found.rowCount > 0) {
+            await assertCanSee(signedInUserId(req.headers.authorization), found.rows[0], "Answer not found.")
+        }
+        results = await connectionPool.query(answerVoteSummary,[answerFromId])
+    }catch (error) {
+        return next(error)
     }
     if (results.rowCount === 0) {
         return res.status(404).json({
           message: "Answer not found.",
+          code: "NOT_FOUND",
         });
     }
     return res.status(200).json({
-        message: "Successfully upvoted the answer.",
-        answerVote: results.rows[0]
+        message: "Successfully retrieved the answer.",
+        data: results.rows[0]
+    })
+})
+/**
+ * @swagger
+ * /answers/{id}:
+ *   put:
+ *     summary: Update an answer
+ *     description: Replace the content of an answer. Only the author of the answer can update it.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Answers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the answer to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AnswerInput'
+ *     responses:
+ *       200:
+ *         description: Successfully updated the answer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully updated the answer.
+ *                 updatedAnswer:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     question_id:
+ *                       type: integer
+ *                       example: 10
+ *                     content:
+ *                       type: string
+ *                       example: "This is the updated answer."
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *                       example: "2024-07-02T12:00:00Z"
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *                       example: "2024-07-02T13:00:00Z"
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The answer belongs to another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: You are not the author of this answer.
+ *       404:
+ *         description: Answer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Answer not found.
+ *       429:
+ *         description: Too many requests; wait for the seconds in Retry-After
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the budget resets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+const editAnswer = async (req,res,next)=>{
+    let answer
+    try {
+        answer = await updateAnswer(req.params.id, req.user.id, req.body)
+    }catch (error) {
+        return next(error)
+    }
+    return res.status(200).json({
+        message: "Successfully updated the answer.",
+        updatedAnswer: answer
     })
-})
\ No newline at end of file
+}
+// An answer only has content, so a partial update is the same as a full one.
+answerRouter.put("/:id",[protect, rateLimit("edit"), validateAnswer, checkAnswerAuthor], editAnswer)
+/**
+ * @swagger
+ * /answers/{id}:
+ *   patch:
+ *     summary: Update an answer
+ *     description: Same as PUT /answers/{id}, since content is the only field of an answer that can be changed.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Answers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the answer to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AnswerInput'
+ *     responses:
+ *       200:
+ *         description: Successfully updated the answer
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The answer belongs to another user
+ *       404:
+ *         description: Answer not found
+ *       429:
+ *         description: Too many requests; wait for the seconds in Retry-After
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the budget resets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+answerRouter.patch("/:id",[protect, rateLimit("edit"), validateAnswer, checkAnswerAuthor], editAnswer)
+/**
+ * @swagger
+ * /answers/{id}:
+ *   delete:
+ *     summary: Delete an answer
+ *     description: Moves an answer to the trash. It is hidden with its votes and comments, can be restored by an admin, and is permanently removed after the retention period. Only the author of the answer can delete it.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Answers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the answer to delete
+ *     responses:
+ *       200:
+ *         description: Successfully deleted the answer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully deleted the answer.
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The answer belongs to another user
+ *       404:
+ *         description: Answer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Answer not found.
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+answerRouter.delete("/:id",[protect, validateAnswerId, checkAnswerAuthor], async (req,res,next)=>{
+    try {
+        await trashAnswer(req.params.id, req.user.id)
+    }catch (error) {
+        return next(error)
+    }
+    return res.status(200).json({
+        message: "Successfully deleted the answer."
+    })
+})
+/**
+ * @swagger
+ * /answers/{id}/comments:
+ *   get:
+ *     summary: Get the comments on an answer
+ *     description: Top-level comments on the answer, oldest first, each with its replies.
+ *     tags:
+ *       - Comments
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the answer
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the comments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully retrieved the comments.
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CommentThread'
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Answer not found, or it or its question is hidden and not requested by their author or a moderator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+answerRouter.get("/:id/comments",[validateAnswerId], async (req,res,next)=>{
+    let comments
+    try {
+        comments = await listComments("answer", req.params.id, signedInUserId(req.headers.authorization))
+    }catch (error) {
+        return next(error)
+    }
+    return res.status(200).json({
+        message: "Successfully retrieved the comments.",
+        data: comments
+    })
+})
+/**
+ * @swagger
+ * /answers/{id}/comments:
+ *   post:
+ *     summary: Comment on an answer
+ *     description: Adds a comment to the answer, or a reply to one of its top-level comments when parentId is given.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Comments
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the answer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommentInput'
+ *     responses:
+ *       201:
+ *         description: Comment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Comment created successfully.
+ *                 comment:
+ *                   $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Invalid request data, or parentId is a reply or belongs to another answer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       404:
+ *         description: Answer or parent comment not found, or the answer or its question is hidden and not requested by their author or a moderator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+answerRouter.post("/:id/comments",[protect, validateNewComment], async (req,res,next)=>{
+    let comment
+    try {
+        comment = await addComment("answer", req.params.id, req.user.id, req.body)
+    }catch (error) {
+        return next(error)
+    }
+    return res.status(201).json({
+        message: "Comment created successfully.",
+        comment
+    })
+})
+/**
+ * @swagger
+ * /answers/{id}/flags:
+ *   post:
+ *     summary: Flag an answer for moderators
+ *     description: Reports spam, offensive or otherwise unsuitable content. Each user can have one pending flag per answer and cannot flag their own. Once the answer has FLAG_HIDE_THRESHOLD pending flags it is hidden from listings and search until a moderator decides.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Moderation
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the answer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FlagInput'
+ *     responses:
+ *       201:
+ *         description: Successfully flagged the answer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully flagged the answer.
+ *                 flag:
+ *                   $ref: '#/components/schemas/Flag'
+ *                 hidden:
+ *                   type: boolean
+ *                   description: Whether the answer is now hidden pending review
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The caller is the author of the answer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Answer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The caller already has a pending flag on the answer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+answerRouter.post("/:id/flags",[protect, validateFlag], async (req,res,next)=>{
+    let result
+    try {
+        result = await addFlag("answer", req.params.id, req.user.id, req.body)
+    }catch (error) {
+        return next(error)
+    }
+    return res.status(201).json({
+        message: "Successfully flagged the answer.",
+        ...result
+    })
+})
+/**
+ * @swagger
+ * /answers/{id}/revisions:
+ *   get:
+ *     summary: Get the edit history of an answer
+ *     description: Every version of the answer, newest first and a page at a time, each with the editor, the time and a diff from the version before.
+ *     tags:
+ *       - Answers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the answer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         required: false
+ *         description: Number of revisions to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         required: false
+ *         description: Number of newer revisions to skip.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the revisions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully retrieved the revisions.
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AnswerRevision'
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Answer not found, or it or its question is hidden and not requested by their author or a moderator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+answerRouter.get("/:id/revisions",[validateAnswerRevisions], async (req,res,next)=>{
+    let revisions
+    try {
+        revisions = await listRevisions("answer", req.params.id, {
+            limit: Number(req.query.limit ?? DEFAULT_PAGE_SIZE),
+            offset: Number(req.query.offset ?? 0),
+        }, signedInUserId(req.headers.authorization))
+    }catch (error) {
+        return next(error)
+    }
+    return res.status(200).json({
+        message: "Successfully retrieved the revisions.",
+        data: revisions
+    })
+})
+/**
+ * @swagger
+ * /answers/{id}/revisions/{revision}/rollback:
+ *   post:
+ *     summary: Roll an answer back to an earlier revision
+ *     description: Restores the content of an earlier revision. The rollback is stored as a new revision, so it can be undone too. Only the author of the answer can roll it back.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Answers
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the answer
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Number of the revision to restore
+ *     responses:
+ *       200:
+ *         description: Successfully rolled back the answer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully rolled back the answer.
+ *                 updatedAnswer:
+ *                   type: object
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The question belongs to another user
+ *       404:
+ *         description: Answer or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests; wait for the seconds in Retry-After
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the budget resets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+answerRouter.post("/:id/revisions/:revision/rollback",[protect, rateLimit("edit"), validateAnswerRevision, checkAnswerAuthor], async (req,res,next)=>{
+    const answerFromId = req.params.id
+    let answer
+    try {
+        answer = await withTransaction(async (client) => {
+            const revision = await findRevision(client, "answer", answerFromId, req.params.revision)
+            const results = await client.query(`update answers
+            set content = $2, updated_at = $3
+            where id = $1
+            returning *`,[answerFromId, revision.content, new Date()])
+            await recordRevision(client, "answer", answerFromId, results.rows[0], req.user.id, revision.revision)
+            await publishEvent(client, results.rows[0].question_id, "answer_updated", results.rows[0])
+            return results.rows[0]
+        })
+    }catch (error) {
+        return next(error)
+    }
+    invalidateQuestion(answer.question_id)
+    return res.status(200).json({
+        message: "Successfully rolled back the answer.",
+        updatedAnswer: answer
+    })
+})
+/**
+ * @swagger
+ * /answers/{id}/restore:
+ *   post:
+ *     summary: Restore an answer from the trash
+ *     description: Brings a deleted answer back, with its comments and votes. Only admins can restore answers.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the deleted answer
+ *     responses:
+ *       200:
+ *         description: Successfully restored the answer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully restored the answer.
+ *                 restoredAnswer:
+ *                   type: object
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The caller is not an admin
+ *       404:
+ *         description: The answer is not in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+answerRouter.post("/:id/restore",[protect, validateAnswerId, requireRole("admin")], async (req,res,next)=>{
+    let results
+    try {
+        results = await withTransaction(async (client) => {
+            await reacceptAnswer(client, req.params.id)
+            return client.query(`update answers set deleted_at = null, deleted_by = null, was_accepted_at = null
+            where id = $1 and deleted_at is not null
+            returning *`,[req.params.id])
+        })
+    }catch (error) {
+        return next(error)
+    }
+    if (results.rowCount === 0) {
+        return res.status(404).json({
+          message: "Answer not found in the trash.",
+          code: "NOT_FOUND",
+        });
+    }
+    invalidateQuestion(results.rows[0].question_id)
+    return res.status(200).json({
+        message: "Successfully restored the answer.",
+        restoredAnswer: results.rows[0]
+    })
+})
@@ -0,0 +1,268 @@
+import { Router } from "express";
+import bcrypt from "bcrypt";
+import connectionPool from "../utils/db.mjs";
+import {
+  validateRegister,
+  validateLogin,
+  validateRefresh,
+} from "../Middlewares/validateUser.mjs";
+import {
+  signAccessToken,
+  signRefreshToken,
+  verifyRefreshToken,
+} from "../utils/token.mjs";
+export const authRouter = Router();
+/**
+ * @swagger
+ * /auth/register:
+ *   post:
+ *     summary: Register a new user
+ *     description: Create a new user account. The password is stored as a bcrypt hash.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterInput'
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: User created successfully.
+ *                 user:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     username:
+ *                       type: string
+ *                       example: "john"
+ *                     email:
+ *                       type: string
+ *                       example: "john@example.com"
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *                       example: "2024-07-02T12:00:00Z"
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       409:
+ *         description: Username or email already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Username or email already exists.
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+authRouter.post("/register", [validateRegister], async (req, res, next) => {
+  const newUser = {
+    ...req.body,
+    password: await bcrypt.hash(req.body.password, 10),
+    created_at: new Date(),
+    updated_at: new Date(),
+  };
+  let results;
+  try {
+    results = await connectionPool.query(
+      `
+        insert into users (username,email,password,created_at,updated_at)
+        values ($1,$2,$3,$4,$5)
+        returning id,username,email,created_at,updated_at`,
+      [
+        newUser.username,
+        newUser.email,
+        newUser.password,
+        newUser.created_at,
+        newUser.updated_at,
+      ]
+    );
+  } catch (error) {
+    if (error.code === "23505") {
+      return res.status(409).json({
+        message: "Username or email already exists.",
+        code: "CONFLICT",
+      });
+    }
+    return next(error);
+  }
+  return res.status(201).json({
+    message: "User created successfully.",
+    user: results.rows[0],
+  });
+});
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Log in
+ *     description: Exchange a username and password for an access token and a refresh token.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginInput'
+ *     responses:
+ *       200:
+ *         description: Login successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Login successfully.
+ *                 accessToken:
+ *                   type: string
+ *                   description: Short-lived token sent in the Authorization header as a Bearer token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Long-lived token used with /auth/refresh
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Invalid username or password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Invalid username or password.
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+authRouter.post("/login", [validateLogin], async (req, res, next) => {
+  let results;
+  try {
+    results = await connectionPool.query(
+      `
+        select * from users where username = $1`,
+      [req.body.username]
+    );
+  } catch (error) {
+    return next(error);
+  }
+  const user = results.rows[0];
+  if (!user || !(await bcrypt.compare(req.body.password, user.password))) {
+    return res.status(401).json({
+      message: "Invalid username or password.",
+      code: "UNAUTHORIZED",
+    });
+  }
+  return res.status(200).json({
+    message: "Login successfully.",
+    accessToken: signAccessToken(user),
+    refreshToken: signRefreshToken(user),
+  });
+});
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     description: Exchange a valid refresh token for a new access token and refresh token.
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshInput'
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Token refreshed successfully.
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Refresh token is invalid or expired
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+authRouter.post("/refresh", [validateRefresh], async (req, res, next) => {
+  let payload;
+  try {
+    payload = verifyRefreshToken(req.body.refreshToken);
+  } catch {
+    return res.status(401).json({
+      message: "Refresh token is invalid or expired.",
+      code: "UNAUTHORIZED",
+    });
+  }
+  let results;
+  try {
+    results = await connectionPool.query(
+      `
+        select id,username from users where id = $1`,
+      [payload.id]
+    );
+  } catch (error) {
+    return next(error);
+  }
+  if (results.rowCount === 0) {
+    return res.status(401).json({
+      message: "Refresh token is invalid or expired.",
+      code: "UNAUTHORIZED",
+    });
+  }
+  return res.status(200).json({
+    message: "Token refreshed successfully.",
+    accessToken: signAccessToken(results.rows[0]),
+    refreshToken: signRefreshToken(results.rows[0]),
+  });
+});
@@ -0,0 +1,172 @@
+import { Router } from "express";
+import connectionPool from "../utils/db.mjs";
+import {
+  validateComment,
+  validateCommentId,
+} from "../Middlewares/validateComment.mjs";
+import { protect } from "../Middlewares/protect.mjs";
+import { checkCommentAuthor } from "../Middlewares/authorize.mjs";
+
+export const commentRouter = Router();
+/**
+ * @swagger
+ * /comments/{id}:
+ *   put:
+ *     summary: Edit a comment
+ *     description: Replace the content of a comment. Only the author of the comment can edit it.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Comments
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the comment to edit
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommentUpdateInput'
+ *     responses:
+ *       200:
+ *         description: Successfully updated the comment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully updated the comment.
+ *                 comment:
+ *                   $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The comment belongs to another user
+ *       404:
+ *         description: Comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+commentRouter.put(
+  "/:id",
+  [protect, validateComment, checkCommentAuthor],
+  async (req, res, next) => {
+    let results;
+    try {
+      results = await connectionPool.query(
+        `
+        update comments set content = $2, updated_at = $3
+        where id = $1 returning *`,
+        [req.params.id, req.body.content, new Date()]
+      );
+    } catch (error) {
+      return next(error);
+    }
+    if (results.rowCount === 0) {
+      return res.status(404).json({
+        message: "Comment not found.",
+        code: "NOT_FOUND",
+      });
+    }
+    return res.status(200).json({
+      message: "Successfully updated the comment.",
+      comment: results.rows[0],
+    });
+  }
+);
+/**
+ * @swagger
+ * /comments/{id}:
+ *   delete:
+ *     summary: Delete a comment
+ *     description: Delete a comment and its replies. Only the author of the comment can delete it.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Comments
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the comment to delete
+ *     responses:
+ *       200:
+ *         description: Successfully deleted the comment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully deleted the comment.
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The comment belongs to another user
+ *       404:
+ *         description: Comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+commentRouter.delete(
+  "/:id",
+  [protect, validateCommentId, checkCommentAuthor],
+  async (req, res, next) => {
+    let results;
+    try {
+      // Replies go with it through the parent_id foreign key.
+      results = await connectionPool.query(
+        `delete from comments where id = $1`,
+        [req.params.id]
+      );
+    } catch (error) {
+      return next(error);
+    }
+    if (results.rowCount === 0) {
+      return res.status(404).json({
+        message: "Comment not found.",
+        code: "NOT_FOUND",
+      });
+    }
+    return res.status(200).json({
+      message: "Successfully deleted the comment.",
+    });
+  }
+);
@@ -0,0 +1,152 @@
+import { Router } from "express";
+import {
+  parse,
+  validate as validateDocument,
+  specifiedRules,
+  execute,
+} from "graphql";
+import { validateGraphqlRequest } from "../Middlewares/validateGraphql.mjs";
+import { signedInUserId } from "../Middlewares/authorize.mjs";
+import { HttpError, fromDatabaseError } from "../utils/errors.mjs";
+import { schema, depthLimit } from "../utils/graphql.mjs";
+import { createLoaders } from "../utils/loaders.mjs";
+
+export const graphqlRouter = Router();
+
+// Errors thrown by resolvers keep their message and carry the code the REST
+// route would answer with in extensions.code, logged like errorHandler does.
+const formatError = (error, req) => {
+  const original = error.originalError;
+  if (!original) {
+    return error.toJSON();
+  }
+  const httpError =
+    original instanceof HttpError ? original : fromDatabaseError(original);
+  if (!httpError || httpError.status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, original);
+  } else if (httpError !== original) {
+    console.warn(
+      `${req.method} ${req.originalUrl} rejected (${httpError.code}): ${original.message}`
+    );
+  }
+  const { message, code, errors } = httpError ?? {
+    message: "Internal server error.",
+    code: "INTERNAL_ERROR",
+  };
+  return {
+    message,
+    locations: error.locations,
+    path: error.path,
+    extensions: { code, ...(errors && { errors }) },
+  };
+};
+/**
+ * @swagger
+ * /graphql:
+ *   post:
+ *     summary: Run a GraphQL query or mutation
+ *     description: Questions, answers, their authors and votes as a GraphQL schema, with mutations for everything the question and answer routes can create, edit, delete or vote on. Mutations need a bearer token and apply the same validation, permissions and rate limits as the REST routes; their errors are reported in errors[].extensions.code with the codes of those routes, and validation errors list the problems in errors[].extensions.errors. Field names follow the REST responses. Nested fields are loaded in batches, so a query costs a few database queries however many questions and answers it returns.
+ *     tags:
+ *       - GraphQL
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GraphQLRequest'
+ *     responses:
+ *       200:
+ *         description: The operation ran; errors lists the fields that failed, if any
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ *                   example:
+ *                     question:
+ *                       title: How to use Swagger with Node.js?
+ *                       answers:
+ *                         - content: Use swagger-jsdoc.
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       message:
+ *                         type: string
+ *                         example: You are not the author of this question.
+ *                       path:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: [updateQuestion]
+ *                       extensions:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                             example: FORBIDDEN
+ *       400:
+ *         description: Missing request data, or a document that does not parse, does not match the schema or is nested deeper than 5 fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/ValidationError'
+ *                 - type: object
+ *                   properties:
+ *                     errors:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           message:
+ *                             type: string
+ *                             example: Cannot query field "titel" on type "Question".
+ */
+graphqlRouter.post("/", [validateGraphqlRequest], async (req, res, next) => {
+  const { query, variables, operationName } = req.body;
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return res.status(400).json({ errors: [error.toJSON()] });
+  }
+  const documentErrors = validateDocument(schema, document, [
+    ...specifiedRules,
+    depthLimit,
+  ]);
+  if (documentErrors.length > 0) {
+    return res
+      .status(400)
+      .json({ errors: documentErrors.map((error) => error.toJSON()) });
+  }
+  let result;
+  try {
+    result = await execute({
+      schema,
+      document,
+      variableValues: variables ?? undefined,
+      operationName: operationName ?? undefined,
+      contextValue: {
+        req,
+        res,
+        // Queries work signed out, so a missing or invalid token only leaves
+        // my_vote empty. Mutations check the token themselves.
+        loaders: createLoaders(signedInUserId(req.headers.authorization)),
+      },
+    });
+  } catch (error) {
+    return next(error);
+  }
+  return res.status(200).json({
+    data: result.data,
+    errors: result.errors?.map((error) => formatError(error, req)),
+  });
+});
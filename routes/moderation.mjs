@@ -0,0 +1,435 @@
+import { Router } from "express";
+import connectionPool from "../utils/db.mjs";
+import {
+  validateModerationQueue,
+  validateQuestionDecision,
+  validateAnswerDecision,
+  validateDecisionList,
+} from "../Middlewares/validateModeration.mjs";
+import { protect } from "../Middlewares/protect.mjs";
+import { requireRole } from "../Middlewares/authorize.mjs";
+import { decide } from "../utils/moderation.mjs";
+import { DEFAULT_PAGE_SIZE } from "../utils/pagination.mjs";
+
+export const moderationRouter = Router();
+/**
+ * @swagger
+ * /moderation/flags:
+ *   get:
+ *     summary: Get the moderation queue
+ *     description: Questions and answers with pending flags, most flagged first, each with its flags. Only moderators and admins can see the queue.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Moderation
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [question, answer]
+ *         required: false
+ *         description: Only list flagged questions or only flagged answers.
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [spam, offensive, off_topic, low_quality, other]
+ *         required: false
+ *         description: Only list content with at least one pending flag for this reason.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         required: false
+ *         description: Number of items to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         required: false
+ *         description: Number of items to skip.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the moderation queue
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully retrieved the moderation queue.
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [question, answer]
+ *                       id:
+ *                         type: integer
+ *                         example: 12
+ *                       question_id:
+ *                         type: integer
+ *                         example: 4
+ *                         description: ID of the question, or of the question the answer belongs to
+ *                       title:
+ *                         type: string
+ *                         example: "How do I tune Postgres?"
+ *                         description: Title of the question
+ *                       excerpt:
+ *                         type: string
+ *                         description: Start of the question description or the answer content
+ *                       author_id:
+ *                         type: integer
+ *                         nullable: true
+ *                       hidden_at:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: Set while the content is hidden from listings and search
+ *                       flag_count:
+ *                         type: integer
+ *                         example: 3
+ *                       first_flagged_at:
+ *                         type: string
+ *                         format: date-time
+ *                       flags:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/Flag'
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The caller is not a moderator or admin
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+moderationRouter.get(
+  "/flags",
+  [protect, validateModerationQueue, requireRole("moderator", "admin")],
+  async (req, res, next) => {
+    const type = req.query.type ?? null;
+    const reason = req.query.reason ?? null;
+    const limit = Number(req.query.limit ?? DEFAULT_PAGE_SIZE);
+    const offset = Number(req.query.offset ?? 0);
+    let results;
+    try {
+      results = await connectionPool.query(
+        `
+        with pending as (
+          select question_id, answer_id
+          ,count(*)::int as flag_count
+          ,min(created_at) as first_flagged_at
+          ,json_agg(flags order by flags.created_at, flags.id) as flags
+          from flags
+          where decision_id is null
+          group by question_id, answer_id
+          having $2::text is null or bool_or(reason = $2)
+        )
+        select * from (
+          select 'question' as type, questions.id, questions.id as question_id, questions.title
+          ,left(questions.description, 200) as excerpt
+          ,questions.author_id, questions.hidden_at
+          ,pending.flag_count, pending.first_flagged_at, pending.flags
+          from pending inner join questions
+          on questions.id = pending.question_id
+          where questions.deleted_at is null
+          union all
+          select 'answer' as type, answers.id, answers.question_id, questions.title
+          ,left(answers.content, 200) as excerpt
+          ,answers.author_id, answers.hidden_at
+          ,pending.flag_count, pending.first_flagged_at, pending.flags
+          from pending inner join answers
+          on answers.id = pending.answer_id
+          inner join questions
+          on questions.id = answers.question_id
+          where answers.deleted_at is null and questions.deleted_at is null
+        ) as queue
+        where ($1::text is null or type = $1)
+        order by flag_count desc, first_flagged_at, type, id
+        limit $3 offset $4`,
+        [type, reason, limit, offset]
+      );
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully retrieved the moderation queue.",
+      data: results.rows,
+    });
+  }
+);
+/**
+ * @swagger
+ * /moderation/questions/{id}/decision:
+ *   post:
+ *     summary: Decide on a flagged question
+ *     description: Settles every pending flag on the question and records the decision. dismiss shows the question again, hide keeps it out of listings and search, edit replaces it (stored as a revision by the moderator) and shows it again, delete moves it to the trash. Only moderators and admins can decide.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Moderation
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the question
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QuestionDecisionInput'
+ *     responses:
+ *       200:
+ *         description: Successfully recorded the decision
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully recorded the decision.
+ *                 decision:
+ *                   $ref: '#/components/schemas/ModerationDecision'
+ *       400:
+ *         description: Missing or invalid request data, or edit without changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The caller is not a moderator or admin
+ *       404:
+ *         description: Question not found or it has no pending flags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+moderationRouter.post(
+  "/questions/:id/decision",
+  [protect, validateQuestionDecision, requireRole("moderator", "admin")],
+  async (req, res, next) => {
+    let decision;
+    try {
+      decision = await decide("question", req.params.id, req.user.id, req.body);
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully recorded the decision.",
+      decision,
+    });
+  }
+);
+/**
+ * @swagger
+ * /moderation/answers/{id}/decision:
+ *   post:
+ *     summary: Decide on a flagged answer
+ *     description: Settles every pending flag on the answer and records the decision. dismiss shows the answer again, hide keeps it out of its question and search, edit replaces it (stored as a revision by the moderator) and shows it again, delete moves it to the trash. Only moderators and admins can decide.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Moderation
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the answer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AnswerDecisionInput'
+ *     responses:
+ *       200:
+ *         description: Successfully recorded the decision
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully recorded the decision.
+ *                 decision:
+ *                   $ref: '#/components/schemas/ModerationDecision'
+ *       400:
+ *         description: Missing or invalid request data, or edit without changes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The caller is not a moderator or admin
+ *       404:
+ *         description: Answer not found or it has no pending flags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+moderationRouter.post(
+  "/answers/:id/decision",
+  [protect, validateAnswerDecision, requireRole("moderator", "admin")],
+  async (req, res, next) => {
+    let decision;
+    try {
+      decision = await decide("answer", req.params.id, req.user.id, req.body);
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully recorded the decision.",
+      decision,
+    });
+  }
+);
+/**
+ * @swagger
+ * /moderation/decisions:
+ *   get:
+ *     summary: List moderation decisions
+ *     description: Every recorded decision, newest first, with the moderator, the note and how many flags it settled. Only moderators and admins can see them.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Moderation
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [question, answer]
+ *         required: false
+ *         description: Only list decisions on questions or only on answers.
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [dismiss, edit, hide, delete]
+ *         required: false
+ *         description: Only list decisions with this action.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         required: false
+ *         description: Number of decisions to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         required: false
+ *         description: Number of decisions to skip.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the decisions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully retrieved the decisions.
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ModerationDecision'
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The caller is not a moderator or admin
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+moderationRouter.get(
+  "/decisions",
+  [protect, validateDecisionList, requireRole("moderator", "admin")],
+  async (req, res, next) => {
+    const type = req.query.type ?? null;
+    const action = req.query.action ?? null;
+    const limit = Number(req.query.limit ?? DEFAULT_PAGE_SIZE);
+    const offset = Number(req.query.offset ?? 0);
+    let results;
+    try {
+      results = await connectionPool.query(
+        `
+        select moderation_decisions.*
+        ,(select count(*)::int from flags where flags.decision_id = moderation_decisions.id) as flag_count
+        from moderation_decisions
+        where ($1::text is null
+          or ($1 = 'question' and question_id is not null)
+          or ($1 = 'answer' and answer_id is not null))
+        and ($2::text is null or action = $2)
+        order by created_at desc, id desc
+        limit $3 offset $4`,
+        [type, action, limit, offset]
+      );
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully retrieved the decisions.",
+      data: results.rows,
+    });
+  }
+);
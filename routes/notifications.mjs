@@ -0,0 +1,316 @@
+import { Router } from "express";
+import {
+  validateNotificationList,
+  validateNotificationId,
+  validateNotificationPreferences,
+} from "../Middlewares/validateNotification.mjs";
+import { protect } from "../Middlewares/protect.mjs";
+import {
+  listNotifications,
+  markRead,
+  markAllRead,
+  getPreferences,
+  setPreferences,
+} from "../utils/notifications.mjs";
+import { DEFAULT_PAGE_SIZE } from "../utils/pagination.mjs";
+
+export const notificationRouter = Router();
+/**
+ * @swagger
+ * /notifications:
+ *   get:
+ *     summary: List my notifications
+ *     description: Answers to the caller's questions and votes on their answers, newest first, with the number still unread.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Notifications
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *         description: Only list unread notifications.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         required: false
+ *         description: Number of notifications to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         required: false
+ *         description: Number of notifications to skip.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully retrieved the notifications.
+ *                 unreadCount:
+ *                   type: integer
+ *                   example: 3
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+notificationRouter.get(
+  "/",
+  [protect, validateNotificationList],
+  async (req, res, next) => {
+    let results;
+    try {
+      results = await listNotifications(req.user.id, {
+        unread: req.query.unread,
+        limit: Number(req.query.limit ?? DEFAULT_PAGE_SIZE),
+        offset: Number(req.query.offset ?? 0),
+      });
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully retrieved the notifications.",
+      unreadCount: results.unreadCount,
+      data: results.notifications,
+    });
+  }
+);
+/**
+ * @swagger
+ * /notifications/read-all:
+ *   post:
+ *     summary: Mark all my notifications as read
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Notifications
+ *     responses:
+ *       200:
+ *         description: Successfully marked the notifications as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully marked the notifications as read.
+ *                 updated:
+ *                   type: integer
+ *                   example: 3
+ *                   description: Number of notifications that were unread
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+notificationRouter.post("/read-all", [protect], async (req, res, next) => {
+  let updated;
+  try {
+    updated = await markAllRead(req.user.id);
+  } catch (error) {
+    return next(error);
+  }
+  return res.status(200).json({
+    message: "Successfully marked the notifications as read.",
+    updated,
+  });
+});
+/**
+ * @swagger
+ * /notifications/preferences:
+ *   get:
+ *     summary: Get my notification preferences
+ *     description: Whether each type of event creates a notification. Every type is on until turned off.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Notifications
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully retrieved the preferences.
+ *                 data:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Change my notification preferences
+ *     description: Turns types of events on or off. Types left out of the body keep their setting.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Notifications
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: Successfully updated the preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully updated the preferences.
+ *                 data:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+notificationRouter.get("/preferences", [protect], async (req, res, next) => {
+  let preferences;
+  try {
+    preferences = await getPreferences(req.user.id);
+  } catch (error) {
+    return next(error);
+  }
+  return res.status(200).json({
+    message: "Successfully retrieved the preferences.",
+    data: preferences,
+  });
+});
+notificationRouter.put(
+  "/preferences",
+  [protect, validateNotificationPreferences],
+  async (req, res, next) => {
+    let preferences;
+    try {
+      preferences = await setPreferences(req.user.id, req.body);
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully updated the preferences.",
+      data: preferences,
+    });
+  }
+);
+/**
+ * @swagger
+ * /notifications/{id}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Notifications
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the notification
+ *     responses:
+ *       200:
+ *         description: Successfully marked the notification as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully marked the notification as read.
+ *                 notification:
+ *                   $ref: '#/components/schemas/Notification'
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       404:
+ *         description: Notification not found, or it belongs to someone else
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+notificationRouter.post(
+  "/:id/read",
+  [protect, validateNotificationId],
+  async (req, res, next) => {
+    let notification;
+    try {
+      notification = await markRead(req.user.id, req.params.id);
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully marked the notification as read.",
+      notification,
+    });
+  }
+);
@@ -1,12 +1,65 @@
 import { Router } from "express";
-import connectionPool from "../utils/db.mjs";
+import connectionPool, { withTransaction } from "../utils/db.mjs";
 import {
   validateQuestion,
+  validateNewQuestion,
+  validateQuestionId,
+  validateAcceptAnswer,
+  validateQuestionRevision,
+  validateQuestionRevisions,
   validateQuestionUpVote,
   validateQuestionDownVote,
   validateQuery,
 } from "../Middlewares/validateQuestion.mjs";
 import { validateAnswer } from "../Middlewares/validateAnswer.mjs";
+import { protect } from "../Middlewares/protect.mjs";
+import { rateLimit } from "../Middlewares/rateLimit.mjs";
+import { validateNewComment } from "../Middlewares/validateComment.mjs";
+import {
+  checkQuestionAuthor,
+  requireRole,
+  requireReputation,
+  findViewer,
+  canSeeHidden,
+  signedInUserId,
+  assertCanSee,
+} from "../Middlewares/authorize.mjs";
+import { validateFlag } from "../Middlewares/validateModeration.mjs";
+import { addComment, listComments } from "../utils/comments.mjs";
+import { addFlag } from "../utils/moderation.mjs";
+import config from "../utils/config.mjs";
+import { visibleQuestion } from "../utils/trash.mjs";
+import {
+  questionKey,
+  answersKey,
+  listKey,
+  readCache,
+  cacheGeneration,
+  writeCache,
+  invalidateQuestion,
+  sendCached,
+} from "../utils/cache.mjs";
+import {
+  listen,
+  openStream,
+  publishEvent,
+  toServerSentEvent,
+} from "../utils/stream.mjs";
+import {
+  createQuestion,
+  updateQuestion,
+  trashQuestion,
+  voteOnQuestion,
+  listQuestions,
+} from "../utils/questions.mjs";
+import { createAnswer } from "../utils/answers.mjs";
+import {
+  recordRevision,
+  listRevisions,
+  findRevision,
+} from "../utils/revisions.mjs";
+import { questionTagNames, setQuestionTags } from "../utils/tags.mjs";
+import { DEFAULT_PAGE_SIZE } from "../utils/pagination.mjs";
 export const questionRouter = Router();
 /**
  * @swagger
@@ -24,11 +77,48 @@ export const questionRouter = Router();
  *         required: false
  *         description: Filter questions by title.
  *       - in: query
- *         name: category
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Comma separated tag names, e.g. postgres,performance. Aliases count as their tag.
+ *       - in: query
+ *         name: match
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         required: false
+ *         description: Whether questions need any or all of the given tags.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, votes, activity, hot, top]
+ *           default: newest
+ *         required: false
+ *         description: Order of the questions. `votes` uses upvotes minus downvotes, `activity` the latest edit or answer, `hot` the score weighed against age and `top` the Wilson lower bound of the share of upvotes.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         required: false
+ *         description: Number of questions per page.
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: The `nextCursor` value from the previous page.
+ *       - in: header
+ *         name: If-None-Match
  *         schema:
  *           type: string
  *         required: false
- *         description: Filter questions by category.
+ *         description: ETag of a copy the client has; answers 304 if it is still current.
  *     responses:
  *       200:
  *         description: Successfully retrieved the list of questions
@@ -53,10 +143,12 @@ export const questionRouter = Router();
  *                         type: string
  *                         example: "How to use Swagger with Node.js?"
  *                         description: Title of the question
- *                       category:
- *                         type: string
- *                         example: "Technology"
- *                         description: Category of the question
+ *                       tags:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ["performance", "postgres"]
+ *                         description: Tag names of the question, sorted
  *                       created_at:
  *                         type: string
  *                         format: date-time
@@ -67,6 +159,47 @@ export const questionRouter = Router();
  *                         format: date-time
  *                         example: "2024-07-02T12:30:00Z"
  *                         description: Date and time when the question was last updated
+ *                       score:
+ *                         type: integer
+ *                         example: 3
+ *                         description: Upvotes minus downvotes
+ *                       upvote_count:
+ *                         type: integer
+ *                         example: 4
+ *                       downvote_count:
+ *                         type: integer
+ *                         example: 1
+ *                       hot_score:
+ *                         type: number
+ *                         example: 38353.29
+ *                         description: Order of magnitude of the score plus the creation time, in steps of 12.5 hours
+ *                       top_score:
+ *                         type: number
+ *                         example: 0.38
+ *                         description: Lower bound of the 95% Wilson score interval for the share of upvotes
+ *                       last_activity_at:
+ *                         type: string
+ *                         format: date-time
+ *                         example: "2024-07-03T08:00:00Z"
+ *                         description: Latest edit of the question or one of its answers
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Pass as `after` to get the next page
+ *                     hasMore:
+ *                       type: boolean
+ *                       example: true
+ *       304:
+ *         description: Not modified; the copy with the ETag in If-None-Match is current
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       404:
  *         description: Question not found
  *         content:
@@ -82,38 +215,42 @@ export const questionRouter = Router();
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: Server could not read question because database connection.
+ *               $ref: '#/components/schemas/Error'
  */
-questionRouter.get("/", [validateQuery], async (req, res) => {
-  const title = req.query.title;
-  const category = req.query.category;
-  let results;
+questionRouter.get("/", [validateQuery], async (req, res, next) => {
+  const cacheKey = listKey(req.originalUrl);
+  const cached = readCache(cacheKey);
+  if (cached) {
+    return sendCached(req, res, cached);
+  }
+  const since = cacheGeneration();
+  let page;
   try {
-    results = await connectionPool.query(
-      `
-        select * from questions 
-        where (title = $1 or $1 is null or $1 = '') 
-        and (category = $2 or $2 is null or $2 = '')`,
-      [title, category]
-    );
-  } catch {
-    return res.status(500).json({
-      message: "Server could not read question because database connection.",
+    page = await listQuestions({
+      title: req.query.title,
+      tag: req.query.tag,
+      match: req.query.match,
+      sort: req.query.sort,
+      limit: Number(req.query.limit ?? DEFAULT_PAGE_SIZE),
+      after: req.query.after,
     });
+  } catch (error) {
+    return next(error);
   }
-  if (results.rowCount === 0) {
+  if (page.data.length === 0) {
     return res.status(404).json({
       message: "Question not found.",
+      code: "NOT_FOUND",
     });
   }
-  return res.status(200).json({
-    message: "Successfully retrieved the list of questions.",
-    data: results.rows,
-  });
+  return sendCached(
+    req,
+    res,
+    writeCache(cacheKey, since, {
+      message: "Successfully retrieved the list of questions.",
+      ...page,
+    })
+  );
 });
 /**
  * @swagger
@@ -130,6 +267,18 @@ questionRouter.get("/", [validateQuery], async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID of the question to retrieve
+ *       - in: header
+ *         name: If-None-Match
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: ETag of a copy the client has; answers 304 if it is still current.
+ *       - in: header
+ *         name: Authorization
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Bearer token; needed to see a question hidden by flags or moderators, which only its author, moderators and admins can.
  *     responses:
  *       200:
  *         description: Successfully retrieved the question
@@ -152,10 +301,12 @@ questionRouter.get("/", [validateQuery], async (req, res) => {
  *                       type: string
  *                       example: "How to use Swagger with Node.js?"
  *                       description: Title of the question
- *                     category:
- *                       type: string
- *                       example: "Technology"
- *                       description: Category of the question
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["performance", "postgres"]
+ *                       description: Tag names of the question, sorted
  *                     created_at:
  *                       type: string
  *                       format: date-time
@@ -166,8 +317,21 @@ questionRouter.get("/", [validateQuery], async (req, res) => {
  *                       format: date-time
  *                       example: "2024-07-02T12:30:00Z"
  *                       description: Date and time when the question was last updated
+ *                     accepted_answer_id:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 7
+ *                       description: ID of the answer the asker accepted, or null
+ *       304:
+ *         description: Not modified; the copy with the ETag in If-None-Match is current
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
  *       404:
- *         description: Question not found
+ *         description: Question not found, or hidden and not requested by its author or a moderator
  *         content:
  *           application/json:
  *             schema:
@@ -181,42 +345,62 @@ questionRouter.get("/", [validateQuery], async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: Server could not read question because database connection.
+ *               $ref: '#/components/schemas/Error'
  */
-questionRouter.get("/:id", async (req, res) => {
+questionRouter.get("/:id", [validateQuestionId], async (req, res, next) => {
   const questionFromId = req.params.id;
+  const cached = readCache(questionKey(questionFromId));
+  if (cached) {
+    return sendCached(req, res, cached);
+  }
+  const since = cacheGeneration();
   let results;
+  let viewer = null;
   try {
     results = await connectionPool.query(
       `
-        select * from questions where id = $1`,
+        select questions.*, ${questionTagNames} from questions
+        where id = $1 and deleted_at is null`,
       [questionFromId]
     );
-  } catch {
-    return res.status(500).json({
-      message: "Server could not read question because database connection.",
-    });
+    if (results.rows[0]?.hidden_at) {
+      viewer = await findViewer(req.headers.authorization);
+    }
+  } catch (error) {
+    return next(error);
   }
-  if (results.rowCount === 0) {
+  const question = results.rows[0];
+  if (
+    !question ||
+    (question.hidden_at && !canSeeHidden(viewer, question.author_id))
+  ) {
     return res.status(404).json({
       message: "Question not found.",
+      code: "NOT_FOUND",
     });
   }
-  return res.status(200).json({
-    message: "Successfully retrieved the list of questions.",
-    data: results.rows[0],
-  });
+  // Only the cache of what everyone may see is shared.
+  if (question.hidden_at) {
+    return res.status(200).set("Cache-Control", "private, no-store").json({
+      message: "Successfully retrieved the list of questions.",
+      data: question,
+    });
+  }
+  return sendCached(
+    req,
+    res,
+    writeCache(questionKey(questionFromId), since, {
+      message: "Successfully retrieved the list of questions.",
+      data: results.rows[0],
+    })
+  );
 });
 /**
  * @swagger
  * /questions/{id}/answers:
  *   get:
  *     summary: Get answers for a question
- *     description: Retrieve answers associated with a specific question ID.
+ *     description: Retrieve answers associated with a specific question ID. The accepted answer, if any, is listed first and the rest from oldest to newest.
  *     tags:
  *       - Questions
  *     parameters:
@@ -226,6 +410,12 @@ questionRouter.get("/:id", async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID of the question to retrieve answers for
+ *       - in: header
+ *         name: If-None-Match
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: ETag of a copy the client has; answers 304 if it is still current.
  *     responses:
  *       200:
  *         description: Successfully retrieved the answers
@@ -264,42 +454,205 @@ questionRouter.get("/:id", async (req, res) => {
  *                         format: date-time
  *                         example: "2024-07-02T12:30:00Z"
  *                         description: Date and time when the answer was last updated
+ *                       is_accepted:
+ *                         type: boolean
+ *                         example: true
+ *                         description: Whether the asker accepted this answer
+ *       304:
+ *         description: Not modified; the copy with the ETag in If-None-Match is current
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Question hidden and not requested by its author or a moderator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *                   example: Server could not read answer because database connection.
+ *               $ref: '#/components/schemas/Error'
  */
-questionRouter.get("/:id/answers", async (req, res) => {
-  const questionFromId = req.params.id;
-  let results;
-  try {
-    results = await connectionPool.query(
-      `
-            select * from answers where question_id = $1`,
-      [questionFromId]
+questionRouter.get(
+  "/:id/answers",
+  [validateQuestionId],
+  async (req, res, next) => {
+    const questionFromId = req.params.id;
+    const cached = readCache(answersKey(questionFromId));
+    if (cached) {
+      return sendCached(req, res, cached);
+    }
+    const since = cacheGeneration();
+    let question;
+    let results;
+    try {
+      question = await connectionPool.query(visibleQuestion, [questionFromId]);
+      if (question.rowCount > 0) {
+        await assertCanSee(
+          signedInUserId(req.headers.authorization),
+          question.rows[0],
+          "Question not found."
+        );
+      }
+      results = await connectionPool.query(
+        `
+            select answers.*
+            ,coalesce(answers.id = questions.accepted_answer_id, false) as is_accepted
+            from answers inner join questions
+            on questions.id = answers.question_id
+            where answers.question_id = $1
+            and answers.deleted_at is null and questions.deleted_at is null
+            and answers.hidden_at is null
+            order by is_accepted desc, answers.created_at, answers.id`,
+        [questionFromId]
+      );
+    } catch (error) {
+      return next(error);
+    }
+    // Only the cache of what everyone may see is shared.
+    if (question.rows[0]?.hidden_at) {
+      return res.status(200).set("Cache-Control", "private, no-store").json({
+        message: "Successfully retrieved the answers.",
+        data: results.rows,
+      });
+    }
+    return sendCached(
+      req,
+      res,
+      writeCache(answersKey(questionFromId), since, {
+        message: "Successfully retrieved the answers.",
+        data: results.rows,
+      })
+    );
+  }
+);
+/**
+ * @swagger
+ * /questions/{id}/stream:
+ *   get:
+ *     summary: Follow live updates to a question
+ *     description: |
+ *       A Server-Sent Events stream of changes to the question page: `answer_created`, `question_updated`, `answer_updated` and `votes_changed`. Each event has an ID; reconnect with the `Last-Event-ID` header to receive the events missed since then. Events about hidden questions and answers are left out. Comment lines are sent as a heartbeat.
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the question to follow
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: ID of the last event received; later events are sent first.
+ *     responses:
+ *       200:
+ *         description: The event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "id: 7\nevent: votes_changed\ndata: {\"question_id\":1,\"answer_id\":3,\"upvote\":2,\"downvote\":0}\n\n"
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Question not found, or hidden and not requested by its author or a moderator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionRouter.get(
+  "/:id/stream",
+  [validateQuestionId],
+  async (req, res, next) => {
+    const questionFromId = req.params.id;
+    let results;
+    try {
+      results = await connectionPool.query(visibleQuestion, [questionFromId]);
+      if (results.rowCount > 0) {
+        await assertCanSee(
+          signedInUserId(req.headers.authorization),
+          results.rows[0],
+          "Question not found."
+        );
+        await listen();
+      }
+    } catch (error) {
+      return next(error);
+    }
+    if (results.rowCount === 0) {
+      return res.status(404).json({
+        message: "Question not found.",
+        code: "NOT_FOUND",
+      });
+    }
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 3000\n\n");
+    const lastEventId = req.get("Last-Event-ID");
+    const heartbeat = setInterval(
+      () => res.write(": keep-alive\n\n"),
+      config.stream.heartbeatMs
     );
-  } catch {
-    return res.status(500).json({
-      message: "Server could not read answer because database connection.",
+    heartbeat.unref();
+    let stop;
+    let closed = false;
+    req.on("close", () => {
+      closed = true;
+      clearInterval(heartbeat);
+      stop?.();
     });
+    try {
+      stop = await openStream(
+        questionFromId,
+        /^\d+$/.test(lastEventId ?? "") ? Number(lastEventId) : undefined,
+        (event) => res.write(toServerSentEvent(event)),
+        () => res.end()
+      );
+    } catch (error) {
+      console.error("Opening a question stream failed:", error);
+      clearInterval(heartbeat);
+      return res.end();
+    }
+    // The client may have gone while the missed events were read.
+    if (closed) {
+      stop();
+    }
   }
-  return res.status(200).json({
-    message: "Successfully retrieved the answers.",
-    data: results.rows,
-  });
-});
+);
 /**
  * @swagger
  * /questions:
  *   post:
  *     summary: Create a new question
- *     description: Create a new question with title, description, and category.
+ *     description: Create a new question with a title, a description and one to five tags. Tags that do not exist yet are created.
+ *     security:
+ *       - bearerAuth: []
  *     tags:
  *       - Questions
  *     requestBody:
@@ -307,20 +660,7 @@ questionRouter.get("/:id/answers", async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 example: "How to use Swagger with Node.js?"
- *                 description: Title of the question
- *               description:
- *                 type: string
- *                 example: "I am trying to integrate Swagger with my Node.js application..."
- *                 description: Description of the question
- *               category:
- *                 type: string
- *                 example: "Technology"
- *                 description: Category of the question
+ *             $ref: '#/components/schemas/QuestionInput'
  *     responses:
  *       201:
  *         description: Question created successfully
@@ -347,10 +687,12 @@ questionRouter.get("/:id/answers", async (req, res) => {
  *                       type: string
  *                       example: "I am trying to integrate Swagger with my Node.js application..."
  *                       description: Description of the question
- *                     category:
- *                       type: string
- *                       example: "Technology"
- *                       description: Category of the question
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["performance", "postgres"]
+ *                       description: Tag names of the question, sorted
  *                     created_at:
  *                       type: string
  *                       format: date-time
@@ -361,8 +703,14 @@ questionRouter.get("/:id/answers", async (req, res) => {
  *                       format: date-time
  *                       example: "2024-07-02T12:00:00Z"
  *                       description: Date and time when the question was last updated
- *       500:
- *         description: Server error
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
  *         content:
  *           application/json:
  *             schema:
@@ -370,44 +718,49 @@ questionRouter.get("/:id/answers", async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Server could not create question because database connection.
+ *                   example: Token is invalid or expired.
+ *       429:
+ *         description: Too many requests; wait for the seconds in Retry-After
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the budget resets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-questionRouter.post("/", [validateQuestion], async (req, res) => {
-  const newQuestion = {
-    ...req.body,
-    created_at: new Date(),
-    updated_at: new Date(),
-  };
-  let results;
-  try {
-    results = await connectionPool.query(
-      `
-        insert into questions (title,description,category,created_at,updated_at)
-        values ($1,$2,$3,$4,$5) returning *`,
-      [
-        newQuestion.title,
-        newQuestion.description,
-        newQuestion.category,
-        newQuestion.created_at,
-        newQuestion.updated_at,
-      ]
-    );
-  } catch {
-    return res.status(500).json({
-      message: "Server could not create question because database connection.",
+questionRouter.post(
+  "/",
+  [protect, rateLimit("question"), validateNewQuestion],
+  async (req, res, next) => {
+    let question;
+    try {
+      question = await createQuestion(req.user.id, req.body);
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(201).json({
+      message: "Question created successfully.",
+      newQuestion: question,
     });
   }
-  return res.status(201).json({
-    message: "Question created successfully.",
-    newQuestion: results.rows[0],
-  });
-});
+);
 /**
  * @swagger
  * /questions/{id}/answers:
  *   post:
  *     summary: Create a new answer for a question
  *     description: Create a new answer for a specific question ID.
+ *     security:
+ *       - bearerAuth: []
  *     tags:
  *       - Answers
  *     parameters:
@@ -422,12 +775,7 @@ questionRouter.post("/", [validateQuestion], async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               content:
- *                 type: string
- *                 example: "This is the answer content."
- *                 description: Content of the answer
+ *             $ref: '#/components/schemas/AnswerInput'
  *     responses:
  *       201:
  *         description: Answer created successfully
@@ -464,71 +812,157 @@ questionRouter.post("/", [validateQuestion], async (req, res) => {
  *                       format: date-time
  *                       example: "2024-07-02T12:00:00Z"
  *                       description: Date and time when the answer was last updated
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Token is invalid or expired.
+ *       404:
+ *         description: Question not found, or hidden and not requested by its author or a moderator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests; wait for the seconds in Retry-After
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the budget resets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
  *           application/json:
  *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionRouter.post(
+  "/:id/answers",
+  [protect, rateLimit("answer"), validateAnswer],
+  async (req, res, next) => {
+    let created;
+    try {
+      created = await createAnswer(req.params.id, req.user.id, req.body);
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(201).json({
+      message: "Answer created successfully.",
+      answer: created,
+    });
+  }
+);
+/**
+ * @swagger
+ * /questions/{id}/comments:
+ *   get:
+ *     summary: Get the comments on a question
+ *     description: Top-level comments on the question, oldest first, each with its replies.
+ *     tags:
+ *       - Comments
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the question
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the comments
+ *         content:
+ *           application/json:
+ *             schema:
  *               type: object
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Server could not create answer because database connection.
+ *                   example: Successfully retrieved the comments.
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CommentThread'
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Question not found, or hidden and not requested by its author or a moderator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-questionRouter.post("/:id/answers", [validateAnswer], async (req, res) => {
-  const questionFromId = req.params.id;
-  const answer = {
-    ...req.body,
-    created_at: new Date(),
-    updated_at: new Date(),
-  };
-  let results;
-  try {
-    results = await connectionPool.query(
-      `
-          insert into answers (question_id,content,created_at,updated_at)
-          values ($1,$2,$3,$4) returning *`,
-      [questionFromId, answer.content, answer.created_at, answer.updated_at]
-    );
-  } catch {
-    return res.status(500).json({
-      message: "Server could not create answer because database connection.",
+questionRouter.get(
+  "/:id/comments",
+  [validateQuestionId],
+  async (req, res, next) => {
+    let comments;
+    try {
+      comments = await listComments(
+        "question",
+        req.params.id,
+        signedInUserId(req.headers.authorization)
+      );
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully retrieved the comments.",
+      data: comments,
     });
   }
-  return res.status(201).json({
-    message: "Answer created successfully.",
-    answer: results.rows[0],
-  });
-});
+);
 /**
  * @swagger
- * /questions/{id}/upvote:
+ * /questions/{id}/comments:
  *   post:
- *     summary: Upvote a question
- *     description: Upvote a question by its ID.
+ *     summary: Comment on a question
+ *     description: Adds a comment to the question, or a reply to one of its top-level comments when parentId is given.
+ *     security:
+ *       - bearerAuth: []
  *     tags:
- *       - Questions
+ *       - Comments
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: integer
- *         description: ID of the question to upvote
+ *         description: ID of the question
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               vote:
- *                 type: integer
- *                 example: 1
- *                 description: Vote value (+1 for upvote, -1 for downvote)
+ *             $ref: '#/components/schemas/CommentInput'
  *     responses:
- *       200:
- *         description: Successfully upvoted the question
+ *       201:
+ *         description: Comment created successfully
  *         content:
  *           application/json:
  *             schema:
@@ -536,11 +970,177 @@ questionRouter.post("/:id/answers", [validateAnswer], async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Successfully upvoted the question.
- *                 questionVote:
- *                   type: object
- *                   properties:
- *                     id:
+ *                   example: Comment created successfully.
+ *                 comment:
+ *                   $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Invalid request data, or parentId is a reply or belongs to another question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       404:
+ *         description: Question or parent comment not found, or the question is hidden and not requested by its author or a moderator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionRouter.post(
+  "/:id/comments",
+  [protect, validateNewComment],
+  async (req, res, next) => {
+    let comment;
+    try {
+      comment = await addComment(
+        "question",
+        req.params.id,
+        req.user.id,
+        req.body
+      );
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(201).json({
+      message: "Comment created successfully.",
+      comment,
+    });
+  }
+);
+/**
+ * @swagger
+ * /questions/{id}/flags:
+ *   post:
+ *     summary: Flag a question for moderators
+ *     description: Reports spam, offensive or otherwise unsuitable content. Each user can have one pending flag per question and cannot flag their own. Once the question has FLAG_HIDE_THRESHOLD pending flags it is hidden from listings and search until a moderator decides.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Moderation
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the question
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FlagInput'
+ *     responses:
+ *       201:
+ *         description: Successfully flagged the question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully flagged the question.
+ *                 flag:
+ *                   $ref: '#/components/schemas/Flag'
+ *                 hidden:
+ *                   type: boolean
+ *                   description: Whether the question is now hidden pending review
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The caller is the author of the question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Question not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The caller already has a pending flag on the question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionRouter.post(
+  "/:id/flags",
+  [protect, validateFlag],
+  async (req, res, next) => {
+    let result;
+    try {
+      result = await addFlag("question", req.params.id, req.user.id, req.body);
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(201).json({
+      message: "Successfully flagged the question.",
+      ...result,
+    });
+  }
+);
+/**
+ * @swagger
+ * /questions/{id}/upvote:
+ *   post:
+ *     summary: Upvote a question
+ *     description: Upvote a question by its ID. Each user has one vote per question; voting again replaces it.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the question to upvote
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpvoteInput'
+ *     responses:
+ *       200:
+ *         description: Successfully upvoted the question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully upvoted the question.
+ *                 questionVote:
+ *                   type: object
+ *                   properties:
+ *                     id:
  *                       type: integer
  *                       example: 1
  *                       description: ID of the question
@@ -552,10 +1152,12 @@ questionRouter.post("/:id/answers", [validateAnswer], async (req, res) => {
  *                       type: string
  *                       example: "I am trying to integrate Swagger with my Node.js application..."
  *                       description: Description of the question
- *                     category:
- *                       type: string
- *                       example: "Technology"
- *                       description: Category of the question
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["performance", "postgres"]
+ *                       description: Tag names of the question, sorted
  *                     created_at:
  *                       type: string
  *                       format: date-time
@@ -574,8 +1176,14 @@ questionRouter.post("/:id/answers", [validateAnswer], async (req, res) => {
  *                       type: integer
  *                       example: 2
  *                       description: Total number of downvotes for the question
- *       404:
- *         description: Question not found
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
  *         content:
  *           application/json:
  *             schema:
@@ -583,9 +1191,15 @@ questionRouter.post("/:id/answers", [validateAnswer], async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Question not found.
- *       500:
- *         description: Server error
+ *                   example: Token is invalid or expired.
+ *       403:
+ *         description: The caller does not have the reputation to upvote (REPUTATION_TO_UPVOTE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Question not found, or hidden and not requested by its author or a moderator
  *         content:
  *           application/json:
  *             schema:
@@ -593,52 +1207,47 @@ questionRouter.post("/:id/answers", [validateAnswer], async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Server could not vote question because database connection.
+ *                   example: Question not found.
+ *       429:
+ *         description: Too many requests; wait for the seconds in Retry-After
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the budget resets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 questionRouter.post(
   "/:id/upvote",
-  [validateQuestionUpVote],
-  async (req, res) => {
-    const questionFromId = req.params.id;
-    const questionVote = {
-      ...req.body,
-      created_at: new Date(),
-      updated_at: new Date(),
-    };
-    let results;
+  [
+    protect,
+    rateLimit("vote"),
+    validateQuestionUpVote,
+    requireReputation("upvote"),
+  ],
+  async (req, res, next) => {
+    let questionVote;
     try {
-      results = await connectionPool.query(
-        `
-            with newField as (insert into question_votes (question_id,vote,created_at,updated_at)
-            values ($1,$2,$3,$4) returning *) select questions.id, questions.title, questions.description, questions.category, questions.created_at, questions.updated_at
-            ,count(case when question_votes.vote = 1 then question_votes end) as upvote
-            ,count(case when question_votes.vote = -1 then question_votes end) as downvote
-            from questions inner join question_votes
-            on questions.id = question_votes.question_id
-            inner join newField
-            on newField.question_id = question_votes.question_id
-            where questions.id = $1
-            group by questions.id`,
-        [
-          questionFromId,
-          questionVote.vote,
-          questionVote.created_at,
-          questionVote.updated_at,
-        ]
+      questionVote = await voteOnQuestion(
+        req.params.id,
+        req.user.id,
+        req.body.vote
       );
-    } catch {
-      return res.status(500).json({
-        message: "Server could not vote question because database connection.",
-      });
-    }
-    if (results.rowCount === 0) {
-      return res.status(404).json({
-        message: "Question not found.",
-      });
+    } catch (error) {
+      return next(error);
     }
     return res.status(200).json({
       message: "Successfully upvoted the question.",
-      questionVote: results.rows[0],
+      questionVote,
     });
   }
 );
@@ -647,7 +1256,9 @@ questionRouter.post(
  * /questions/{id}/downvote:
  *   post:
  *     summary: Downvote a question
- *     description: Downvote a question by its ID.
+ *     description: Downvote a question by its ID. Each user has one vote per question; voting again replaces it.
+ *     security:
+ *       - bearerAuth: []
  *     tags:
  *       - Questions
  *     parameters:
@@ -662,12 +1273,7 @@ questionRouter.post(
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               vote:
- *                 type: integer
- *                 example: -1
- *                 description: Vote value (+1 for upvote, -1 for downvote)
+ *             $ref: '#/components/schemas/DownvoteInput'
  *     responses:
  *       200:
  *         description: Successfully downvoted the question
@@ -694,10 +1300,12 @@ questionRouter.post(
  *                       type: string
  *                       example: "I am trying to integrate Swagger with my Node.js application..."
  *                       description: Description of the question
- *                     category:
- *                       type: string
- *                       example: "Technology"
- *                       description: Category of the question
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["performance", "postgres"]
+ *                       description: Tag names of the question, sorted
  *                     created_at:
  *                       type: string
  *                       format: date-time
@@ -716,8 +1324,14 @@ questionRouter.post(
  *                       type: integer
  *                       example: 2
  *                       description: Total number of downvotes for the question
- *       404:
- *         description: Question not found
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
  *         content:
  *           application/json:
  *             schema:
@@ -725,9 +1339,15 @@ questionRouter.post(
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Question not found.
- *       500:
- *         description: Server error
+ *                   example: Token is invalid or expired.
+ *       403:
+ *         description: The caller does not have the reputation to downvote (REPUTATION_TO_DOWNVOTE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Question not found, or hidden and not requested by its author or a moderator
  *         content:
  *           application/json:
  *             schema:
@@ -735,51 +1355,139 @@ questionRouter.post(
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Server could not vote question because database connection.
+ *                   example: Question not found.
+ *       429:
+ *         description: Too many requests; wait for the seconds in Retry-After
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the budget resets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 questionRouter.post(
   "/:id/downvote",
-  [validateQuestionDownVote],
-  async (req, res) => {
-    const questionFromId = req.params.id;
-    const questionVote = {
-      ...req.body,
-      created_at: new Date(),
-      updated_at: new Date(),
-    };
-    let results;
+  [
+    protect,
+    rateLimit("vote"),
+    validateQuestionDownVote,
+    requireReputation("downvote"),
+  ],
+  async (req, res, next) => {
+    let questionVote;
     try {
-      results = await connectionPool.query(
-        `with newField as (insert into question_votes (question_id,vote,created_at,updated_at)
-            values ($1,$2,$3,$4) returning *) select questions.id, questions.title, questions.description, questions.category, questions.created_at, questions.updated_at
-            ,count(case when question_votes.vote = 1 then question_votes end) as upvote
-            ,count(case when question_votes.vote = -1 then question_votes end) as downvote
-            from questions inner join question_votes
-            on questions.id = question_votes.question_id
-            inner join newField
-            on newField.question_id = question_votes.question_id
-            where questions.id = $1
-            group by questions.id`,
-        [
-          questionFromId,
-          questionVote.vote,
-          questionVote.created_at,
-          questionVote.updated_at,
-        ]
+      questionVote = await voteOnQuestion(
+        req.params.id,
+        req.user.id,
+        req.body.vote
       );
-    } catch {
-      return res.status(500).json({
-        message: "Server could not vote question because database connection.",
-      });
-    }
-    if (results.rowCount === 0) {
-      return res.status(404).json({
-        message: "Question not found.",
-      });
+    } catch (error) {
+      return next(error);
     }
     return res.status(200).json({
       message: "Successfully downvoted the question.",
-      questionVote: results.rows[0],
+      questionVote,
+    });
+  }
+);
+/**
+ * @swagger
+ * /questions/{id}/vote:
+ *   delete:
+ *     summary: Retract a vote on a question
+ *     description: Remove the current user's upvote or downvote from a question.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the question
+ *     responses:
+ *       200:
+ *         description: Successfully retracted the vote
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully retracted the vote.
+ *                 questionVote:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     upvote:
+ *                       type: integer
+ *                       example: 4
+ *                     downvote:
+ *                       type: integer
+ *                       example: 1
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       404:
+ *         description: Question or vote not found, or the question is hidden and not requested by its author or a moderator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Vote not found.
+ *       429:
+ *         description: Too many requests; wait for the seconds in Retry-After
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the budget resets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionRouter.delete(
+  "/:id/vote",
+  [protect, rateLimit("vote"), validateQuestionId],
+  async (req, res, next) => {
+    let questionVote;
+    try {
+      questionVote = await voteOnQuestion(req.params.id, req.user.id, null);
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully retracted the vote.",
+      questionVote,
     });
   }
 );
@@ -789,6 +1497,8 @@ questionRouter.post(
  *   put:
  *     summary: Update a question
  *     description: Update a question by its ID.
+ *     security:
+ *       - bearerAuth: []
  *     tags:
  *       - Questions
  *     parameters:
@@ -803,20 +1513,7 @@ questionRouter.post(
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *                 example: "How to use Swagger with Node.js?"
- *                 description: New title of the question
- *               description:
- *                 type: string
- *                 example: "I am trying to integrate Swagger with my Node.js application..."
- *                 description: New description of the question
- *               category:
- *                 type: string
- *                 example: "Technology"
- *                 description: New category of the question
+ *             $ref: '#/components/schemas/QuestionInput'
  *     responses:
  *       200:
  *         description: Successfully updated the question
@@ -843,10 +1540,12 @@ questionRouter.post(
  *                       type: string
  *                       example: "I am trying to integrate Swagger with my Node.js application..."
  *                       description: Updated description of the question
- *                     category:
- *                       type: string
- *                       example: "Technology"
- *                       description: Updated category of the question
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["performance", "postgres"]
+ *                       description: Updated tags of the question
  *                     created_at:
  *                       type: string
  *                       format: date-time
@@ -857,6 +1556,32 @@ questionRouter.post(
  *                       format: date-time
  *                       example: "2024-07-02T12:30:00Z"
  *                       description: Date and time when the question was last updated
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Token is invalid or expired.
+ *       403:
+ *         description: The question belongs to another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: You are not the author of this question.
  *       404:
  *         description: Question not found
  *         content:
@@ -867,64 +1592,480 @@ questionRouter.post(
  *                 message:
  *                   type: string
  *                   example: Question not found.
+ *       429:
+ *         description: Too many requests; wait for the seconds in Retry-After
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the budget resets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionRouter.put(
+  "/:id",
+  [protect, rateLimit("edit"), validateQuestion, checkQuestionAuthor],
+  async (req, res, next) => {
+    let question;
+    try {
+      question = await updateQuestion(req.params.id, req.user.id, req.body);
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully updated the question.",
+      updatedQuestion: question,
+    });
+  }
+);
+/**
+ * @swagger
+ * /questions/{id}/revisions:
+ *   get:
+ *     summary: Get the edit history of a question
+ *     description: Every version of the question, newest first and a page at a time, each with the editor, the time and a diff from the version before.
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the question
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         required: false
+ *         description: Number of revisions to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         required: false
+ *         description: Number of newer revisions to skip.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the revisions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
  *                 message:
  *                   type: string
- *                   example: Server could not update question because database connection.
+ *                   example: Successfully retrieved the revisions.
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuestionRevision'
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Question not found, or hidden and not requested by its author or a moderator
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-questionRouter.put("/:id", [validateQuestion], async (req, res) => {
-  const questionFromId = req.params.id;
-  const updateQuestion = {
-    ...req.body,
-    updated_at: new Date(),
-  };
-  let results;
-  try {
-    results = await connectionPool.query(
-      `
-        update questions
-        set title = $2,
-            description = $3,
-            category = $4,
-            updated_at = $5
-        where id = $1
-        returning *
-      `,
-      [
-        questionFromId,
-        updateQuestion.title,
-        updateQuestion.description,
-        updateQuestion.category,
-        updateQuestion.updated_at,
-      ]
-    );
-  } catch (error) {
-    return res.status(500).json({
-      message: "Server could not update question because database connection.",
+questionRouter.get(
+  "/:id/revisions",
+  [validateQuestionRevisions],
+  async (req, res, next) => {
+    let revisions;
+    try {
+      revisions = await listRevisions(
+        "question",
+        req.params.id,
+        {
+          limit: Number(req.query.limit ?? DEFAULT_PAGE_SIZE),
+          offset: Number(req.query.offset ?? 0),
+        },
+        signedInUserId(req.headers.authorization)
+      );
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully retrieved the revisions.",
+      data: revisions,
     });
   }
-  if (results.rowCount === 0) {
-    return res.status(404).json({
-      message: "Question not found.",
+);
+/**
+ * @swagger
+ * /questions/{id}/revisions/{revision}/rollback:
+ *   post:
+ *     summary: Roll a question back to an earlier revision
+ *     description: Restores the title, description and tags of an earlier revision. The rollback is stored as a new revision, so it can be undone too. Only the author of the question can roll it back.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the question
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Number of the revision to restore
+ *     responses:
+ *       200:
+ *         description: Successfully rolled back the question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully rolled back the question.
+ *                 updatedQuestion:
+ *                   type: object
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The question belongs to another user
+ *       404:
+ *         description: Question or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Too many requests; wait for the seconds in Retry-After
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the budget resets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionRouter.post(
+  "/:id/revisions/:revision/rollback",
+  [protect, rateLimit("edit"), validateQuestionRevision, checkQuestionAuthor],
+  async (req, res, next) => {
+    const questionFromId = req.params.id;
+    let question;
+    try {
+      question = await withTransaction(async (client) => {
+        const revision = await findRevision(
+          client,
+          "question",
+          questionFromId,
+          req.params.revision
+        );
+        const results = await client.query(
+          `
+          update questions
+          set title = $2, description = $3, updated_at = $4
+          where id = $1
+          returning *`,
+          [questionFromId, revision.title, revision.description, new Date()]
+        );
+        const tags = await setQuestionTags(
+          client,
+          questionFromId,
+          revision.tags
+        );
+        const restored = { ...results.rows[0], tags };
+        await recordRevision(
+          client,
+          "question",
+          questionFromId,
+          restored,
+          req.user.id,
+          revision.revision
+        );
+        await publishEvent(
+          client,
+          questionFromId,
+          "question_updated",
+          restored
+        );
+        return restored;
+      });
+    } catch (error) {
+      return next(error);
+    }
+    invalidateQuestion(questionFromId);
+    return res.status(200).json({
+      message: "Successfully rolled back the question.",
+      updatedQuestion: question,
     });
   }
-  return res.status(200).json({
-    message: "Successfully updated the question.",
-    updatedQuestion: results.rows[0],
-  });
-});
+);
+/**
+ * @swagger
+ * /questions/{id}/accept/{answerId}:
+ *   post:
+ *     summary: Accept an answer
+ *     description: Mark an answer as the one that solved the question. Only the author of the question can accept an answer, and the answer must belong to the question. Accepting another answer replaces the previous one.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the question
+ *       - in: path
+ *         name: answerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the answer to accept
+ *     responses:
+ *       200:
+ *         description: Successfully accepted the answer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully accepted the answer.
+ *                 question:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     accepted_answer_id:
+ *                       type: integer
+ *                       example: 7
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The question belongs to another user
+ *       404:
+ *         description: Question or answer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Answer not found.
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionRouter.post(
+  "/:id/accept/:answerId",
+  [protect, validateAcceptAnswer, checkQuestionAuthor],
+  async (req, res, next) => {
+    const questionFromId = req.params.id;
+    const answerFromId = req.params.answerId;
+    let answer;
+    try {
+      answer = await connectionPool.query(
+        `
+          select question_id from answers where id = $1 and deleted_at is null`,
+        [answerFromId]
+      );
+    } catch (error) {
+      return next(error);
+    }
+    if (answer.rowCount === 0) {
+      return res.status(404).json({
+        message: "Answer not found.",
+        code: "NOT_FOUND",
+      });
+    }
+    if (String(answer.rows[0].question_id) !== String(questionFromId)) {
+      return res.status(400).json({
+        message: "Answer does not belong to this question.",
+        code: "INVALID_INPUT",
+      });
+    }
+    let results;
+    try {
+      results = await connectionPool.query(
+        `
+          update questions
+          set accepted_answer_id = $2,
+              accepted_at = case when accepted_answer_id = $2 then accepted_at else $3 end,
+              updated_at = $3
+          where id = $1
+          returning *`,
+        [questionFromId, answerFromId, new Date()]
+      );
+    } catch (error) {
+      return next(error);
+    }
+    invalidateQuestion(questionFromId);
+    return res.status(200).json({
+      message: "Successfully accepted the answer.",
+      question: results.rows[0],
+    });
+  }
+);
+/**
+ * @swagger
+ * /questions/{id}/accept:
+ *   delete:
+ *     summary: Unaccept the accepted answer
+ *     description: Clear the accepted answer of a question. Only the author of the question can do this.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Questions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the question
+ *     responses:
+ *       200:
+ *         description: Successfully unaccepted the answer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully unaccepted the answer.
+ *                 question:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     accepted_answer_id:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: null
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The question belongs to another user
+ *       404:
+ *         description: Question not found, or it has no accepted answer
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Question has no accepted answer.
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionRouter.delete(
+  "/:id/accept",
+  [protect, validateQuestionId, checkQuestionAuthor],
+  async (req, res, next) => {
+    const questionFromId = req.params.id;
+    let results;
+    try {
+      results = await connectionPool.query(
+        `
+          update questions
+          set accepted_answer_id = null,
+              accepted_at = null,
+              updated_at = $2
+          where id = $1 and accepted_answer_id is not null
+          returning *`,
+        [questionFromId, new Date()]
+      );
+    } catch (error) {
+      return next(error);
+    }
+    if (results.rowCount === 0) {
+      return res.status(404).json({
+        message: "Question has no accepted answer.",
+        code: "NOT_FOUND",
+      });
+    }
+    invalidateQuestion(questionFromId);
+    return res.status(200).json({
+      message: "Successfully unaccepted the answer.",
+      question: results.rows[0],
+    });
+  }
+);
 /**
  * @swagger
  * /questions/{id}:
  *   delete:
  *     summary: Delete a question
- *     description: Delete a question by its ID.
+ *     description: Moves a question to the trash. It disappears from every listing together with its answers and comments, can be restored by an admin, and is permanently removed after the retention period (TRASH_RETENTION_DAYS).
+ *     security:
+ *       - bearerAuth: []
  *     tags:
  *       - Questions
  *     parameters:
@@ -945,6 +2086,32 @@ questionRouter.put("/:id", [validateQuestion], async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Successfully deleted the question.
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Token is invalid or expired.
+ *       403:
+ *         description: The question belongs to another user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: You are not the author of this question.
  *       404:
  *         description: Question not found
  *         content:
@@ -960,32 +2127,101 @@ questionRouter.put("/:id", [validateQuestion], async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+questionRouter.delete(
+  "/:id",
+  [protect, validateQuestionId, checkQuestionAuthor],
+  async (req, res, next) => {
+    try {
+      await trashQuestion(req.params.id, req.user.id);
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully deleted the question and answer.",
+    });
+  }
+);
+/**
+ * @swagger
+ * /questions/{id}/restore:
+ *   post:
+ *     summary: Restore a question from the trash
+ *     description: Brings a deleted question back, with its answers, comments and votes. Only admins can restore questions.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Admin
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the deleted question
+ *     responses:
+ *       200:
+ *         description: Successfully restored the question
+ *         content:
+ *           application/json:
+ *             schema:
  *               type: object
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Server could not delete question because database connection.
+ *                   example: Successfully restored the question.
+ *                 restoredQuestion:
+ *                   type: object
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The caller is not an admin
+ *       404:
+ *         description: The question is not in the trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-questionRouter.delete("/:id", async (req, res) => {
-  const questionFromId = req.params.id;
-  let results;
-  try {
-    results = await connectionPool.query(
-      `
-        delete from questions where id = $1`,
-      [questionFromId]
-    );
-  } catch {
-    return res.status(500).json({
-      message: "Server could not delete question because database connection.",
-    });
-  }
-  if (results.rowCount === 0) {
-    return res.status(404).json({
-      message: "Question not found.",
+questionRouter.post(
+  "/:id/restore",
+  [protect, validateQuestionId, requireRole("admin")],
+  async (req, res, next) => {
+    let results;
+    try {
+      results = await connectionPool.query(
+        `
+        update questions set deleted_at = null, deleted_by = null
+        where id = $1 and deleted_at is not null
+        returning *`,
+        [req.params.id]
+      );
+    } catch (error) {
+      return next(error);
+    }
+    if (results.rowCount === 0) {
+      return res.status(404).json({
+        message: "Question not found in the trash.",
+        code: "NOT_FOUND",
+      });
+    }
+    invalidateQuestion(req.params.id);
+    return res.status(200).json({
+      message: "Successfully restored the question.",
+      restoredQuestion: results.rows[0],
     });
   }
-  return res.status(200).json({
-    message: "Successfully deleted the question and answer.",
-  });
-});
+);
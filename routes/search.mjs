@@ -0,0 +1,169 @@
+import { Router } from "express";
+import connectionPool from "../utils/db.mjs";
+import { validateSearch } from "../Middlewares/validateSearch.mjs";
+import { DEFAULT_PAGE_SIZE } from "../utils/pagination.mjs";
+import { normalizeTag, questionTagNames } from "../utils/tags.mjs";
+export const searchRouter = Router();
+
+// snippet is HTML, so the text is escaped before ts_headline adds the <mark>
+// tags; titles, descriptions and answers are whatever users typed.
+const escapeHtml = (text) =>
+  `replace(replace(replace(replace(${text}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;')`;
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     summary: Search questions and answers
+ *     description: Full-text search over question titles, question descriptions and answer content, ordered by relevance. Matches in a question title rank higher than matches in its description.
+ *     tags:
+ *       - Search
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Search text. Supports "quoted phrases", `or` and `-excluded` words.
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only search questions with this tag (and their answers). An alias counts as its tag.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         required: false
+ *         description: Number of results to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         required: false
+ *         description: Number of results to skip.
+ *     responses:
+ *       200:
+ *         description: Successfully searched questions and answers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully searched questions and answers.
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [question, answer]
+ *                         description: Whether the match is a question or an answer
+ *                       id:
+ *                         type: integer
+ *                         example: 12
+ *                         description: ID of the matching question or answer
+ *                       question_id:
+ *                         type: integer
+ *                         example: 4
+ *                         description: ID of the question, or of the question the answer belongs to
+ *                       title:
+ *                         type: string
+ *                         example: "How do I tune Postgres?"
+ *                         description: Title of the question
+ *                       tags:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ["performance", "postgres"]
+ *                         description: Tag names of the question
+ *                       snippet:
+ *                         type: string
+ *                         example: "How do I tune <mark>Postgres</mark>?"
+ *                         description: Matching text as HTML, escaped, with the search terms wrapped in <mark> tags
+ *                       rank:
+ *                         type: number
+ *                         example: 0.6079
+ *                         description: Relevance of the match, higher is better
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+searchRouter.get("/", [validateSearch], async (req, res, next) => {
+  const searchText = req.query.q.trim();
+  const tag = req.query.tag ? normalizeTag(req.query.tag) : null;
+  const limit = Number(req.query.limit ?? DEFAULT_PAGE_SIZE);
+  const offset = Number(req.query.offset ?? 0);
+  let results;
+  try {
+    // The to_tsvector expressions match the GIN indexes in db/migrations.
+    results = await connectionPool.query(
+      `
+        with query as (select websearch_to_tsquery('english', $1) as tsquery)
+        ,tag as (
+          select tags.id from tags
+          where tags.name = $2
+          or tags.id = (select tag_id from tag_aliases where alias = $2)
+        )
+        select * from (
+          select 'question' as type, questions.id, questions.id as question_id, questions.title, ${questionTagNames}
+          ,ts_headline('english', ${escapeHtml(
+            "questions.title || ' ' || questions.description"
+          )}, query.tsquery,
+            'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10') as snippet
+          ,ts_rank(setweight(to_tsvector('english', questions.title), 'A') || setweight(to_tsvector('english', questions.description), 'B'), query.tsquery) as rank
+          from questions, query
+          where questions.deleted_at is null and questions.hidden_at is null
+          and (setweight(to_tsvector('english', questions.title), 'A') || setweight(to_tsvector('english', questions.description), 'B')) @@ query.tsquery
+          and ($2::text is null or exists (
+            select 1 from question_tags
+            where question_tags.question_id = questions.id
+            and question_tags.tag_id in (select id from tag)
+          ))
+          union all
+          select 'answer' as type, answers.id, questions.id as question_id, questions.title, ${questionTagNames}
+          ,ts_headline('english', ${escapeHtml(
+            "answers.content"
+          )}, query.tsquery,
+            'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10') as snippet
+          ,ts_rank(to_tsvector('english', answers.content), query.tsquery) as rank
+          from answers inner join questions
+          on questions.id = answers.question_id, query
+          where answers.deleted_at is null and questions.deleted_at is null
+          and answers.hidden_at is null and questions.hidden_at is null
+          and to_tsvector('english', answers.content) @@ query.tsquery
+          and ($2::text is null or exists (
+            select 1 from question_tags
+            where question_tags.question_id = questions.id
+            and question_tags.tag_id in (select id from tag)
+          ))
+        ) as matches
+        order by rank desc, type desc, id desc
+        limit $3 offset $4`,
+      [searchText, tag, limit, offset]
+    );
+  } catch (error) {
+    return next(error);
+  }
+  return res.status(200).json({
+    message: "Successfully searched questions and answers.",
+    data: results.rows,
+  });
+});
@@ -0,0 +1,211 @@
+import { Router } from "express";
+import connectionPool, { withTransaction } from "../utils/db.mjs";
+import {
+  validateTagList,
+  validateTagAlias,
+} from "../Middlewares/validateTag.mjs";
+import { protect } from "../Middlewares/protect.mjs";
+import { requireRole } from "../Middlewares/authorize.mjs";
+import { DEFAULT_PAGE_SIZE } from "../utils/pagination.mjs";
+import { addTagAlias, normalizeTag } from "../utils/tags.mjs";
+import { clearCache } from "../utils/cache.mjs";
+
+export const tagRouter = Router();
+/**
+ * @swagger
+ * /tags:
+ *   get:
+ *     summary: List tags
+ *     description: Tags with the number of questions carrying each one, most used first.
+ *     tags:
+ *       - Tags
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only tags whose name starts with this text.
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         required: false
+ *         description: Number of tags to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         required: false
+ *         description: Number of tags to skip.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully retrieved the tags.
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: postgres
+ *                       question_count:
+ *                         type: integer
+ *                         example: 12
+ *                       aliases:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: ["postgresql"]
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+tagRouter.get("/", [validateTagList], async (req, res, next) => {
+  const prefix = req.query.q ? normalizeTag(req.query.q) : "";
+  const limit = Number(req.query.limit ?? DEFAULT_PAGE_SIZE);
+  const offset = Number(req.query.offset ?? 0);
+  let results;
+  try {
+    results = await connectionPool.query(
+      `
+        select tags.name
+        ,(
+          select count(*)::int from question_tags inner join questions
+          on questions.id = question_tags.question_id
+          where question_tags.tag_id = tags.id
+          and questions.deleted_at is null and questions.hidden_at is null
+        ) as question_count
+        ,(select coalesce(array_agg(alias order by alias), '{}') from tag_aliases where tag_aliases.tag_id = tags.id) as aliases
+        from tags
+        where starts_with(tags.name, $1)
+        order by question_count desc, tags.name
+        limit $2 offset $3`,
+      [prefix, limit, offset]
+    );
+  } catch (error) {
+    return next(error);
+  }
+  return res.status(200).json({
+    message: "Successfully retrieved the tags.",
+    data: results.rows,
+  });
+});
+/**
+ * @swagger
+ * /tags/{name}/aliases:
+ *   post:
+ *     summary: Add an alias to a tag
+ *     description: Makes another spelling point at the tag. If a tag with that spelling exists, its questions and aliases move to this tag and it is removed. Only moderators and admins can add aliases.
+ *     security:
+ *       - bearerAuth: []
+ *     tags:
+ *       - Tags
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Name or alias of the tag to keep
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TagAliasInput'
+ *     responses:
+ *       201:
+ *         description: Alias added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Alias added successfully.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tag:
+ *                       type: string
+ *                       example: postgres
+ *                     alias:
+ *                       type: string
+ *                       example: postgresql
+ *                     mergedQuestions:
+ *                       type: integer
+ *                       example: 3
+ *                       description: Questions that were moved from the merged tag
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         description: The caller is not a moderator or admin
+ *       404:
+ *         description: Tag not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The alias already belongs to another tag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+tagRouter.post(
+  "/:name/aliases",
+  [protect, validateTagAlias, requireRole("moderator", "admin")],
+  async (req, res, next) => {
+    let result;
+    try {
+      result = await withTransaction((client) =>
+        addTagAlias(client, req.params.name, req.body.alias)
+      );
+    } catch (error) {
+      return next(error);
+    }
+    // The tags of any number of questions may have changed.
+    clearCache();
+    return res.status(201).json({
+      message: "Alias added successfully.",
+      data: result,
+    });
+  }
+);
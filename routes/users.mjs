@@ -0,0 +1,89 @@
+import { Router } from "express";
+import { validateReputationHistory } from "../Middlewares/validateUser.mjs";
+import { getReputationHistory } from "../utils/reputation.mjs";
+import { DEFAULT_PAGE_SIZE } from "../utils/pagination.mjs";
+
+export const userRouter = Router();
+/**
+ * @swagger
+ * /users/{id}/reputation:
+ *   get:
+ *     summary: Get the reputation of a user
+ *     description: The user's reputation, which privileges it earns, and the votes and accepted answers behind it, newest first. Points per event come from the REPUTATION_* settings.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the user
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         required: false
+ *         description: Number of events to return.
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         required: false
+ *         description: Number of events to skip.
+ *     responses:
+ *       200:
+ *         description: Successfully retrieved the reputation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Successfully retrieved the reputation.
+ *                 data:
+ *                   $ref: '#/components/schemas/ReputationHistory'
+ *       400:
+ *         description: Missing or invalid request data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+userRouter.get(
+  "/:id/reputation",
+  [validateReputationHistory],
+  async (req, res, next) => {
+    let history;
+    try {
+      history = await getReputationHistory(req.params.id, {
+        limit: Number(req.query.limit ?? DEFAULT_PAGE_SIZE),
+        offset: Number(req.query.offset ?? 0),
+      });
+    } catch (error) {
+      return next(error);
+    }
+    return res.status(200).json({
+      message: "Successfully retrieved the reputation.",
+      data: history,
+    });
+  }
+);
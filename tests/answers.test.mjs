@@ -0,0 +1,260 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+  setRole,
+  breakDatabase,
+} from "./helpers.mjs";
+
+beforeEach(resetDatabase);
+
+describe("GET /answers/:id", () => {
+  test("returns the answer with its vote counts", async () => {
+    const author = await createUser();
+    const voter = await createUser();
+    const question = await createQuestion(author);
+    const answer = await createAnswer(author, question.id);
+    await api()
+      .post(`/answers/${answer.id}/upvote`)
+      .set("Authorization", `Bearer ${voter.token}`)
+      .send({ vote: "1" });
+
+    const response = await api().get(`/answers/${answer.id}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.content, answer.content);
+    assert.equal(Number(response.body.data.upvote), 1);
+    assert.equal(Number(response.body.data.downvote), 0);
+  });
+
+  test("returns 404 for a missing answer", async () => {
+    const response = await api().get("/answers/999");
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.message, "Answer not found.");
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    breakDatabase(t);
+
+    const response = await api().get("/answers/1");
+
+    assert.equal(response.status, 500);
+  });
+});
+
+for (const method of ["put", "patch"]) {
+  describe(`${method.toUpperCase()} /answers/:id`, () => {
+    test("updates the caller's answer", async () => {
+      const user = await createUser();
+      const question = await createQuestion(user);
+      const answer = await createAnswer(user, question.id);
+
+      const response = await api()
+        [method](`/answers/${answer.id}`)
+        .set("Authorization", `Bearer ${user.token}`)
+        .send({ content: "Updated" });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.updatedAnswer.content, "Updated");
+    });
+
+    test("rejects missing or too long content", async () => {
+      const user = await createUser();
+      const question = await createQuestion(user);
+      const answer = await createAnswer(user, question.id);
+      for (const content of [undefined, "x".repeat(301)]) {
+        const response = await api()
+          [method](`/answers/${answer.id}`)
+          .set("Authorization", `Bearer ${user.token}`)
+          .send({ content });
+        assert.equal(response.status, 400);
+      }
+    });
+
+    test("forbids editing someone else's answer", async () => {
+      const author = await createUser();
+      const other = await createUser();
+      const question = await createQuestion(author);
+      const answer = await createAnswer(author, question.id);
+
+      const response = await api()
+        [method](`/answers/${answer.id}`)
+        .set("Authorization", `Bearer ${other.token}`)
+        .send({ content: "Updated" });
+
+      assert.equal(response.status, 403);
+    });
+
+    test("returns 404 for a missing answer", async () => {
+      const user = await createUser();
+
+      const response = await api()
+        [method]("/answers/999")
+        .set("Authorization", `Bearer ${user.token}`)
+        .send({ content: "Updated" });
+
+      assert.equal(response.status, 404);
+    });
+
+    test("returns 500 when the database fails", async (t) => {
+      const user = await createUser();
+      breakDatabase(t);
+
+      const response = await api()
+        [method]("/answers/1")
+        .set("Authorization", `Bearer ${user.token}`)
+        .send({ content: "Updated" });
+
+      assert.equal(response.status, 500);
+    });
+  });
+}
+
+describe("DELETE /answers/:id", () => {
+  test("deletes the answer and its votes", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const answer = await createAnswer(user, question.id);
+    await api()
+      .post(`/answers/${answer.id}/upvote`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ vote: "1" });
+
+    const response = await api()
+      .delete(`/answers/${answer.id}`)
+      .set("Authorization", `Bearer ${user.token}`);
+
+    assert.equal(response.status, 200);
+    assert.equal((await api().get(`/answers/${answer.id}`)).status, 404);
+  });
+
+  test("forbids deleting someone else's answer", async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const question = await createQuestion(author);
+    const answer = await createAnswer(author, question.id);
+
+    const response = await api()
+      .delete(`/answers/${answer.id}`)
+      .set("Authorization", `Bearer ${other.token}`);
+
+    assert.equal(response.status, 403);
+  });
+
+  test("returns 404 for a missing answer", async () => {
+    const user = await createUser();
+
+    const response = await api()
+      .delete("/answers/999")
+      .set("Authorization", `Bearer ${user.token}`);
+
+    assert.equal(response.status, 404);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    const user = await createUser();
+    breakDatabase(t);
+
+    const response = await api()
+      .delete("/answers/1")
+      .set("Authorization", `Bearer ${user.token}`);
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("answer votes", () => {
+  test("counts one vote per user and switches direction", async () => {
+    const user = await createUser();
+    // Downvoting needs reputation, which moderators do not.
+    await setRole(user, "moderator");
+    const question = await createQuestion(user);
+    const answer = await createAnswer(user, question.id);
+    const vote = (direction, value) =>
+      api()
+        .post(`/answers/${answer.id}/${direction}`)
+        .set("Authorization", `Bearer ${user.token}`)
+        .send({ vote: value });
+
+    await vote("upvote", "1");
+    const again = await vote("upvote", "1");
+    assert.equal(again.status, 200);
+    assert.equal(Number(again.body.answerVote.upvote), 1);
+
+    const switched = await vote("downvote", "-1");
+    assert.equal(Number(switched.body.answerVote.upvote), 0);
+    assert.equal(Number(switched.body.answerVote.downvote), 1);
+  });
+
+  test("retracts a vote", async () => {
+    const user = await createUser();
+    await setRole(user, "moderator");
+    const question = await createQuestion(user);
+    const answer = await createAnswer(user, question.id);
+    await api()
+      .post(`/answers/${answer.id}/downvote`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ vote: "-1" });
+
+    const retracted = await api()
+      .delete(`/answers/${answer.id}/vote`)
+      .set("Authorization", `Bearer ${user.token}`);
+    assert.equal(retracted.status, 200);
+    assert.equal(Number(retracted.body.answerVote.downvote), 0);
+
+    const again = await api()
+      .delete(`/answers/${answer.id}/vote`)
+      .set("Authorization", `Bearer ${user.token}`);
+    assert.equal(again.status, 404);
+  });
+
+  test("rejects the wrong vote value", async () => {
+    const user = await createUser();
+
+    const upvote = await api()
+      .post("/answers/1/upvote")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ vote: "2" });
+    const downvote = await api()
+      .post("/answers/1/downvote")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ vote: "1" });
+
+    assert.equal(upvote.status, 400);
+    assert.equal(downvote.status, 400);
+  });
+
+  test("returns 404 for a missing answer", async () => {
+    const user = await createUser();
+
+    const response = await api()
+      .post("/answers/999/upvote")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ vote: "1" });
+
+    assert.equal(response.status, 404);
+  });
+
+  test("requires a token", async () => {
+    const response = await api().post("/answers/1/upvote").send({ vote: "1" });
+
+    assert.equal(response.status, 401);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    const user = await createUser();
+    breakDatabase(t);
+
+    const response = await api()
+      .post("/answers/1/upvote")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ vote: "1" });
+
+    assert.equal(response.status, 500);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { api, resetDatabase } from "./helpers.mjs";
+
+beforeEach(resetDatabase);
+
+const account = {
+  username: "somchai",
+  email: "somchai@example.com",
+  password: "password123",
+};
+
+describe("POST /auth/register", () => {
+  test("creates a user without returning the password", async () => {
+    const response = await api().post("/auth/register").send(account);
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.user.username, "somchai");
+    assert.equal(response.body.user.password, undefined);
+  });
+
+  test("rejects a taken username", async () => {
+    await api().post("/auth/register").send(account);
+
+    const response = await api()
+      .post("/auth/register")
+      .send({ ...account, email: "other@example.com" });
+
+    assert.equal(response.status, 409);
+  });
+
+  test("rejects a short password", async () => {
+    const response = await api()
+      .post("/auth/register")
+      .send({ ...account, password: "short" });
+
+    assert.equal(response.status, 400);
+  });
+});
+
+describe("POST /auth/login and /auth/refresh", () => {
+  test("issues tokens and refreshes them", async () => {
+    await api().post("/auth/register").send(account);
+
+    const login = await api()
+      .post("/auth/login")
+      .send({ username: account.username, password: account.password });
+    assert.equal(login.status, 200);
+    assert.ok(login.body.accessToken);
+
+    const refresh = await api()
+      .post("/auth/refresh")
+      .send({ refreshToken: login.body.refreshToken });
+    assert.equal(refresh.status, 200);
+    assert.ok(refresh.body.accessToken);
+  });
+
+  test("rejects a wrong password", async () => {
+    await api().post("/auth/register").send(account);
+
+    const response = await api()
+      .post("/auth/login")
+      .send({ username: account.username, password: "wrong-password" });
+
+    assert.equal(response.status, 401);
+  });
+
+  test("rejects an access token used as a refresh token", async () => {
+    await api().post("/auth/register").send(account);
+    const login = await api()
+      .post("/auth/login")
+      .send({ username: account.username, password: account.password });
+
+    const response = await api()
+      .post("/auth/refresh")
+      .send({ refreshToken: login.body.accessToken });
+
+    assert.equal(response.status, 401);
+  });
+});
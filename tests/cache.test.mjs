@@ -0,0 +1,163 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+  setRole,
+  breakDatabase,
+} from "./helpers.mjs";
+import config from "../utils/config.mjs";
+
+beforeEach(resetDatabase);
+
+const upvote = (user, path) =>
+  api()
+    .post(`${path}/upvote`)
+    .set("Authorization", `Bearer ${user.token}`)
+    .send({ vote: "1" });
+
+describe("conditional requests", () => {
+  test("answer 304 when If-None-Match has the ETag", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const first = await api().get(`/questions/${question.id}`);
+
+    const again = await api()
+      .get(`/questions/${question.id}`)
+      .set("If-None-Match", first.headers.etag);
+
+    assert.equal(first.status, 200);
+    assert.match(first.headers.etag, /^"[\w-]+"$/);
+    assert.equal(first.headers["cache-control"], "no-cache");
+    assert.equal(
+      first.headers["last-modified"],
+      new Date(question.updated_at).toUTCString()
+    );
+    assert.equal(again.status, 304);
+    assert.equal(again.text, "");
+  });
+
+  test("send the full response for another ETag or If-Modified-Since alone", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const first = await api().get(`/questions/${question.id}/answers`);
+
+    const otherTag = await api()
+      .get(`/questions/${question.id}/answers`)
+      .set("If-None-Match", '"something-else"');
+    const modifiedSince = await api()
+      .get(`/questions/${question.id}/answers`)
+      .set("If-Modified-Since", new Date(Date.now() + 60000).toUTCString());
+
+    assert.equal(otherTag.status, 200);
+    assert.equal(otherTag.headers.etag, first.headers.etag);
+    assert.equal(modifiedSince.status, 200);
+  });
+
+  test("give a new ETag after a vote", async () => {
+    const author = await createUser();
+    const voter = await createUser();
+    const question = await createQuestion(author);
+    const before = await api().get(`/questions/${question.id}`);
+    await upvote(voter, `/questions/${question.id}`);
+
+    const after = await api()
+      .get(`/questions/${question.id}`)
+      .set("If-None-Match", before.headers.etag);
+
+    assert.equal(after.status, 200);
+    assert.notEqual(after.headers.etag, before.headers.etag);
+    assert.equal(after.body.data.upvote_count, 1);
+  });
+});
+
+describe("response cache", () => {
+  test("serves repeated reads without the database", async (t) => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    await createAnswer(user, question.id);
+    const paths = [
+      "/questions",
+      `/questions/${question.id}`,
+      `/questions/${question.id}/answers`,
+    ];
+    const first = [];
+    for (const path of paths) {
+      first.push(await api().get(path));
+    }
+    breakDatabase(t);
+
+    for (const [index, path] of paths.entries()) {
+      const response = await api().get(path);
+      assert.equal(response.status, 200, path);
+      assert.deepEqual(response.body, first[index].body, path);
+    }
+  });
+
+  test("drops the question's responses and the lists on writes", async () => {
+    const author = await createUser();
+    const voter = await createUser();
+    const question = await createQuestion(author);
+    const answer = await createAnswer(author, question.id);
+    await api().get("/questions?sort=votes");
+    await api().get(`/questions/${question.id}/answers`);
+
+    await upvote(voter, `/answers/${answer.id}`);
+    await api()
+      .put(`/questions/${question.id}`)
+      .set("Authorization", `Bearer ${author.token}`)
+      .send({
+        title: "How do I tune Postgres now?",
+        description: "Queries still get slow.",
+        tags: ["technology"],
+      });
+    const list = await api().get("/questions?sort=votes");
+    const answers = await api().get(`/questions/${question.id}/answers`);
+
+    assert.equal(list.body.data[0].title, "How do I tune Postgres now?");
+    assert.equal(answers.body.data[0].upvote_count, 1);
+  });
+
+  test("drops answers a moderator hides", async () => {
+    const author = await createUser();
+    const flagger = await createUser();
+    const moderator = await createUser();
+    await setRole(moderator, "moderator");
+    const question = await createQuestion(author);
+    const answer = await createAnswer(author, question.id);
+    await api()
+      .post(`/answers/${answer.id}/flags`)
+      .set("Authorization", `Bearer ${flagger.token}`)
+      .send({ reason: "spam" });
+    await api().get(`/questions/${question.id}/answers`);
+
+    await api()
+      .post(`/moderation/answers/${answer.id}/decision`)
+      .set("Authorization", `Bearer ${moderator.token}`)
+      .send({ action: "hide" });
+    const answers = await api().get(`/questions/${question.id}/answers`);
+
+    assert.deepEqual(answers.body.data, []);
+  });
+
+  test("is off when CACHE_TTL_MS is 0", async (t) => {
+    const ttlMs = config.cache.ttlMs;
+    config.cache.ttlMs = 0;
+    t.after(() => {
+      config.cache.ttlMs = ttlMs;
+    });
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const first = await api().get(`/questions/${question.id}`);
+    breakDatabase(t);
+
+    const response = await api().get(`/questions/${question.id}`);
+
+    assert.equal(first.status, 200);
+    assert.ok(first.headers.etag);
+    assert.equal(response.status, 500);
+  });
+});
@@ -0,0 +1,250 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+  breakDatabase,
+} from "./helpers.mjs";
+
+beforeEach(resetDatabase);
+
+const comment = (user, path, body) =>
+  api()
+    .post(`${path}/comments`)
+    .set("Authorization", `Bearer ${user.token}`)
+    .send(body);
+
+for (const target of ["question", "answer"]) {
+  describe(`comments on ${
+    target === "answer" ? "an answer" : "a question"
+  }`, () => {
+    const setup = async () => {
+      const user = await createUser();
+      const question = await createQuestion(user);
+      if (target === "question") {
+        return { user, path: `/questions/${question.id}` };
+      }
+      const answer = await createAnswer(user, question.id);
+      return { user, path: `/answers/${answer.id}` };
+    };
+
+    test("lists comments oldest first with their replies", async () => {
+      const { user, path } = await setup();
+      const first = await comment(user, path, { content: "First" });
+      await comment(user, path, { content: "Second" });
+      const reply = await comment(user, path, {
+        content: "Reply",
+        parentId: first.body.comment.id,
+      });
+      assert.equal(first.status, 201);
+      assert.equal(reply.status, 201);
+
+      const response = await api().get(`${path}/comments`);
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(
+        response.body.data.map((thread) => [
+          thread.content,
+          thread.replies.map((reply) => reply.content),
+        ]),
+        [
+          ["First", ["Reply"]],
+          ["Second", []],
+        ]
+      );
+    });
+
+    test("allows only one level of replies", async () => {
+      const { user, path } = await setup();
+      const first = await comment(user, path, { content: "First" });
+      const reply = await comment(user, path, {
+        content: "Reply",
+        parentId: first.body.comment.id,
+      });
+
+      const response = await comment(user, path, {
+        content: "Reply to reply",
+        parentId: reply.body.comment.id,
+      });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.message, "Replies cannot be replied to.");
+    });
+
+    test("returns 404 for a missing parent comment", async () => {
+      const { user, path } = await setup();
+
+      const response = await comment(user, path, {
+        content: "Reply",
+        parentId: 999,
+      });
+
+      assert.equal(response.status, 404);
+      assert.equal(response.body.message, "Comment not found.");
+    });
+
+    test("rejects empty content", async () => {
+      const { user, path } = await setup();
+
+      const response = await comment(user, path, { content: "" });
+
+      assert.equal(response.status, 400);
+    });
+
+    test("requires a token", async () => {
+      const { path } = await setup();
+
+      const response = await api()
+        .post(`${path}/comments`)
+        .send({ content: "First" });
+
+      assert.equal(response.status, 401);
+    });
+  });
+}
+
+describe("GET and POST comments on a missing target", () => {
+  test("returns 404", async () => {
+    const user = await createUser();
+
+    const list = await api().get("/questions/999/comments");
+    const create = await comment(user, "/answers/999", { content: "Hi" });
+
+    assert.equal(list.status, 404);
+    assert.equal(list.body.message, "Question not found.");
+    assert.equal(create.status, 404);
+    assert.equal(create.body.message, "Answer not found.");
+  });
+
+  test("rejects replying to a comment on another question", async () => {
+    const user = await createUser();
+    const one = await createQuestion(user);
+    const other = await createQuestion(user);
+    const parent = await comment(user, `/questions/${one.id}`, {
+      content: "First",
+    });
+
+    const response = await comment(user, `/questions/${other.id}`, {
+      content: "Reply",
+      parentId: parent.body.comment.id,
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    breakDatabase(t);
+
+    const response = await api().get("/questions/1/comments");
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("PUT /comments/:id", () => {
+  test("updates the caller's comment", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const created = await comment(user, `/questions/${question.id}`, {
+      content: "First",
+    });
+
+    const response = await api()
+      .put(`/comments/${created.body.comment.id}`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ content: "Edited" });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.comment.content, "Edited");
+  });
+
+  test("forbids editing someone else's comment", async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const question = await createQuestion(author);
+    const created = await comment(author, `/questions/${question.id}`, {
+      content: "First",
+    });
+
+    const response = await api()
+      .put(`/comments/${created.body.comment.id}`)
+      .set("Authorization", `Bearer ${other.token}`)
+      .send({ content: "Edited" });
+
+    assert.equal(response.status, 403);
+  });
+
+  test("returns 404 for a missing comment", async () => {
+    const user = await createUser();
+
+    const response = await api()
+      .put("/comments/999")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ content: "Edited" });
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe("DELETE /comments/:id", () => {
+  test("deletes the comment and its replies", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const path = `/questions/${question.id}`;
+    const created = await comment(user, path, { content: "First" });
+    await comment(user, path, {
+      content: "Reply",
+      parentId: created.body.comment.id,
+    });
+
+    const response = await api()
+      .delete(`/comments/${created.body.comment.id}`)
+      .set("Authorization", `Bearer ${user.token}`);
+
+    assert.equal(response.status, 200);
+    const list = await api().get(`${path}/comments`);
+    assert.deepEqual(list.body.data, []);
+  });
+
+  test("forbids deleting someone else's comment", async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const question = await createQuestion(author);
+    const created = await comment(author, `/questions/${question.id}`, {
+      content: "First",
+    });
+
+    const response = await api()
+      .delete(`/comments/${created.body.comment.id}`)
+      .set("Authorization", `Bearer ${other.token}`);
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("deleting a question", () => {
+  test("hides the comments on it and on its answers", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const answer = await createAnswer(user, question.id);
+    const onQuestion = await comment(user, `/questions/${question.id}`, {
+      content: "On the question",
+    });
+    await comment(user, `/answers/${answer.id}`, { content: "On the answer" });
+
+    await api()
+      .delete(`/questions/${question.id}`)
+      .set("Authorization", `Bearer ${user.token}`);
+
+    const response = await api()
+      .put(`/comments/${onQuestion.body.comment.id}`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ content: "Edited" });
+    assert.equal(response.status, 404);
+    const answerComments = await api().get(`/answers/${answer.id}/comments`);
+    assert.equal(answerComments.status, 404);
+  });
+});
@@ -0,0 +1,293 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+  setRole,
+} from "./helpers.mjs";
+import connectionPool from "../utils/db.mjs";
+
+beforeEach(resetDatabase);
+
+const createAdmin = async () => {
+  const admin = await createUser();
+  await setRole(admin, "admin");
+  return admin;
+};
+
+const exportDataset = (user, format) =>
+  api()
+    .get("/admin/export")
+    .query(format ? { format } : {})
+    .set("Authorization", `Bearer ${user.token}`)
+    .buffer(true)
+    .parse((response, callback) => {
+      let text = "";
+      response.setEncoding("utf8");
+      response.on("data", (chunk) => {
+        text += chunk;
+      });
+      response.on("end", () => callback(null, text));
+    });
+
+const importDataset = (user, body, contentType = "application/x-ndjson") =>
+  api()
+    .post("/admin/import")
+    .set("Authorization", `Bearer ${user.token}`)
+    .set("Content-Type", contentType)
+    .send(body);
+
+const toLines = (records) =>
+  records.map((record) => JSON.stringify(record)).join("\n");
+
+// A question with an accepted answer, a vote on each and a deleted answer.
+const createDataset = async () => {
+  const admin = await createAdmin();
+  const author = await createUser();
+  const voter = await createUser();
+  const question = await createQuestion(author, {
+    title: "How do I tune Postgres?",
+    description: 'Queries get "slow",\nthen slower.',
+    tags: ["postgres", "performance"],
+  });
+  const answer = await createAnswer(voter, question.id);
+  const deleted = await createAnswer(voter, question.id, "Buy a bigger box.");
+  await api()
+    .post(`/questions/${question.id}/accept/${answer.id}`)
+    .set("Authorization", `Bearer ${author.token}`);
+  await api()
+    .delete(`/answers/${deleted.id}`)
+    .set("Authorization", `Bearer ${voter.token}`);
+  await api()
+    .post(`/questions/${question.id}/upvote`)
+    .set("Authorization", `Bearer ${voter.token}`)
+    .send({ vote: "1" });
+  await api()
+    .post(`/answers/${answer.id}/upvote`)
+    .set("Authorization", `Bearer ${author.token}`)
+    .send({ vote: "1" });
+  return { admin, author, voter, question, answer };
+};
+
+describe("GET /admin/export", () => {
+  test("streams questions, answers and votes as JSON Lines", async () => {
+    const { admin, author, voter, question, answer } = await createDataset();
+
+    const response = await exportDataset(admin);
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers["content-type"], /^application\/x-ndjson/);
+    assert.match(
+      response.headers["content-disposition"],
+      /attachment; filename="dataset.jsonl"/
+    );
+    const records = response.body
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    assert.deepEqual(
+      records.map((record) => record.type),
+      ["question", "answer", "question_vote", "answer_vote"]
+    );
+    const [questionRecord, answerRecord, questionVote, answerVote] = records;
+    assert.equal(questionRecord.id, question.id);
+    assert.equal(
+      questionRecord.description,
+      'Queries get "slow",\nthen slower.'
+    );
+    assert.deepEqual(questionRecord.tags, ["performance", "postgres"]);
+    assert.equal(questionRecord.author, author.username);
+    assert.equal(answerRecord.id, answer.id);
+    assert.equal(answerRecord.question_id, question.id);
+    assert.equal(answerRecord.accepted, true);
+    assert.deepEqual(questionVote, {
+      type: "question_vote",
+      question_id: question.id,
+      user: voter.username,
+      vote: 1,
+      created_at: questionVote.created_at,
+      updated_at: questionVote.updated_at,
+    });
+    assert.equal(answerVote.answer_id, answer.id);
+    assert.equal(answerVote.user, author.username);
+  });
+
+  test("writes CSV with a type column and quoted values", async () => {
+    const { admin } = await createDataset();
+
+    const response = await exportDataset(admin, "csv");
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers["content-type"], /^text\/csv/);
+    const [header, question] = response.body.split("\n");
+    assert.equal(
+      header,
+      "type,id,question_id,answer_id,title,description,tags,content,author,user,vote,accepted,hidden_at,created_at,updated_at"
+    );
+    assert.match(
+      question,
+      /^question,1,,,How do I tune Postgres\?,"Queries get ""slow"",$/
+    );
+  });
+
+  test("is only for admins", async () => {
+    const user = await createUser();
+
+    const response = await exportDataset(user);
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("POST /admin/import", () => {
+  test("imports an export with new ids that still link up", async () => {
+    const { admin } = await createDataset();
+    const exported = await exportDataset(admin);
+
+    const response = await importDataset(admin, exported.body);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data, {
+      imported: { question: 1, answer: 1, question_vote: 1, answer_vote: 1 },
+      failed: 0,
+      errors: [],
+    });
+    const question = await api().get("/questions/2");
+    assert.equal(question.body.data.title, "How do I tune Postgres?");
+    assert.deepEqual(question.body.data.tags, ["performance", "postgres"]);
+    assert.equal(question.body.data.upvote_count, 1);
+    assert.equal(question.body.data.accepted_answer_id, 3);
+    const answers = await api().get("/questions/2/answers");
+    assert.equal(answers.body.data.length, 1);
+    assert.equal(answers.body.data[0].id, 3);
+    assert.equal(answers.body.data[0].upvote_count, 1);
+    const revisions = await api().get("/questions/2/revisions");
+    assert.equal(revisions.body.data.length, 1);
+  });
+
+  test("imports the CSV export", async () => {
+    const { admin } = await createDataset();
+    const exported = await exportDataset(admin, "csv");
+
+    const response = await importDataset(admin, exported.body, "text/csv");
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.failed, 0);
+    const question = await api().get("/questions/2");
+    assert.equal(
+      question.body.data.description,
+      'Queries get "slow",\nthen slower.'
+    );
+    assert.equal(question.body.data.accepted_answer_id, 3);
+  });
+
+  test("restores hidden content and content of unknown authors", async () => {
+    const { admin, author, voter, question } = await createDataset();
+    await connectionPool.query(
+      `update questions set hidden_at = now() where id = $1`,
+      [question.id]
+    );
+    const exported = await exportDataset(admin);
+    await resetDatabase();
+    const restorer = await createAdmin();
+
+    const response = await importDataset(restorer, exported.body);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data, {
+      imported: { question: 1, answer: 1, question_vote: 0, answer_vote: 0 },
+      failed: 2,
+      errors: [
+        {
+          line: 3,
+          type: "question_vote",
+          message: `User ${voter.username} not found.`,
+        },
+        {
+          line: 4,
+          type: "answer_vote",
+          message: `User ${author.username} not found.`,
+        },
+      ],
+    });
+    const questions = await connectionPool.query(
+      `select author_id, hidden_at is not null as hidden, accepted_answer_id from questions`
+    );
+    assert.deepEqual(questions.rows, [
+      { author_id: null, hidden: true, accepted_answer_id: 1 },
+    ]);
+  });
+
+  test("reports records it cannot import and imports the rest", async () => {
+    const admin = await createAdmin();
+    const body = [
+      toLines([
+        {
+          type: "question",
+          id: 7,
+          title: "What is a tuple?",
+          description: "In Postgres.",
+          tags: ["postgres"],
+          author: admin.username,
+        },
+        { type: "answer", id: 9, question_id: 8, content: "A row." },
+      ]),
+      "{not json",
+      toLines([
+        { type: "comment", id: 1 },
+        { type: "answer", id: 10, question_id: 7, content: "" },
+        { type: "answer", id: 11, question_id: 7, content: "A row." },
+        { type: "question_vote", question_id: 7, user: "nobody", vote: 1 },
+        { type: "answer_vote", answer_id: 11, user: admin.username, vote: 1 },
+        { type: "answer_vote", answer_id: 11, user: admin.username, vote: -1 },
+      ]),
+    ].join("\n");
+
+    const response = await importDataset(admin, body);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data.imported, {
+      question: 1,
+      answer: 1,
+      question_vote: 0,
+      answer_vote: 1,
+    });
+    assert.equal(response.body.data.failed, 6);
+    assert.deepEqual(response.body.data.errors, [
+      {
+        line: 2,
+        type: "answer",
+        message: "Question 8 is not in the file or was not imported.",
+      },
+      { line: 3, type: null, message: "Line is not valid JSON." },
+      {
+        line: 4,
+        type: "comment",
+        message:
+          "type must be one of question, answer, question_vote, answer_vote.",
+      },
+      { line: 5, type: "answer", message: "content must not be empty." },
+      { line: 7, type: "question_vote", message: "User nobody not found." },
+      {
+        line: 9,
+        type: "answer_vote",
+        message: `${admin.username} already voted on answer 11.`,
+      },
+    ]);
+    const counts = await connectionPool.query(
+      `select upvote_count, downvote_count from answers`
+    );
+    assert.deepEqual(counts.rows, [{ upvote_count: 1, downvote_count: 0 }]);
+  });
+
+  test("is only for admins", async () => {
+    const user = await createUser();
+
+    const response = await importDataset(user, "");
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import connectionPool from "../utils/db.mjs";
+import { api, resetDatabase, createUser } from "./helpers.mjs";
+
+beforeEach(resetDatabase);
+
+describe("error responses", () => {
+  test("answers 404 when answering a missing question", async () => {
+    const user = await createUser();
+
+    const response = await api()
+      .post("/questions/999/answers")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ content: "Add an index." });
+
+    assert.equal(response.status, 404);
+    assert.deepEqual(response.body, {
+      message: "Question not found.",
+      code: "NOT_FOUND",
+    });
+  });
+
+  test("answers 503 when the database refuses connections", async (t) => {
+    t.mock.method(connectionPool, "query", async () => {
+      const error = new Error("connect ECONNREFUSED 127.0.0.1:5432");
+      error.code = "ECONNREFUSED";
+      throw error;
+    });
+
+    const response = await api().get("/questions");
+
+    assert.equal(response.status, 503);
+    assert.equal(response.body.code, "SERVICE_UNAVAILABLE");
+  });
+
+  test("answers 400 for a body that is not valid JSON", async () => {
+    const user = await createUser();
+
+    const response = await api()
+      .post("/questions")
+      .set("Authorization", `Bearer ${user.token}`)
+      .set("Content-Type", "application/json")
+      .send('{"title": ');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, "INVALID_JSON");
+  });
+
+  test("answers 400 with a code when validation fails", async () => {
+    const response = await api().get("/questions/abc");
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, "VALIDATION_FAILED");
+  });
+
+  test("answers 404 for an unknown route", async () => {
+    const response = await api().get("/nowhere");
+
+    assert.equal(response.status, 404);
+    assert.deepEqual(response.body, {
+      message: "Cannot GET /nowhere.",
+      code: "ROUTE_NOT_FOUND",
+    });
+  });
+});
@@ -0,0 +1,466 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+  setRole,
+  hide,
+} from "./helpers.mjs";
+import connectionPool from "../utils/db.mjs";
+
+beforeEach(resetDatabase);
+
+const graphql = (query, variables, user) => {
+  const request = api().post("/graphql");
+  if (user) {
+    request.set("Authorization", `Bearer ${user.token}`);
+  }
+  return request.send({ query, variables });
+};
+
+const questionWithAnswers = `
+  query ($id: Int!) {
+    question(id: $id) {
+      id
+      title
+      tags
+      author { id username }
+      votes { upvote downvote score }
+      my_vote { vote }
+      accepted_answer { id }
+      answers {
+        content
+        is_accepted
+        author { username }
+        question { id }
+      }
+    }
+  }`;
+
+describe("GraphQL queries", () => {
+  test("returns a question with its answers, authors and votes", async () => {
+    const author = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(author, { tags: ["postgres"] });
+    await createAnswer(answerer, question.id, "Add an index.");
+    const accepted = await createAnswer(author, question.id, "Run VACUUM.");
+    await api()
+      .post(`/questions/${question.id}/accept/${accepted.id}`)
+      .set("Authorization", `Bearer ${author.token}`);
+    await api()
+      .post(`/questions/${question.id}/upvote`)
+      .set("Authorization", `Bearer ${answerer.token}`)
+      .send({ vote: 1 });
+
+    const response = await graphql(
+      questionWithAnswers,
+      { id: question.id },
+      answerer
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.errors, undefined);
+    assert.deepEqual(response.body.data.question, {
+      id: question.id,
+      title: "How do I tune Postgres?",
+      tags: ["postgres"],
+      author: { id: author.id, username: author.username },
+      votes: { upvote: 1, downvote: 0, score: 1 },
+      my_vote: { vote: 1 },
+      accepted_answer: { id: accepted.id },
+      answers: [
+        {
+          content: "Run VACUUM.",
+          is_accepted: true,
+          author: { username: author.username },
+          question: { id: question.id },
+        },
+        {
+          content: "Add an index.",
+          is_accepted: false,
+          author: { username: answerer.username },
+          question: { id: question.id },
+        },
+      ],
+    });
+  });
+
+  test("returns null for a question in the trash", async () => {
+    const author = await createUser();
+    const question = await createQuestion(author);
+    await api()
+      .delete(`/questions/${question.id}`)
+      .set("Authorization", `Bearer ${author.token}`);
+
+    const response = await graphql(questionWithAnswers, { id: question.id });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.question, null);
+  });
+
+  test("returns a hidden question and its answers only to its author and moderators", async () => {
+    const author = await createUser();
+    const moderator = await createUser();
+    await setRole(moderator, "moderator");
+    const question = await createQuestion(author);
+    const answer = await createAnswer(author, question.id);
+    await hide("questions", question.id);
+    const query = `
+      query ($id: Int!, $answerId: Int!) {
+        question(id: $id) { id }
+        answer(id: $answerId) { question { id } }
+      }`;
+    const variables = { id: question.id, answerId: answer.id };
+
+    const signedOut = await graphql(query, variables);
+    const byAuthor = await graphql(query, variables, author);
+    const byModerator = await graphql(query, variables, moderator);
+
+    assert.deepEqual(signedOut.body.data, { question: null, answer: null });
+    assert.deepEqual(byAuthor.body.data, {
+      question: { id: question.id },
+      answer: { question: { id: question.id } },
+    });
+    assert.deepEqual(byModerator.body.data, byAuthor.body.data);
+  });
+
+  test("loads nested fields in batches instead of once per row", async (t) => {
+    const users = [await createUser(), await createUser(), await createUser()];
+    for (const user of users) {
+      const question = await createQuestion(user);
+      for (const answerer of users) {
+        await createAnswer(answerer, question.id);
+      }
+    }
+    const query = t.mock.method(connectionPool, "query");
+
+    const response = await graphql(
+      `
+        {
+          questions(limit: 3) {
+            data {
+              author {
+                username
+              }
+              my_vote {
+                vote
+              }
+              answers {
+                author {
+                  username
+                }
+                question {
+                  title
+                }
+                votes {
+                  score
+                }
+              }
+            }
+          }
+        }
+      `,
+      undefined,
+      users[0]
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.questions.data.length, 3);
+    assert.equal(response.body.data.questions.data[0].answers.length, 3);
+    // The page, the authors, the viewer's votes and the answers. The answers'
+    // authors and questions were loaded already.
+    assert.equal(query.mock.callCount(), 4);
+  });
+
+  test("pages through questions newest first", async () => {
+    const author = await createUser();
+    for (const title of ["First question", "Second question", "Third one"]) {
+      await createQuestion(author, { title });
+    }
+    const page = `
+      query ($after: String) {
+        questions(limit: 2, after: $after) {
+          data { title }
+          pagination { nextCursor hasMore }
+        }
+      }`;
+
+    const first = await graphql(page);
+    const second = await graphql(page, {
+      after: first.body.data.questions.pagination.nextCursor,
+    });
+
+    assert.deepEqual(
+      first.body.data.questions.data.map((question) => question.title),
+      ["Third one", "Second question"]
+    );
+    assert.equal(first.body.data.questions.pagination.hasMore, true);
+    assert.deepEqual(second.body.data.questions, {
+      data: [{ title: "First question" }],
+      pagination: { nextCursor: null, hasMore: false },
+    });
+  });
+
+  test("answers 400 to a document that does not match the schema", async () => {
+    const response = await graphql(
+      `
+        {
+          question(id: 1) {
+            titel
+          }
+        }
+      `
+    );
+
+    assert.equal(response.status, 400);
+    assert.match(response.body.errors[0].message, /Cannot query field "titel"/);
+  });
+
+  test("answers 400 to a document nested too deep", async () => {
+    const response = await graphql(
+      `
+        query {
+          question(id: 1) {
+            ...deeper
+          }
+        }
+        fragment deeper on Question {
+          answers {
+            question {
+              answers {
+                question {
+                  title
+                }
+              }
+            }
+          }
+        }
+      `
+    );
+
+    assert.equal(response.status, 400);
+    assert.equal(
+      response.body.errors[0].message,
+      "Query is nested deeper than 5 fields."
+    );
+  });
+
+  test("answers 400 without a query", async () => {
+    const response = await api().post("/graphql").send({});
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, "VALIDATION_FAILED");
+  });
+});
+
+const createQuestionMutation = `
+  mutation ($input: QuestionInput!) {
+    createQuestion(input: $input) { id title tags author { username } }
+  }`;
+
+describe("GraphQL mutations", () => {
+  test("create a question like POST /questions", async () => {
+    const user = await createUser();
+
+    const response = await graphql(
+      createQuestionMutation,
+      {
+        input: {
+          title: "How do I tune Postgres?",
+          description: "Queries get slow.",
+          tags: ["Postgres"],
+        },
+      },
+      user
+    );
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data.createQuestion, {
+      id: 1,
+      title: "How do I tune Postgres?",
+      tags: ["postgres"],
+      author: { username: user.username },
+    });
+    const stored = await api().get("/questions/1");
+    assert.equal(stored.body.data.author_id, user.id);
+  });
+
+  test("reject invalid input with the rules of the REST routes", async () => {
+    const user = await createUser();
+
+    const response = await graphql(
+      createQuestionMutation,
+      { input: { title: "", description: "Queries get slow.", tags: [] } },
+      user
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data, null);
+    const [error] = response.body.errors;
+    assert.equal(error.message, "Missing or invalid request data.");
+    assert.deepEqual(error.path, ["createQuestion"]);
+    assert.equal(error.extensions.code, "VALIDATION_FAILED");
+    assert.deepEqual(
+      error.extensions.errors.map((problem) => problem.field),
+      ["input.title", "input.tags"]
+    );
+  });
+
+  test("need a valid token", async () => {
+    const response = await graphql(createQuestionMutation, {
+      input: { title: "Title", description: "Description", tags: ["sql"] },
+    });
+
+    assert.equal(response.body.errors[0].extensions.code, "UNAUTHORIZED");
+    assert.equal(response.body.errors[0].message, "Token has invalid format.");
+  });
+
+  test("only let the author edit or delete a question", async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const question = await createQuestion(author);
+    const update = `
+      mutation ($id: Int!, $input: QuestionInput!) {
+        updateQuestion(id: $id, input: $input) { title tags }
+      }`;
+    const input = {
+      title: "How do I tune MySQL?",
+      description: "Queries get slow.",
+      tags: ["mysql"],
+    };
+
+    const forbidden = await graphql(update, { id: question.id, input }, other);
+    const updated = await graphql(update, { id: question.id, input }, author);
+    const deleted = await graphql(
+      `
+        mutation ($id: Int!) {
+          deleteQuestion(id: $id)
+        }
+      `,
+      { id: question.id },
+      author
+    );
+
+    assert.equal(forbidden.body.errors[0].extensions.code, "FORBIDDEN");
+    assert.deepEqual(updated.body.data.updateQuestion, {
+      title: "How do I tune MySQL?",
+      tags: ["mysql"],
+    });
+    assert.equal(deleted.body.data.deleteQuestion, true);
+    const stored = await api().get(`/questions/${question.id}`);
+    assert.equal(stored.status, 404);
+  });
+
+  test("vote on questions and retract the vote", async () => {
+    const author = await createUser();
+    const voter = await createUser();
+    const question = await createQuestion(author);
+    const vote = (mutation, user) =>
+      graphql(
+        `mutation ($id: Int!) {
+          ${mutation}(id: $id) { votes { upvote downvote } my_vote { vote } }
+        }`,
+        { id: question.id },
+        user
+      );
+
+    const upvoted = await vote("upvoteQuestion", voter);
+    const downvoted = await vote("downvoteQuestion", voter);
+    const retracted = await vote("retractQuestionVote", voter);
+
+    assert.deepEqual(upvoted.body.data.upvoteQuestion, {
+      votes: { upvote: 1, downvote: 0 },
+      my_vote: { vote: 1 },
+    });
+    // Downvoting takes more reputation than a new user has.
+    assert.equal(downvoted.body.errors[0].extensions.code, "FORBIDDEN");
+    assert.deepEqual(retracted.body.data.retractQuestionVote, {
+      votes: { upvote: 0, downvote: 0 },
+      my_vote: null,
+    });
+  });
+
+  test("create, edit, vote on and delete answers", async () => {
+    const author = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(author);
+
+    const created = await graphql(
+      `
+        mutation ($questionId: Int!, $input: AnswerInput!) {
+          createAnswer(questionId: $questionId, input: $input) {
+            id
+            content
+            question {
+              id
+            }
+            author {
+              username
+            }
+          }
+        }
+      `,
+      { questionId: question.id, input: { content: "Add an index." } },
+      answerer
+    );
+    const { id } = created.body.data.createAnswer;
+    const edited = await graphql(
+      `
+        mutation ($id: Int!) {
+          updateAnswer(id: $id, input: { content: "Add two indexes." }) {
+            content
+          }
+        }
+      `,
+      { id },
+      answerer
+    );
+    const upvoted = await graphql(
+      `
+        mutation ($id: Int!) {
+          upvoteAnswer(id: $id) {
+            votes {
+              score
+            }
+          }
+        }
+      `,
+      { id },
+      author
+    );
+    const deleted = await graphql(
+      `
+        mutation ($id: Int!) {
+          deleteAnswer(id: $id)
+        }
+      `,
+      { id },
+      author
+    );
+    const missing = await graphql(
+      `
+        mutation {
+          createAnswer(questionId: 999, input: { content: "Hi." }) {
+            id
+          }
+        }
+      `,
+      undefined,
+      answerer
+    );
+
+    assert.deepEqual(created.body.data.createAnswer, {
+      id,
+      content: "Add an index.",
+      question: { id: question.id },
+      author: { username: answerer.username },
+    });
+    assert.equal(edited.body.data.updateAnswer.content, "Add two indexes.");
+    assert.equal(upvoted.body.data.upvoteAnswer.votes.score, 1);
+    assert.equal(deleted.body.errors[0].extensions.code, "FORBIDDEN");
+    assert.equal(missing.body.errors[0].extensions.code, "NOT_FOUND");
+  });
+});
@@ -0,0 +1,113 @@
+import { PGlite } from "@electric-sql/pglite";
+import request from "supertest";
+import connectionPool from "../utils/db.mjs";
+import { migrateUp } from "../db/migrator.mjs";
+import app from "../app.mjs";
+import { rateLimitStore } from "../Middlewares/rateLimit.mjs";
+import { clearCache } from "../utils/cache.mjs";
+
+// PGlite is a real PostgreSQL compiled to WebAssembly and runs inside the test
+// process. connectionPool is pointed at it, so the routes run their SQL unchanged.
+const database = new PGlite();
+
+const toPgResult = (result) => ({
+  rows: result.rows,
+  rowCount: result.affectedRows || result.rows.length,
+});
+
+const query = async (text, values) => {
+  if (values === undefined || values.length === 0) {
+    // Migrations send several statements at once, which only exec() accepts.
+    const results = await database.exec(text);
+    return toPgResult(results[results.length - 1]);
+  }
+  return toPgResult(await database.query(text, values));
+};
+
+connectionPool.query = query;
+// Only "notification" events are passed on, as { channel, payload } like pg does.
+connectionPool.connect = async () => ({
+  query,
+  release: () => {},
+  on: (event, handler) => {
+    if (event === "notification") {
+      database.onNotification((channel, payload) =>
+        handler({ channel, payload })
+      );
+    }
+  },
+});
+
+await migrateUp({ query });
+
+export const api = () => request(app);
+
+// Rate limit counts and cached responses are cleared too, so every test starts
+// with full budgets and reads what it wrote.
+export const resetDatabase = async () => {
+  await query(
+    `truncate users, questions, answers, question_votes, answer_votes, comments, tags, tag_aliases, question_tags, question_revisions, answer_revisions, flags, moderation_decisions, notifications, notification_preferences, question_events, rate_limits, stack_exchange_posts, stack_exchange_progress restart identity cascade`
+  );
+  await rateLimitStore.clear();
+  clearCache();
+};
+
+let userCount = 0;
+
+// Registers and logs in a fresh user and returns its id and access token.
+export const createUser = async () => {
+  userCount += 1;
+  const username = `user${userCount}`;
+  const password = "password123";
+  const registered = await api()
+    .post("/auth/register")
+    .send({ username, email: `${username}@example.com`, password });
+  const loggedIn = await api().post("/auth/login").send({ username, password });
+  return {
+    id: registered.body.user.id,
+    username,
+    token: loggedIn.body.accessToken,
+  };
+};
+
+export const createQuestion = async (user, question = {}) => {
+  const response = await api()
+    .post("/questions")
+    .set("Authorization", `Bearer ${user.token}`)
+    .send({
+      title: "How do I tune Postgres?",
+      description: "Queries get slow as the table grows.",
+      tags: ["technology"],
+      ...question,
+    });
+  return response.body.newQuestion;
+};
+
+export const createAnswer = async (
+  user,
+  questionId,
+  content = "Add an index."
+) => {
+  const response = await api()
+    .post(`/questions/${questionId}/answers`)
+    .set("Authorization", `Bearer ${user.token}`)
+    .send({ content });
+  return response.body.answer;
+};
+
+// Gives an existing user another role, e.g. "moderator".
+export const setRole = (user, role) =>
+  query(`update users set role = $2 where id = $1`, [user.id, role]);
+
+// Hides a question or answer the way enough flags would, without the flags.
+export const hide = (table, id) =>
+  query(`update ${table} set hidden_at = now() where id = $1`, [id]);
+
+// Makes every query fail the way an unreachable database would.
+export const breakDatabase = (t) => {
+  const fail = async () => {
+    throw new Error("connect ECONNREFUSED 127.0.0.1:5432");
+  };
+  t.mock.method(connectionPool, "query", fail);
+  t.mock.method(connectionPool, "connect", fail);
+};
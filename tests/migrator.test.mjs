@@ -0,0 +1,93 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { migrateUp, migrateDown } from "../db/migrator.mjs";
+
+// Stands in for a database, keeping only the rows of schema_migrations. They
+// are returned in text order, as the version column would sort them.
+const fakeDatabase = () => {
+  const statements = [];
+  const applied = [];
+  return {
+    statements,
+    query: async (text, values) => {
+      statements.push(text);
+      if (text.startsWith("insert into schema_migrations")) {
+        applied.push(values[0]);
+      } else if (text.startsWith("delete from schema_migrations")) {
+        applied.splice(applied.indexOf(values[0]), 1);
+      } else if (text.startsWith("select version")) {
+        const rows = [...applied].sort().map((version) => ({ version }));
+        return { rows, rowCount: rows.length };
+      }
+      return { rows: [], rowCount: 0 };
+    },
+  };
+};
+
+// Migrations whose versions are not zero-padded, so 10 sorts before 9 as text.
+let directory;
+
+before(async () => {
+  directory = await mkdtemp(path.join(tmpdir(), "migrations-"));
+  for (const name of ["9_first", "10_second"]) {
+    await writeFile(path.join(directory, `${name}.up.sql`), "select 1");
+    await writeFile(path.join(directory, `${name}.down.sql`), "select 1");
+  }
+});
+
+after(() => rm(directory, { recursive: true }));
+
+describe("migrateUp", () => {
+  test("compares the target version as a number", async () => {
+    const applied = await migrateUp(fakeDatabase(), { to: "4" });
+
+    assert.deepEqual(
+      applied.map((migration) => migration.version),
+      ["0001", "0002", "0003", "0004"]
+    );
+  });
+
+  test("applies unpadded versions in numeric order", async () => {
+    const client = fakeDatabase();
+
+    const first = await migrateUp(client, { to: 9, directory });
+    const rest = await migrateUp(client, { directory });
+
+    assert.deepEqual(
+      first.map((migration) => migration.version),
+      ["9"]
+    );
+    assert.deepEqual(
+      rest.map((migration) => migration.version),
+      ["10"]
+    );
+  });
+
+  test("rejects a target version that is not an integer", async () => {
+    const client = fakeDatabase();
+
+    await assert.rejects(migrateUp(client, { to: "latest" }), {
+      message: "Version must be a non-negative integer.",
+    });
+    await assert.rejects(migrateUp(client, { to: "4.5" }));
+    assert.equal(client.statements.length, 0);
+  });
+});
+
+describe("migrateDown", () => {
+  test("reverts the highest unpadded version first", async () => {
+    const client = fakeDatabase();
+    await migrateUp(client, { directory });
+
+    const last = await migrateDown(client, { directory });
+    const first = await migrateDown(client, { directory });
+
+    assert.deepEqual(
+      [...last, ...first].map((migration) => migration.version),
+      ["10", "9"]
+    );
+  });
+});
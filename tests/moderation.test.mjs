@@ -0,0 +1,456 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+  setRole,
+  breakDatabase,
+} from "./helpers.mjs";
+
+beforeEach(resetDatabase);
+
+const flag = (user, path, body = { reason: "spam" }) =>
+  api()
+    .post(`${path}/flags`)
+    .set("Authorization", `Bearer ${user.token}`)
+    .send(body);
+
+// FLAG_HIDE_THRESHOLD is 3 unless set.
+const flagByOthers = async (path, count) => {
+  for (let index = 0; index < count; index += 1) {
+    const flagger = await createUser();
+    await flag(flagger, path);
+  }
+};
+
+const createModerator = async () => {
+  const moderator = await createUser();
+  await setRole(moderator, "moderator");
+  return moderator;
+};
+
+const decideOn = (moderator, path, body) =>
+  api()
+    .post(`/moderation${path}/decision`)
+    .set("Authorization", `Bearer ${moderator.token}`)
+    .send(body);
+
+describe("POST /questions/:id/flags", () => {
+  test("records the flag", async () => {
+    const author = await createUser();
+    const flagger = await createUser();
+    const question = await createQuestion(author);
+
+    const response = await flag(flagger, `/questions/${question.id}`, {
+      reason: "offensive",
+      note: "Insults other users.",
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.flag.question_id, question.id);
+    assert.equal(response.body.flag.reason, "offensive");
+    assert.equal(response.body.flag.note, "Insults other users.");
+    assert.equal(response.body.flag.flagger_id, flagger.id);
+    assert.equal(response.body.hidden, false);
+  });
+
+  test("hides the question from listings at the threshold", async () => {
+    const author = await createUser();
+    const question = await createQuestion(author, { tags: ["spam"] });
+    await flagByOthers(`/questions/${question.id}`, 2);
+    const third = await createUser();
+
+    const response = await flag(third, `/questions/${question.id}`);
+
+    assert.equal(response.body.hidden, true);
+    const list = await api().get("/questions");
+    assert.equal(list.status, 404);
+    const tags = await api().get("/tags");
+    assert.equal(tags.body.data[0].question_count, 0);
+    const single = await api().get(`/questions/${question.id}`);
+    assert.equal(single.status, 404);
+  });
+
+  test("shows a hidden question by id only to its author and moderators", async () => {
+    const author = await createUser();
+    const moderator = await createModerator();
+    const other = await createUser();
+    const question = await createQuestion(author);
+    await flagByOthers(`/questions/${question.id}`, 3);
+    const get = (user) =>
+      api()
+        .get(`/questions/${question.id}`)
+        .set("Authorization", `Bearer ${user.token}`);
+
+    const byAuthor = await get(author);
+    const byModerator = await get(moderator);
+    const byOther = await get(other);
+
+    assert.equal(byAuthor.status, 200);
+    assert.notEqual(byAuthor.body.data.hidden_at, null);
+    assert.equal(byAuthor.headers["cache-control"], "private, no-store");
+    assert.equal(byModerator.status, 200);
+    assert.equal(byOther.status, 404);
+  });
+
+  test("returns 409 for a second pending flag by the same user", async () => {
+    const author = await createUser();
+    const flagger = await createUser();
+    const question = await createQuestion(author);
+    await flag(flagger, `/questions/${question.id}`);
+
+    const response = await flag(flagger, `/questions/${question.id}`);
+
+    assert.equal(response.status, 409);
+    assert.equal(
+      response.body.message,
+      "You have already flagged this question."
+    );
+  });
+
+  test("returns 403 for the author", async () => {
+    const author = await createUser();
+    const question = await createQuestion(author);
+
+    const response = await flag(author, `/questions/${question.id}`);
+
+    assert.equal(response.status, 403);
+  });
+
+  test("returns 400 for an unknown reason", async () => {
+    const author = await createUser();
+    const flagger = await createUser();
+    const question = await createQuestion(author);
+
+    const response = await flag(flagger, `/questions/${question.id}`, {
+      reason: "boring",
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.errors[0].field, "body.reason");
+  });
+
+  test("returns 404 for a missing question", async () => {
+    const flagger = await createUser();
+
+    const response = await flag(flagger, "/questions/999");
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe("POST /answers/:id/flags", () => {
+  test("hides the answer from its question at the threshold", async () => {
+    const author = await createUser();
+    const question = await createQuestion(author);
+    const answer = await createAnswer(author, question.id);
+
+    await flagByOthers(`/answers/${answer.id}`, 3);
+
+    const answers = await api().get(`/questions/${question.id}/answers`);
+    assert.equal(answers.body.data.length, 0);
+    const single = await api().get(`/answers/${answer.id}`);
+    assert.equal(single.status, 404);
+    const byAuthor = await api()
+      .get(`/answers/${answer.id}`)
+      .set("Authorization", `Bearer ${author.token}`);
+    assert.equal(byAuthor.status, 200);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    const flagger = await createUser();
+    breakDatabase(t);
+
+    const response = await flag(flagger, "/answers/1");
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("hidden questions", () => {
+  const as = (request, user) =>
+    user ? request.set("Authorization", `Bearer ${user.token}`) : request;
+
+  test("keep their answers and comments from everyone but the author and moderators", async () => {
+    const author = await createUser();
+    const answerer = await createUser();
+    const moderator = await createModerator();
+    const question = await createQuestion(author);
+    const answer = await createAnswer(answerer, question.id);
+    await as(api().post(`/questions/${question.id}/comments`), answerer).send({
+      content: "Which version?",
+    });
+    await flagByOthers(`/questions/${question.id}`, 3);
+    const read = (path, user) => as(api().get(path), user);
+
+    for (const path of [
+      `/questions/${question.id}/answers`,
+      `/questions/${question.id}/comments`,
+      `/answers/${answer.id}`,
+      `/answers/${answer.id}/comments`,
+    ]) {
+      assert.equal((await read(path)).status, 404, path);
+      assert.equal((await read(path, answerer)).status, 404, path);
+      assert.equal((await read(path, author)).status, 200, path);
+      assert.equal((await read(path, moderator)).status, 200, path);
+    }
+    const answers = await read(`/questions/${question.id}/answers`, author);
+    assert.equal(answers.body.data.length, 1);
+    assert.equal(answers.headers["cache-control"], "private, no-store");
+  });
+
+  test("take no answers, comments or votes from other users", async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const question = await createQuestion(author);
+    const answer = await createAnswer(author, question.id);
+    await flagByOthers(`/questions/${question.id}`, 3);
+    const write = (path, user, body) => as(api().post(path), user).send(body);
+
+    const answered = await write(`/questions/${question.id}/answers`, other, {
+      content: "Add an index.",
+    });
+    const commented = await write(`/questions/${question.id}/comments`, other, {
+      content: "Which version?",
+    });
+    const votedQuestion = await write(
+      `/questions/${question.id}/upvote`,
+      other,
+      {
+        vote: 1,
+      }
+    );
+    const votedAnswer = await write(`/answers/${answer.id}/upvote`, other, {
+      vote: 1,
+    });
+    const answeredByAuthor = await write(
+      `/questions/${question.id}/answers`,
+      author,
+      { content: "Found it myself." }
+    );
+
+    assert.equal(answered.status, 404);
+    assert.equal(commented.status, 404);
+    assert.equal(votedQuestion.status, 404);
+    assert.equal(votedAnswer.status, 404);
+    assert.equal(answeredByAuthor.status, 201);
+  });
+});
+
+describe("GET /moderation/flags", () => {
+  test("lists flagged content most flagged first", async () => {
+    const author = await createUser();
+    const moderator = await createModerator();
+    const question = await createQuestion(author);
+    const answer = await createAnswer(author, question.id);
+    await flagByOthers(`/questions/${question.id}`, 1);
+    await flagByOthers(`/answers/${answer.id}`, 2);
+
+    const response = await api()
+      .get("/moderation/flags")
+      .set("Authorization", `Bearer ${moderator.token}`);
+
+    assert.equal(response.status, 200);
+    const [first, second] = response.body.data;
+    assert.equal(first.type, "answer");
+    assert.equal(first.id, answer.id);
+    assert.equal(first.flag_count, 2);
+    assert.equal(first.flags.length, 2);
+    assert.equal(first.flags[0].reason, "spam");
+    assert.equal(second.type, "question");
+    assert.equal(second.flag_count, 1);
+  });
+
+  test("filters by reason", async () => {
+    const author = await createUser();
+    const moderator = await createModerator();
+    const flagger = await createUser();
+    const spam = await createQuestion(author, { title: "Spam" });
+    const rude = await createQuestion(author, { title: "Rude" });
+    await flag(flagger, `/questions/${spam.id}`);
+    await flag(flagger, `/questions/${rude.id}`, { reason: "offensive" });
+
+    const response = await api()
+      .get("/moderation/flags?reason=offensive")
+      .set("Authorization", `Bearer ${moderator.token}`);
+
+    assert.deepEqual(
+      response.body.data.map((item) => item.id),
+      [rude.id]
+    );
+  });
+
+  test("returns 403 for a regular user", async () => {
+    const user = await createUser();
+
+    const response = await api()
+      .get("/moderation/flags")
+      .set("Authorization", `Bearer ${user.token}`);
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("POST /moderation/questions/:id/decision", () => {
+  test("dismiss settles the flags and shows the question again", async () => {
+    const author = await createUser();
+    const moderator = await createModerator();
+    const question = await createQuestion(author);
+    await flagByOthers(`/questions/${question.id}`, 3);
+
+    const response = await decideOn(moderator, `/questions/${question.id}`, {
+      action: "dismiss",
+      note: "Not spam.",
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.decision.action, "dismiss");
+    assert.equal(response.body.decision.note, "Not spam.");
+    assert.equal(response.body.decision.moderator_id, moderator.id);
+    assert.equal(response.body.decision.flag_count, 3);
+    const list = await api().get("/questions");
+    assert.equal(list.body.data.length, 1);
+    const queue = await api()
+      .get("/moderation/flags")
+      .set("Authorization", `Bearer ${moderator.token}`);
+    assert.equal(queue.body.data.length, 0);
+  });
+
+  test("hide keeps the question out of listings", async () => {
+    const author = await createUser();
+    const moderator = await createModerator();
+    const question = await createQuestion(author);
+    await flagByOthers(`/questions/${question.id}`, 1);
+
+    await decideOn(moderator, `/questions/${question.id}`, { action: "hide" });
+
+    const list = await api().get("/questions");
+    assert.equal(list.status, 404);
+    const single = await api().get(`/questions/${question.id}`);
+    assert.equal(single.status, 404);
+  });
+
+  test("edit stores a revision by the moderator", async () => {
+    const author = await createUser();
+    const moderator = await createModerator();
+    const question = await createQuestion(author);
+    await flagByOthers(`/questions/${question.id}`, 3);
+
+    const response = await decideOn(moderator, `/questions/${question.id}`, {
+      action: "edit",
+      changes: {
+        title: "How do I tune Postgres?",
+        description: "Queries get slow.",
+        tags: ["postgres"],
+      },
+    });
+
+    assert.equal(response.status, 200);
+    const single = await api().get(`/questions/${question.id}`);
+    assert.equal(single.body.data.description, "Queries get slow.");
+    assert.equal(single.body.data.hidden_at, null);
+    const revisions = await api().get(`/questions/${question.id}/revisions`);
+    assert.equal(revisions.body.data[0].editor_id, moderator.id);
+  });
+
+  test("edit without changes returns 400", async () => {
+    const author = await createUser();
+    const moderator = await createModerator();
+    const question = await createQuestion(author);
+    await flagByOthers(`/questions/${question.id}`, 1);
+
+    const response = await decideOn(moderator, `/questions/${question.id}`, {
+      action: "edit",
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, "INVALID_INPUT");
+  });
+
+  test("delete moves the question to the trash", async () => {
+    const author = await createUser();
+    const moderator = await createModerator();
+    const question = await createQuestion(author);
+    await flagByOthers(`/questions/${question.id}`, 1);
+
+    await decideOn(moderator, `/questions/${question.id}`, {
+      action: "delete",
+    });
+
+    const single = await api().get(`/questions/${question.id}`);
+    assert.equal(single.status, 404);
+  });
+
+  test("returns 404 when the question has no pending flags", async () => {
+    const author = await createUser();
+    const moderator = await createModerator();
+    const question = await createQuestion(author);
+
+    const response = await decideOn(moderator, `/questions/${question.id}`, {
+      action: "dismiss",
+    });
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.message, "Question has no pending flags.");
+  });
+
+  test("returns 403 for a regular user", async () => {
+    const author = await createUser();
+    const question = await createQuestion(author);
+
+    const response = await decideOn(author, `/questions/${question.id}`, {
+      action: "dismiss",
+    });
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("POST /moderation/answers/:id/decision", () => {
+  test("edit replaces the answer", async () => {
+    const author = await createUser();
+    const moderator = await createModerator();
+    const question = await createQuestion(author);
+    const answer = await createAnswer(author, question.id);
+    await flagByOthers(`/answers/${answer.id}`, 3);
+
+    await decideOn(moderator, `/answers/${answer.id}`, {
+      action: "edit",
+      changes: { content: "Add an index on the filtered column." },
+    });
+
+    const answers = await api().get(`/questions/${question.id}/answers`);
+    assert.equal(
+      answers.body.data[0].content,
+      "Add an index on the filtered column."
+    );
+  });
+});
+
+describe("GET /moderation/decisions", () => {
+  test("lists decisions newest first", async () => {
+    const author = await createUser();
+    const moderator = await createModerator();
+    const question = await createQuestion(author);
+    const answer = await createAnswer(author, question.id);
+    await flagByOthers(`/questions/${question.id}`, 1);
+    await flagByOthers(`/answers/${answer.id}`, 1);
+    await decideOn(moderator, `/questions/${question.id}`, {
+      action: "dismiss",
+    });
+    await decideOn(moderator, `/answers/${answer.id}`, { action: "hide" });
+
+    const response = await api()
+      .get("/moderation/decisions?type=answer")
+      .set("Authorization", `Bearer ${moderator.token}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.length, 1);
+    assert.equal(response.body.data[0].answer_id, answer.id);
+    assert.equal(response.body.data[0].action, "hide");
+    assert.equal(response.body.data[0].flag_count, 1);
+  });
+});
@@ -0,0 +1,248 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+  setRole,
+  breakDatabase,
+} from "./helpers.mjs";
+import connectionPool from "../utils/db.mjs";
+
+beforeEach(resetDatabase);
+
+const notificationsOf = (user, query = "") =>
+  api()
+    .get(`/notifications${query}`)
+    .set("Authorization", `Bearer ${user.token}`);
+
+const voteOn = (user, answer, direction) =>
+  api()
+    .post(`/answers/${answer.id}/${direction}`)
+    .set("Authorization", `Bearer ${user.token}`)
+    .send({ vote: direction === "upvote" ? "1" : "-1" });
+
+describe("GET /notifications", () => {
+  test("tells the asker about a new answer", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    const answer = await createAnswer(answerer, question.id);
+
+    const response = await notificationsOf(asker);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.unreadCount, 1);
+    const [notification] = response.body.data;
+    assert.equal(notification.type, "question_answered");
+    assert.equal(notification.actor_id, answerer.id);
+    assert.equal(notification.question_id, question.id);
+    assert.equal(notification.question_title, question.title);
+    assert.equal(notification.answer_id, answer.id);
+    assert.equal(notification.read_at, null);
+  });
+
+  test("tells the answerer about new and changed votes only", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const voter = await createUser();
+    await setRole(voter, "moderator");
+    const question = await createQuestion(asker);
+    const answer = await createAnswer(answerer, question.id);
+    await voteOn(voter, answer, "upvote");
+    await voteOn(voter, answer, "upvote");
+    await voteOn(voter, answer, "downvote");
+
+    const response = await notificationsOf(answerer);
+
+    assert.deepEqual(
+      response.body.data.map((notification) => notification.type),
+      ["answer_downvoted", "answer_upvoted"]
+    );
+  });
+
+  test("records neither vote nor notification when the notification fails", async (t) => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    const answer = await createAnswer(answerer, question.id);
+    const connect = connectionPool.connect;
+    t.mock.method(connectionPool, "connect", async () => {
+      const client = await connect();
+      return {
+        ...client,
+        query: (text, values) =>
+          text.includes("insert into notifications")
+            ? Promise.reject(new Error("Notification failed."))
+            : client.query(text, values),
+      };
+    });
+    t.mock.method(console, "error", () => {});
+
+    const failed = await voteOn(asker, answer, "upvote");
+    t.mock.restoreAll();
+    const stored = await api().get(`/answers/${answer.id}`);
+    const retried = await voteOn(asker, answer, "upvote");
+
+    assert.equal(failed.status, 500);
+    assert.equal(stored.body.data.upvote, 0);
+    assert.equal(retried.status, 200);
+    assert.equal((await notificationsOf(answerer)).body.unreadCount, 1);
+  });
+
+  test("leaves out your own activity", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const answer = await createAnswer(user, question.id);
+    await voteOn(user, answer, "upvote");
+
+    const response = await notificationsOf(user);
+
+    assert.equal(response.body.unreadCount, 0);
+    assert.deepEqual(response.body.data, []);
+  });
+
+  test("lists only unread ones when asked", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    await createAnswer(answerer, question.id, "First.");
+    await createAnswer(answerer, question.id, "Second.");
+    const all = await notificationsOf(asker);
+    await api()
+      .post(`/notifications/${all.body.data[1].id}/read`)
+      .set("Authorization", `Bearer ${asker.token}`);
+
+    const response = await notificationsOf(asker, "?unread=true");
+
+    assert.equal(response.body.unreadCount, 1);
+    assert.deepEqual(
+      response.body.data.map((notification) => notification.id),
+      [all.body.data[0].id]
+    );
+  });
+
+  test("requires a token", async () => {
+    const response = await api().get("/notifications");
+
+    assert.equal(response.status, 401);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    const user = await createUser();
+    breakDatabase(t);
+
+    const response = await notificationsOf(user);
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("POST /notifications/:id/read", () => {
+  test("marks the notification as read", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    await createAnswer(answerer, question.id);
+    const list = await notificationsOf(asker);
+
+    const response = await api()
+      .post(`/notifications/${list.body.data[0].id}/read`)
+      .set("Authorization", `Bearer ${asker.token}`);
+
+    assert.equal(response.status, 200);
+    assert.notEqual(response.body.notification.read_at, null);
+    const after = await notificationsOf(asker);
+    assert.equal(after.body.unreadCount, 0);
+  });
+
+  test("returns 404 for someone else's notification", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    await createAnswer(answerer, question.id);
+    const list = await notificationsOf(asker);
+
+    const response = await api()
+      .post(`/notifications/${list.body.data[0].id}/read`)
+      .set("Authorization", `Bearer ${answerer.token}`);
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe("POST /notifications/read-all", () => {
+  test("marks every notification as read", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    await createAnswer(answerer, question.id, "First.");
+    await createAnswer(answerer, question.id, "Second.");
+
+    const response = await api()
+      .post("/notifications/read-all")
+      .set("Authorization", `Bearer ${asker.token}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.updated, 2);
+    const after = await notificationsOf(asker);
+    assert.equal(after.body.unreadCount, 0);
+  });
+});
+
+describe("/notifications/preferences", () => {
+  test("every type is on by default", async () => {
+    const user = await createUser();
+
+    const response = await api()
+      .get("/notifications/preferences")
+      .set("Authorization", `Bearer ${user.token}`);
+
+    assert.deepEqual(response.body.data, {
+      question_answered: true,
+      answer_upvoted: true,
+      answer_downvoted: true,
+    });
+  });
+
+  test("turned off types create no notifications", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+
+    const response = await api()
+      .put("/notifications/preferences")
+      .set("Authorization", `Bearer ${asker.token}`)
+      .send({ question_answered: false });
+    await createAnswer(answerer, question.id);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data, {
+      question_answered: false,
+      answer_upvoted: true,
+      answer_downvoted: true,
+    });
+    const list = await notificationsOf(asker);
+    assert.deepEqual(list.body.data, []);
+  });
+
+  test("rejects unknown types and empty bodies", async () => {
+    const user = await createUser();
+
+    const unknown = await api()
+      .put("/notifications/preferences")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ comment_added: true });
+    const empty = await api()
+      .put("/notifications/preferences")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({});
+
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.errors[0].field, "body.comment_added");
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.errors[0].message, "body must not be empty.");
+  });
+});
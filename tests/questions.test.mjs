@@ -0,0 +1,735 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+  setRole,
+  breakDatabase,
+} from "./helpers.mjs";
+import connectionPool from "../utils/db.mjs";
+
+beforeEach(resetDatabase);
+
+describe("GET /questions", () => {
+  test("lists questions newest first", async () => {
+    const user = await createUser();
+    const first = await createQuestion(user, { title: "First" });
+    const second = await createQuestion(user, { title: "Second" });
+
+    const response = await api().get("/questions");
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.data.map((question) => question.id),
+      [second.id, first.id]
+    );
+    assert.deepEqual(response.body.pagination, {
+      nextCursor: null,
+      hasMore: false,
+    });
+  });
+
+  test("filters by title and tag", async () => {
+    const user = await createUser();
+    await createQuestion(user, { title: "Rice", tags: ["cooking"] });
+    const match = await createQuestion(user, {
+      title: "Pasta",
+      tags: ["cooking"],
+    });
+    await createQuestion(user, { title: "Pasta", tags: ["technology"] });
+
+    const response = await api().get("/questions?title=Pasta&tag=Cooking");
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.data.map((question) => question.id),
+      [match.id]
+    );
+  });
+
+  test("filters by any or all of several tags", async () => {
+    const user = await createUser();
+    const both = await createQuestion(user, { tags: ["postgres", "indexes"] });
+    const one = await createQuestion(user, { tags: ["postgres"] });
+    await createQuestion(user, { tags: ["cooking"] });
+
+    const any = await api().get("/questions?tag=postgres,indexes&sort=oldest");
+    const all = await api().get("/questions?tag=postgres,indexes&match=all");
+
+    assert.deepEqual(
+      any.body.data.map((question) => question.id),
+      [both.id, one.id]
+    );
+    assert.deepEqual(
+      all.body.data.map((question) => question.id),
+      [both.id]
+    );
+    assert.deepEqual(all.body.data[0].tags, ["indexes", "postgres"]);
+  });
+
+  test("pages through results with the cursor", async () => {
+    const user = await createUser();
+    for (let index = 0; index < 5; index += 1) {
+      await createQuestion(user, { title: `Question ${index}` });
+    }
+
+    const seen = [];
+    let after = null;
+    do {
+      const response = await api()
+        .get("/questions")
+        .query({ limit: 2, sort: "oldest", ...(after ? { after } : {}) });
+      assert.equal(response.status, 200);
+      seen.push(...response.body.data.map((question) => question.id));
+      after = response.body.pagination.nextCursor;
+      assert.equal(response.body.pagination.hasMore, after !== null);
+    } while (after);
+
+    assert.deepEqual(seen, [1, 2, 3, 4, 5]);
+  });
+
+  test("sorts by votes", async () => {
+    const author = await createUser();
+    const voter = await createUser();
+    // Downvoting needs reputation, which moderators do not.
+    await setRole(voter, "moderator");
+    const quiet = await createQuestion(author, { title: "Quiet" });
+    const popular = await createQuestion(author, { title: "Popular" });
+    const disliked = await createQuestion(author, { title: "Disliked" });
+    await api()
+      .post(`/questions/${popular.id}/upvote`)
+      .set("Authorization", `Bearer ${voter.token}`)
+      .send({ vote: "1" });
+    await api()
+      .post(`/questions/${disliked.id}/downvote`)
+      .set("Authorization", `Bearer ${voter.token}`)
+      .send({ vote: "-1" });
+
+    const response = await api().get("/questions?sort=votes");
+
+    assert.deepEqual(
+      response.body.data.map((question) => question.id),
+      [popular.id, quiet.id, disliked.id]
+    );
+  });
+
+  test("sorts by hot, weighing votes against age", async () => {
+    const author = await createUser();
+    const voters = [await createUser(), await createUser(), await createUser()];
+    const old = await createQuestion(author, { title: "Old" });
+    const recent = await createQuestion(author, { title: "Recent" });
+    const upvoted = await createQuestion(author, { title: "Upvoted" });
+    const latest = await createQuestion(author, { title: "Latest" });
+    for (const question of [old, upvoted]) {
+      for (const voter of voters) {
+        await api()
+          .post(`/questions/${question.id}/upvote`)
+          .set("Authorization", `Bearer ${voter.token}`)
+          .send({ vote: "1" });
+      }
+    }
+    // Three upvotes are worth about six hours, not two days.
+    await connectionPool.query(
+      `update questions set created_at = created_at - interval '2 days' where id = $1`,
+      [old.id]
+    );
+
+    const response = await api().get("/questions?sort=hot");
+
+    assert.deepEqual(
+      response.body.data.map((question) => question.id),
+      [upvoted.id, latest.id, recent.id, old.id]
+    );
+    assert.equal(typeof response.body.data[0].hot_score, "number");
+  });
+
+  test("sorts by top, preferring many mostly positive votes", async () => {
+    const author = await createUser();
+    const voters = [];
+    for (let index = 0; index < 6; index += 1) {
+      const voter = await createUser();
+      await setRole(voter, "moderator");
+      voters.push(voter);
+    }
+    const unvoted = await createQuestion(author, { title: "Unvoted" });
+    const few = await createQuestion(author, { title: "Few" });
+    const many = await createQuestion(author, { title: "Many" });
+    const vote = (voter, question, direction) =>
+      api()
+        .post(`/questions/${question.id}/${direction}`)
+        .set("Authorization", `Bearer ${voter.token}`)
+        .send({ vote: direction === "upvote" ? "1" : "-1" });
+    // 2 of 2 upvotes against 5 of 6: the second is more certainly good.
+    await vote(voters[0], few, "upvote");
+    await vote(voters[1], few, "upvote");
+    for (const voter of voters.slice(0, 5)) {
+      await vote(voter, many, "upvote");
+    }
+    await vote(voters[5], many, "downvote");
+
+    const response = await api().get("/questions?sort=top");
+
+    assert.deepEqual(
+      response.body.data.map((question) => question.id),
+      [many.id, few.id, unvoted.id]
+    );
+    assert.equal(response.body.data[2].top_score, 0);
+    assert.ok(response.body.data[0].top_score < 5 / 6);
+    const paged = [];
+    let after = null;
+    do {
+      const page = await api()
+        .get("/questions")
+        .query({ limit: 1, sort: "top", ...(after ? { after } : {}) });
+      paged.push(page.body.data[0].id);
+      after = page.body.pagination.nextCursor;
+    } while (after);
+    assert.deepEqual(paged, [many.id, few.id, unvoted.id]);
+  });
+
+  test("returns 404 when nothing matches", async () => {
+    const response = await api().get("/questions?tag=nothing");
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.message, "Question not found.");
+  });
+
+  test("rejects unknown query parameters", async () => {
+    const response = await api().get("/questions?author=me");
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.errors, [
+      {
+        field: "query.author",
+        rule: "additionalProperties",
+        message: "author is not allowed.",
+      },
+    ]);
+  });
+
+  test("rejects an invalid limit, sort or cursor", async () => {
+    for (const query of ["limit=0", "limit=101", "sort=random", "after=abc"]) {
+      const response = await api().get(`/questions?${query}`);
+      assert.equal(response.status, 400, query);
+    }
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    breakDatabase(t);
+
+    const response = await api().get("/questions");
+
+    assert.equal(response.status, 500);
+    assert.equal(response.body.message, "Internal server error.");
+    assert.equal(response.body.code, "INTERNAL_ERROR");
+  });
+});
+
+describe("GET /questions/:id", () => {
+  test("returns the question", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+
+    const response = await api().get(`/questions/${question.id}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.title, question.title);
+    assert.equal(response.body.data.accepted_answer_id, null);
+  });
+
+  test("returns 404 for a missing question", async () => {
+    const response = await api().get("/questions/999");
+
+    assert.equal(response.status, 404);
+  });
+
+  test("rejects an id that is not a positive integer", async () => {
+    for (const id of ["abc", "0", "1.5"]) {
+      const response = await api().get(`/questions/${id}`);
+      assert.equal(response.status, 400, id);
+      assert.equal(response.body.errors[0].field, "params.id");
+    }
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    breakDatabase(t);
+
+    const response = await api().get("/questions/1");
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("GET /questions/:id/answers", () => {
+  test("lists the accepted answer first", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    const older = await createAnswer(answerer, question.id, "Older");
+    const accepted = await createAnswer(answerer, question.id, "Accepted");
+    await api()
+      .post(`/questions/${question.id}/accept/${accepted.id}`)
+      .set("Authorization", `Bearer ${asker.token}`);
+
+    const response = await api().get(`/questions/${question.id}/answers`);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.data.map((answer) => [answer.id, answer.is_accepted]),
+      [
+        [accepted.id, true],
+        [older.id, false],
+      ]
+    );
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    breakDatabase(t);
+
+    const response = await api().get("/questions/1/answers");
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("POST /questions", () => {
+  test("creates a question owned by the caller", async () => {
+    const user = await createUser();
+
+    const response = await api()
+      .post("/questions")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ title: "Title", description: "Description", tags: ["cat"] });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.newQuestion.author_id, user.id);
+  });
+
+  test("requires a token", async () => {
+    const response = await api()
+      .post("/questions")
+      .send({ title: "Title", description: "Description", tags: ["cat"] });
+
+    assert.equal(response.status, 401);
+  });
+
+  test("rejects an invalid token", async () => {
+    const response = await api()
+      .post("/questions")
+      .set("Authorization", "Bearer not-a-token")
+      .send({ title: "Title", description: "Description", tags: ["cat"] });
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.message, "Token is invalid or expired.");
+  });
+
+  test("rejects missing fields", async () => {
+    const user = await createUser();
+    for (const field of ["title", "description", "tags"]) {
+      const body = {
+        title: "Title",
+        description: "Description",
+        tags: ["cat"],
+      };
+      delete body[field];
+      const response = await api()
+        .post("/questions")
+        .set("Authorization", `Bearer ${user.token}`)
+        .send(body);
+      assert.equal(response.status, 400, field);
+    }
+  });
+
+  test("lists every invalid field with its rule", async () => {
+    const user = await createUser();
+
+    const response = await api()
+      .post("/questions")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ title: 42, description: "" });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.message, "Missing or invalid request data.");
+    assert.deepEqual(response.body.errors, [
+      {
+        field: "body.tags",
+        rule: "required",
+        message: "tags is required.",
+      },
+      {
+        field: "body.title",
+        rule: "type",
+        message: "title must be a string.",
+      },
+      {
+        field: "body.description",
+        rule: "minLength",
+        message: "description must not be empty.",
+      },
+    ]);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    const user = await createUser();
+    breakDatabase(t);
+
+    const response = await api()
+      .post("/questions")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ title: "Title", description: "Description", tags: ["cat"] });
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("POST /questions/:id/answers", () => {
+  test("creates an answer owned by the caller", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+
+    const response = await api()
+      .post(`/questions/${question.id}/answers`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ content: "Use an index." });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.answer.question_id, question.id);
+    assert.equal(response.body.answer.author_id, user.id);
+  });
+
+  test("rejects missing or too long content", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    for (const content of [undefined, "x".repeat(301)]) {
+      const response = await api()
+        .post(`/questions/${question.id}/answers`)
+        .set("Authorization", `Bearer ${user.token}`)
+        .send({ content });
+      assert.equal(response.status, 400);
+    }
+  });
+
+  test("requires a token", async () => {
+    const response = await api()
+      .post("/questions/1/answers")
+      .send({ content: "Use an index." });
+
+    assert.equal(response.status, 401);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    const user = await createUser();
+    breakDatabase(t);
+
+    const response = await api()
+      .post("/questions/1/answers")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ content: "Use an index." });
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("question votes", () => {
+  test("counts one vote per user and switches direction", async () => {
+    const author = await createUser();
+    const voter = await createUser();
+    await setRole(voter, "moderator");
+    const question = await createQuestion(author);
+    const vote = (direction, value) =>
+      api()
+        .post(`/questions/${question.id}/${direction}`)
+        .set("Authorization", `Bearer ${voter.token}`)
+        .send({ vote: value });
+
+    await vote("upvote", "1");
+    const again = await vote("upvote", "1");
+    assert.equal(again.status, 200);
+    assert.equal(Number(again.body.questionVote.upvote), 1);
+    assert.equal(Number(again.body.questionVote.downvote), 0);
+
+    const switched = await vote("downvote", "-1");
+    assert.equal(switched.status, 200);
+    assert.equal(Number(switched.body.questionVote.upvote), 0);
+    assert.equal(Number(switched.body.questionVote.downvote), 1);
+  });
+
+  test("keeps the counts stored on the question", async () => {
+    const author = await createUser();
+    const voters = [await createUser(), await createUser()];
+    await setRole(voters[1], "moderator");
+    const question = await createQuestion(author);
+    const vote = (voter, direction) =>
+      api()
+        .post(`/questions/${question.id}/${direction}`)
+        .set("Authorization", `Bearer ${voter.token}`)
+        .send({ vote: direction === "upvote" ? "1" : "-1" });
+
+    await vote(voters[0], "upvote");
+    await vote(voters[1], "upvote");
+    await vote(voters[1], "downvote");
+    await api()
+      .delete(`/questions/${question.id}/vote`)
+      .set("Authorization", `Bearer ${voters[0].token}`);
+    const response = await api().get(`/questions/${question.id}`);
+
+    assert.equal(response.body.data.upvote_count, 0);
+    assert.equal(response.body.data.downvote_count, 1);
+  });
+
+  test("retracts a vote", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    await api()
+      .post(`/questions/${question.id}/upvote`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ vote: "1" });
+
+    const retracted = await api()
+      .delete(`/questions/${question.id}/vote`)
+      .set("Authorization", `Bearer ${user.token}`);
+    assert.equal(retracted.status, 200);
+    assert.equal(Number(retracted.body.questionVote.upvote), 0);
+
+    const again = await api()
+      .delete(`/questions/${question.id}/vote`)
+      .set("Authorization", `Bearer ${user.token}`);
+    assert.equal(again.status, 404);
+    assert.equal(again.body.message, "Vote not found.");
+  });
+
+  test("rejects the wrong vote value", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+
+    const upvote = await api()
+      .post(`/questions/${question.id}/upvote`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ vote: "-1" });
+    const downvote = await api()
+      .post(`/questions/${question.id}/downvote`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({});
+
+    assert.equal(upvote.status, 400);
+    assert.equal(downvote.status, 400);
+  });
+
+  test("returns 404 for a missing question", async () => {
+    const user = await createUser();
+    await setRole(user, "moderator");
+    for (const [direction, vote] of [
+      ["upvote", "1"],
+      ["downvote", "-1"],
+    ]) {
+      const response = await api()
+        .post(`/questions/999/${direction}`)
+        .set("Authorization", `Bearer ${user.token}`)
+        .send({ vote });
+      assert.equal(response.status, 404);
+    }
+  });
+
+  test("requires a token", async () => {
+    const response = await api()
+      .post("/questions/1/upvote")
+      .send({ vote: "1" });
+
+    assert.equal(response.status, 401);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    const user = await createUser();
+    breakDatabase(t);
+
+    const response = await api()
+      .post("/questions/1/downvote")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ vote: "-1" });
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("PUT /questions/:id", () => {
+  const update = { title: "New", description: "New text", tags: ["New"] };
+
+  test("updates the caller's question", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+
+    const response = await api()
+      .put(`/questions/${question.id}`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send(update);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.updatedQuestion.title, "New");
+  });
+
+  test("forbids editing someone else's question", async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const question = await createQuestion(author);
+
+    const response = await api()
+      .put(`/questions/${question.id}`)
+      .set("Authorization", `Bearer ${other.token}`)
+      .send(update);
+
+    assert.equal(response.status, 403);
+  });
+
+  test("rejects missing fields", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+
+    const response = await api()
+      .put(`/questions/${question.id}`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ title: "Only a title" });
+
+    assert.equal(response.status, 400);
+  });
+
+  test("returns 404 for a missing question", async () => {
+    const user = await createUser();
+
+    const response = await api()
+      .put("/questions/999")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send(update);
+
+    assert.equal(response.status, 404);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    const user = await createUser();
+    breakDatabase(t);
+
+    const response = await api()
+      .put("/questions/1")
+      .set("Authorization", `Bearer ${user.token}`)
+      .send(update);
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("DELETE /questions/:id", () => {
+  test("deletes the question with its answers", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const answer = await createAnswer(user, question.id);
+
+    const response = await api()
+      .delete(`/questions/${question.id}`)
+      .set("Authorization", `Bearer ${user.token}`);
+
+    assert.equal(response.status, 200);
+    assert.equal((await api().get(`/questions/${question.id}`)).status, 404);
+    assert.equal((await api().get(`/answers/${answer.id}`)).status, 404);
+  });
+
+  test("forbids deleting someone else's question", async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const question = await createQuestion(author);
+
+    const response = await api()
+      .delete(`/questions/${question.id}`)
+      .set("Authorization", `Bearer ${other.token}`);
+
+    assert.equal(response.status, 403);
+  });
+
+  test("returns 404 for a missing question", async () => {
+    const user = await createUser();
+
+    const response = await api()
+      .delete("/questions/999")
+      .set("Authorization", `Bearer ${user.token}`);
+
+    assert.equal(response.status, 404);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    const user = await createUser();
+    breakDatabase(t);
+
+    const response = await api()
+      .delete("/questions/1")
+      .set("Authorization", `Bearer ${user.token}`);
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("accepted answers", () => {
+  test("accepts and unaccepts an answer", async () => {
+    const asker = await createUser();
+    const question = await createQuestion(asker);
+    const answer = await createAnswer(asker, question.id);
+
+    const accepted = await api()
+      .post(`/questions/${question.id}/accept/${answer.id}`)
+      .set("Authorization", `Bearer ${asker.token}`);
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.question.accepted_answer_id, answer.id);
+
+    const unaccepted = await api()
+      .delete(`/questions/${question.id}/accept`)
+      .set("Authorization", `Bearer ${asker.token}`);
+    assert.equal(unaccepted.status, 200);
+    assert.equal(unaccepted.body.question.accepted_answer_id, null);
+
+    const again = await api()
+      .delete(`/questions/${question.id}/accept`)
+      .set("Authorization", `Bearer ${asker.token}`);
+    assert.equal(again.status, 404);
+  });
+
+  test("rejects an answer from another question", async () => {
+    const asker = await createUser();
+    const question = await createQuestion(asker);
+    const otherQuestion = await createQuestion(asker);
+    const answer = await createAnswer(asker, otherQuestion.id);
+
+    const response = await api()
+      .post(`/questions/${question.id}/accept/${answer.id}`)
+      .set("Authorization", `Bearer ${asker.token}`);
+
+    assert.equal(response.status, 400);
+    assert.equal(
+      response.body.message,
+      "Answer does not belong to this question."
+    );
+  });
+
+  test("returns 404 for a missing answer", async () => {
+    const asker = await createUser();
+    const question = await createQuestion(asker);
+
+    const response = await api()
+      .post(`/questions/${question.id}/accept/999`)
+      .set("Authorization", `Bearer ${asker.token}`);
+
+    assert.equal(response.status, 404);
+  });
+
+  test("only lets the asker accept", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    const answer = await createAnswer(answerer, question.id);
+
+    const response = await api()
+      .post(`/questions/${question.id}/accept/${answer.id}`)
+      .set("Authorization", `Bearer ${answerer.token}`);
+
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+} from "./helpers.mjs";
+import config from "../utils/config.mjs";
+import connectionPool from "../utils/db.mjs";
+import {
+  createMemoryStore,
+  createPostgresStore,
+  pruneRateLimits,
+} from "../utils/rateLimit.mjs";
+
+beforeEach(resetDatabase);
+
+// Sets the budgets of a route for one test.
+const limit = (t, route, budgets) => {
+  const previous = config.rateLimit.routes[route];
+  config.rateLimit.routes[route] = { ...previous, ...budgets };
+  t.after(() => {
+    config.rateLimit.routes[route] = previous;
+  });
+};
+
+const postQuestion = (user) =>
+  api()
+    .post("/questions")
+    .set("Authorization", `Bearer ${user.token}`)
+    .send({
+      title: "How do I tune Postgres?",
+      description: "Queries get slow as the table grows.",
+      tags: ["technology"],
+    });
+
+describe("rate limits", () => {
+  test("refuse a user's requests once their budget is used up", async (t) => {
+    limit(t, "question", { perIp: 0, perUser: 2 });
+    const user = await createUser();
+    const other = await createUser();
+
+    const first = await postQuestion(user);
+    const second = await postQuestion(user);
+    const refused = await postQuestion(user);
+    const otherUser = await postQuestion(other);
+
+    assert.equal(first.status, 201);
+    assert.equal(first.headers["ratelimit-limit"], "2");
+    assert.equal(first.headers["ratelimit-remaining"], "1");
+    assert.equal(first.headers["ratelimit-policy"], "2;w=60");
+    assert.equal(second.headers["ratelimit-remaining"], "0");
+    assert.equal(refused.status, 429);
+    assert.equal(refused.body.code, "RATE_LIMITED");
+    assert.equal(refused.headers["ratelimit-remaining"], "0");
+    const retryAfter = Number(refused.headers["retry-after"]);
+    assert.ok(retryAfter > 0 && retryAfter <= 60);
+    assert.equal(refused.headers["ratelimit-reset"], String(retryAfter));
+    assert.equal(
+      refused.body.message,
+      `Too many requests. Try again in ${retryAfter} seconds.`
+    );
+    assert.equal(otherUser.status, 201);
+  });
+
+  test("share the IP budget between users", async (t) => {
+    limit(t, "answer", { perIp: 2, perUser: 0 });
+    const asker = await createUser();
+    const first = await createUser();
+    const second = await createUser();
+    const question = await createQuestion(asker);
+    await createAnswer(first, question.id);
+    await createAnswer(second, question.id);
+
+    const refused = await api()
+      .post(`/questions/${question.id}/answers`)
+      .set("Authorization", `Bearer ${first.token}`)
+      .send({ content: "One more." });
+
+    assert.equal(refused.status, 429);
+  });
+
+  test("count votes on questions and answers against one budget", async (t) => {
+    limit(t, "vote", { perIp: 0, perUser: 2 });
+    const author = await createUser();
+    const voter = await createUser();
+    const question = await createQuestion(author);
+    const answer = await createAnswer(author, question.id);
+
+    await api()
+      .post(`/questions/${question.id}/upvote`)
+      .set("Authorization", `Bearer ${voter.token}`)
+      .send({ vote: "1" });
+    await api()
+      .post(`/answers/${answer.id}/upvote`)
+      .set("Authorization", `Bearer ${voter.token}`)
+      .send({ vote: "1" });
+    const refused = await api()
+      .delete(`/answers/${answer.id}/vote`)
+      .set("Authorization", `Bearer ${voter.token}`);
+
+    assert.equal(refused.status, 429);
+  });
+
+  test("count edits of questions and answers against one budget", async (t) => {
+    limit(t, "edit", { perIp: 0, perUser: 1 });
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const answer = await createAnswer(user, question.id);
+
+    const edited = await api()
+      .put(`/questions/${question.id}`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({
+        title: "How do I tune MySQL?",
+        description: question.description,
+        tags: question.tags,
+      });
+    const refused = await api()
+      .patch(`/answers/${answer.id}`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ content: "Add two indexes." });
+
+    assert.equal(edited.status, 200);
+    assert.equal(refused.status, 429);
+  });
+
+  test("show the budget closest to running out", async (t) => {
+    limit(t, "question", { perIp: 10, perUser: 3 });
+    const user = await createUser();
+
+    const response = await postQuestion(user);
+
+    assert.equal(response.headers["ratelimit-limit"], "3");
+    assert.equal(response.headers["ratelimit-remaining"], "2");
+  });
+
+  test("are off when both budgets are 0", async (t) => {
+    limit(t, "question", { perIp: 0, perUser: 0 });
+    const user = await createUser();
+
+    const response = await postQuestion(user);
+
+    assert.equal(response.status, 201);
+    assert.equal(response.headers["ratelimit-limit"], undefined);
+  });
+});
+
+describe("rate limit stores", () => {
+  test("the memory store starts a new window when one ends", async () => {
+    const store = createMemoryStore();
+
+    const first = await store.increment("key", 1000);
+    const second = await store.increment("key", 1000);
+    const other = await store.increment("other", 20);
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    const renewed = await store.increment("other", 20);
+
+    assert.equal(first.count, 1);
+    assert.equal(second.count, 2);
+    assert.equal(second.resetAt.getTime(), first.resetAt.getTime());
+    assert.equal(other.count, 1);
+    assert.equal(renewed.count, 1);
+    assert.ok(renewed.resetAt > other.resetAt);
+  });
+
+  test("the postgres store counts in rate_limits", async () => {
+    const store = createPostgresStore(connectionPool);
+
+    const first = await store.increment("key", 60000);
+    const second = await store.increment("key", 60000);
+    await connectionPool.query(
+      `update rate_limits set reset_at = $1 where key = 'key'`,
+      [new Date(Date.now() - 1000)]
+    );
+    const renewed = await store.increment("key", 60000);
+    await store.increment("ended", 60000);
+    await connectionPool.query(
+      `update rate_limits set reset_at = $1 where key = 'ended'`,
+      [new Date(Date.now() - 1000)]
+    );
+    const pruned = await pruneRateLimits(connectionPool);
+
+    assert.equal(first.count, 1);
+    assert.equal(second.count, 2);
+    assert.equal(second.resetAt.getTime(), first.resetAt.getTime());
+    assert.equal(renewed.count, 1);
+    assert.equal(pruned, 1);
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+  setRole,
+  breakDatabase,
+} from "./helpers.mjs";
+
+beforeEach(resetDatabase);
+
+const vote = (user, path, direction) =>
+  api()
+    .post(`${path}/${direction}`)
+    .set("Authorization", `Bearer ${user.token}`)
+    .send({ vote: direction === "upvote" ? "1" : "-1" });
+
+const accept = (user, question, answer) =>
+  api()
+    .post(`/questions/${question.id}/accept/${answer.id}`)
+    .set("Authorization", `Bearer ${user.token}`);
+
+const reputationOf = async (user) => {
+  const response = await api().get(`/users/${user.id}/reputation`);
+  return response.body.data;
+};
+
+describe("GET /users/:id/reputation", () => {
+  test("adds up votes and accepted answers with the default points", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const moderator = await createUser();
+    await setRole(moderator, "moderator");
+    const question = await createQuestion(asker);
+    const answer = await createAnswer(answerer, question.id);
+    await vote(answerer, `/questions/${question.id}`, "upvote");
+    await vote(asker, `/answers/${answer.id}`, "upvote");
+    await vote(moderator, `/answers/${answer.id}`, "downvote");
+    await accept(asker, question, answer);
+
+    const asked = await reputationOf(asker);
+    const answered = await reputationOf(answerer);
+
+    assert.equal(asked.reputation, 1 + 5);
+    assert.equal(answered.reputation, 1 + 10 - 2 + 15);
+    assert.deepEqual(
+      answered.events.map((event) => [event.event, event.points]).sort(),
+      [
+        ["answer_accepted", 15],
+        ["answer_downvoted", -2],
+        ["answer_upvoted", 10],
+      ]
+    );
+    assert.equal(answered.events[0].answer_id, answer.id);
+    assert.equal(answered.events[0].question_id, question.id);
+    assert.deepEqual(answered.privileges.downvote, {
+      required: 15,
+      earned: true,
+    });
+  });
+
+  test("ignores votes on your own posts", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    await vote(user, `/questions/${question.id}`, "upvote");
+
+    const data = await reputationOf(user);
+
+    assert.equal(data.reputation, 1);
+    assert.deepEqual(data.events, []);
+  });
+
+  test("follows retracted votes and unaccepted answers", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    const answer = await createAnswer(answerer, question.id);
+    await vote(asker, `/answers/${answer.id}`, "upvote");
+    await accept(asker, question, answer);
+    await api()
+      .delete(`/answers/${answer.id}/vote`)
+      .set("Authorization", `Bearer ${asker.token}`);
+    await api()
+      .delete(`/questions/${question.id}/accept`)
+      .set("Authorization", `Bearer ${asker.token}`);
+
+    const data = await reputationOf(answerer);
+
+    assert.equal(data.reputation, 1);
+  });
+
+  test("never drops below 1", async () => {
+    const author = await createUser();
+    const moderator = await createUser();
+    await setRole(moderator, "moderator");
+    const question = await createQuestion(author);
+    await vote(moderator, `/questions/${question.id}`, "downvote");
+
+    const data = await reputationOf(author);
+
+    assert.equal(data.reputation, 1);
+    assert.equal(data.events[0].points, -2);
+  });
+
+  test("returns 404 for a missing user", async () => {
+    const response = await api().get("/users/999/reputation");
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.message, "User not found.");
+  });
+
+  test("returns 400 for an invalid id", async () => {
+    const response = await api().get("/users/abc/reputation");
+
+    assert.equal(response.status, 400);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    breakDatabase(t);
+
+    const response = await api().get("/users/1/reputation");
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("vote privileges", () => {
+  test("downvoting needs 15 reputation", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    const answer = await createAnswer(answerer, question.id);
+
+    const refused = await vote(
+      answerer,
+      `/questions/${question.id}`,
+      "downvote"
+    );
+    assert.equal(refused.status, 403);
+    assert.equal(
+      refused.body.message,
+      "You need at least 15 reputation to downvote."
+    );
+
+    await accept(asker, question, answer);
+    const allowed = await vote(
+      answerer,
+      `/questions/${question.id}`,
+      "downvote"
+    );
+    assert.equal(allowed.status, 200);
+  });
+
+  test("applies to answers too", async () => {
+    const author = await createUser();
+    const voter = await createUser();
+    const question = await createQuestion(author);
+    const answer = await createAnswer(author, question.id);
+
+    const response = await vote(voter, `/answers/${answer.id}`, "downvote");
+
+    assert.equal(response.status, 403);
+  });
+
+  test("lets new users upvote", async () => {
+    const author = await createUser();
+    const voter = await createUser();
+    const question = await createQuestion(author);
+
+    const response = await vote(voter, `/questions/${question.id}`, "upvote");
+
+    assert.equal(response.status, 200);
+  });
+});
@@ -0,0 +1,243 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+  setRole,
+  hide,
+  breakDatabase,
+} from "./helpers.mjs";
+
+beforeEach(resetDatabase);
+
+const editQuestion = (user, question, changes) =>
+  api()
+    .put(`/questions/${question.id}`)
+    .set("Authorization", `Bearer ${user.token}`)
+    .send({
+      title: question.title,
+      description: question.description,
+      tags: question.tags,
+      ...changes,
+    });
+
+describe("GET /questions/:id/revisions", () => {
+  test("lists every version newest first with a diff", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user, {
+      title: "How do I tune Postgres?",
+      tags: ["postgres"],
+    });
+    await editQuestion(user, question, {
+      title: "How do I tune MySQL?",
+      tags: ["mysql"],
+    });
+
+    const response = await api().get(`/questions/${question.id}/revisions`);
+
+    assert.equal(response.status, 200);
+    const [latest, first] = response.body.data;
+    assert.equal(latest.revision, 2);
+    assert.equal(latest.editor_id, user.id);
+    assert.deepEqual(latest.changes.title, [
+      { op: "equal", text: "How do I tune " },
+      { op: "delete", text: "Postgres?" },
+      { op: "insert", text: "MySQL?" },
+    ]);
+    assert.deepEqual(latest.changes.description, [
+      { op: "equal", text: question.description },
+    ]);
+    assert.deepEqual(latest.changes.tags, {
+      added: ["mysql"],
+      removed: ["postgres"],
+    });
+    assert.equal(first.revision, 1);
+    assert.equal(first.title, "How do I tune Postgres?");
+    assert.equal(first.changes, null);
+  });
+
+  test("pages through the versions", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user, { title: "Version 1" });
+    for (const title of ["Version 2", "Version 3"]) {
+      await editQuestion(user, question, { title });
+    }
+
+    const response = await api()
+      .get(`/questions/${question.id}/revisions`)
+      .query({ limit: 1, offset: 1 });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.length, 1);
+    const [revision] = response.body.data;
+    assert.equal(revision.revision, 2);
+    assert.deepEqual(revision.changes.title, [
+      { op: "equal", text: "Version " },
+      { op: "delete", text: "1" },
+      { op: "insert", text: "2" },
+    ]);
+  });
+
+  test("shows a rewrite of a long text as replaced", async () => {
+    const user = await createUser();
+    const words = (prefix) =>
+      Array.from({ length: 1500 }, (_, index) => `${prefix}${index}`).join(" ");
+    const question = await createQuestion(user, { description: words("a") });
+    await editQuestion(user, question, { description: words("b") });
+
+    const response = await api().get(`/questions/${question.id}/revisions`);
+
+    assert.deepEqual(response.body.data[0].changes.description, [
+      { op: "delete", text: words("a") },
+      { op: "insert", text: words("b") },
+    ]);
+  });
+
+  test("returns 404 for a hidden question unless its author or a moderator asks", async () => {
+    const author = await createUser();
+    const moderator = await createUser();
+    await setRole(moderator, "moderator");
+    const question = await createQuestion(author);
+    await hide("questions", question.id);
+    const path = `/questions/${question.id}/revisions`;
+
+    const signedOut = await api().get(path);
+    const byAuthor = await api()
+      .get(path)
+      .set("Authorization", `Bearer ${author.token}`);
+    const byModerator = await api()
+      .get(path)
+      .set("Authorization", `Bearer ${moderator.token}`);
+
+    assert.equal(signedOut.status, 404);
+    assert.equal(byAuthor.status, 200);
+    assert.equal(byAuthor.body.data[0].title, question.title);
+    assert.equal(byModerator.status, 200);
+  });
+
+  test("returns 404 for a missing question", async () => {
+    const response = await api().get("/questions/999/revisions");
+
+    assert.equal(response.status, 404);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    breakDatabase(t);
+
+    const response = await api().get("/questions/1/revisions");
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("POST /questions/:id/revisions/:revision/rollback", () => {
+  test("restores an earlier version as a new revision", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user, { tags: ["postgres"] });
+    await editQuestion(user, question, { title: "Changed", tags: ["mysql"] });
+
+    const response = await api()
+      .post(`/questions/${question.id}/revisions/1/rollback`)
+      .set("Authorization", `Bearer ${user.token}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.updatedQuestion.title, question.title);
+    assert.deepEqual(response.body.updatedQuestion.tags, ["postgres"]);
+    const revisions = await api().get(`/questions/${question.id}/revisions`);
+    assert.equal(revisions.body.data.length, 3);
+    assert.equal(revisions.body.data[0].rolled_back_from, 1);
+  });
+
+  test("returns 404 for a missing revision", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+
+    const response = await api()
+      .post(`/questions/${question.id}/revisions/5/rollback`)
+      .set("Authorization", `Bearer ${user.token}`);
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.message, "Revision not found.");
+  });
+
+  test("forbids rolling back someone else's question", async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const question = await createQuestion(author);
+
+    const response = await api()
+      .post(`/questions/${question.id}/revisions/1/rollback`)
+      .set("Authorization", `Bearer ${other.token}`);
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("answer revisions", () => {
+  test("records edits and rolls back", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const answer = await createAnswer(user, question.id, "Add an index.");
+    await api()
+      .patch(`/answers/${answer.id}`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ content: "Add a partial index." });
+
+    const history = await api().get(`/answers/${answer.id}/revisions`);
+    const rollback = await api()
+      .post(`/answers/${answer.id}/revisions/1/rollback`)
+      .set("Authorization", `Bearer ${user.token}`);
+
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body.data[0].changes.content, [
+      { op: "equal", text: "Add " },
+      { op: "delete", text: "an" },
+      { op: "insert", text: "a partial" },
+      { op: "equal", text: " index." },
+    ]);
+    assert.equal(rollback.status, 200);
+    assert.equal(rollback.body.updatedAnswer.content, "Add an index.");
+  });
+
+  test("forbids rolling back someone else's answer", async () => {
+    const author = await createUser();
+    const other = await createUser();
+    const question = await createQuestion(author);
+    const answer = await createAnswer(author, question.id);
+
+    const response = await api()
+      .post(`/answers/${answer.id}/revisions/1/rollback`)
+      .set("Authorization", `Bearer ${other.token}`);
+
+    assert.equal(response.status, 403);
+  });
+
+  test("returns 404 for a hidden answer, or one of a hidden question, unless its author asks", async () => {
+    const author = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(author);
+    const hidden = await createAnswer(answerer, question.id);
+    const other = await createAnswer(author, question.id);
+    await hide("answers", hidden.id);
+    const history = (answer, user) => {
+      const request = api().get(`/answers/${answer.id}/revisions`);
+      return user
+        ? request.set("Authorization", `Bearer ${user.token}`)
+        : request;
+    };
+
+    const signedOut = await history(hidden);
+    const byAnswerer = await history(hidden, answerer);
+    const visible = await history(other);
+    await hide("questions", question.id);
+    const ofHiddenQuestion = await history(other);
+
+    assert.equal(signedOut.status, 404);
+    assert.equal(byAnswerer.status, 200);
+    assert.equal(visible.status, 200);
+    assert.equal(ofHiddenQuestion.status, 404);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+} from "./helpers.mjs";
+
+beforeEach(resetDatabase);
+
+describe("GET /search", () => {
+  test("finds questions and answers by word with highlighted snippets", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user, {
+      title: "How do I tune Postgres?",
+      tags: ["technology"],
+    });
+    const other = await createQuestion(user, {
+      title: "Cooking rice",
+      description: "Fluffy every time",
+      tags: ["cooking"],
+    });
+    const answer = await createAnswer(
+      user,
+      other.id,
+      "Rinse it, like tuning Postgres."
+    );
+
+    const response = await api().get("/search?q=postgres");
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.data.map((match) => [match.type, match.id]),
+      [
+        ["question", question.id],
+        ["answer", answer.id],
+      ]
+    );
+    assert.match(response.body.data[0].snippet, /<mark>Postgres<\/mark>/);
+  });
+
+  test("escapes the text of snippets", async () => {
+    const user = await createUser();
+    await createQuestion(user, {
+      title: 'Postgres & "<img src=x onerror=alert(1)>"',
+    });
+
+    const response = await api().get("/search?q=postgres");
+
+    const [{ snippet }] = response.body.data;
+    assert.doesNotMatch(snippet, /<(?!\/?mark>)/);
+    assert.match(snippet, /^<mark>Postgres<\/mark> &amp; &quot;&lt;img src=x/);
+  });
+
+  test("filters by tag", async () => {
+    const user = await createUser();
+    await createQuestion(user, {
+      title: "Postgres at work",
+      tags: ["technology"],
+    });
+    const cooking = await createQuestion(user, {
+      title: "Postgres for recipes",
+      tags: ["cooking"],
+    });
+
+    const response = await api().get("/search?q=postgres&tag=cooking");
+
+    assert.deepEqual(
+      response.body.data.map((match) => match.id),
+      [cooking.id]
+    );
+  });
+
+  test("requires search text", async () => {
+    const response = await api().get("/search?q=%20");
+
+    assert.equal(response.status, 400);
+  });
+});
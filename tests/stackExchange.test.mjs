@@ -0,0 +1,121 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { api, resetDatabase } from "./helpers.mjs";
+import connectionPool from "../utils/db.mjs";
+import { importPosts, importVotes } from "../utils/stackExchange.mjs";
+
+beforeEach(resetDatabase);
+
+const posts = [
+  `<?xml version="1.0" encoding="utf-8"?>`,
+  `<posts>`,
+  `  <row Id="1" PostTypeId="1" AcceptedAnswerId="3" CreationDate="2010-07-28T19:04:21.300" Score="1" Body="&lt;p&gt;My queries get &lt;code&gt;slow&lt;/code&gt; &amp;amp; slower.&lt;/p&gt;&#xA;&#xA;&lt;p&gt;Why?&lt;/p&gt;&#xA;" Title="How do I tune Postgres &amp; MySQL?" Tags="&lt;postgres&gt;&lt;performance&gt;" />`,
+  `  <row Id="2" PostTypeId="2" ParentId="1" CreationDate="2010-07-28T19:10:00.000" Body="&lt;p&gt;Add an index.&lt;/p&gt;" />`,
+  `  <row Id="3" PostTypeId="2" ParentId="1" CreationDate="2010-07-28T19:20:00.000" LastEditDate="2010-07-29T08:00:00.000" Body="&lt;p&gt;Run EXPLAIN ANALYZE.&lt;/p&gt;" />`,
+  `  <row Id="4" PostTypeId="4" CreationDate="2010-07-29T09:00:00.000" Body="&lt;p&gt;A tag wiki.&lt;/p&gt;" />`,
+  `  <row Id="5" PostTypeId="1" CreationDate="2010-07-29T10:00:00.000" Body="&lt;p&gt;How does it work?&lt;/p&gt;" Title="What is MVCC?" Tags="|postgres|" />`,
+  `  <row Id="6" PostTypeId="2" ParentId="99" CreationDate="2010-07-29T11:00:00.000" Body="&lt;p&gt;An answer to nothing.&lt;/p&gt;" />`,
+  `  <row Id="7" PostTypeId="2" ParentId="5" CreationDate="2010-07-29T12:00:00.000" Body="&lt;p&gt;${"Rows have versions. ".repeat(
+    20
+  )}&lt;/p&gt;" />`,
+  `</posts>`,
+];
+
+const votes = [
+  `<?xml version="1.0" encoding="utf-8"?>`,
+  `<votes>`,
+  `  <row Id="1" PostId="1" VoteTypeId="2" CreationDate="2010-07-28T00:00:00.000" />`,
+  `  <row Id="2" PostId="1" VoteTypeId="2" CreationDate="2010-07-29T00:00:00.000" />`,
+  `  <row Id="3" PostId="3" VoteTypeId="3" CreationDate="2010-07-29T00:00:00.000" />`,
+  `  <row Id="4" PostId="3" VoteTypeId="5" UserId="7" CreationDate="2010-07-29T00:00:00.000" />`,
+  `  <row Id="5" PostId="99" VoteTypeId="2" CreationDate="2010-07-29T00:00:00.000" />`,
+  `</votes>`,
+];
+
+const file = (lines) => Readable.from([lines.join("\n")]);
+
+describe("Stack Exchange import", () => {
+  test("imports questions, answers, tags and accepted answers", async () => {
+    const counts = await importPosts(file(posts), "dba");
+
+    assert.deepEqual(counts, {
+      questions: 2,
+      answers: 3,
+      skipped: 2,
+      truncated: 1,
+      resumedAfter: 0,
+    });
+    const question = await api().get("/questions/1");
+    assert.equal(question.body.data.title, "How do I tune Postgres & MySQL?");
+    assert.equal(
+      question.body.data.description,
+      "My queries get slow & slower.\n\nWhy?"
+    );
+    assert.deepEqual(question.body.data.tags, ["performance", "postgres"]);
+    assert.equal(question.body.data.author_id, null);
+    assert.equal(
+      new Date(question.body.data.created_at).toISOString(),
+      "2010-07-28T19:04:21.300Z"
+    );
+    assert.equal(question.body.data.accepted_answer_id, 2);
+    const answers = await api().get("/questions/1/answers");
+    assert.deepEqual(
+      answers.body.data.map((answer) => answer.content),
+      ["Run EXPLAIN ANALYZE.", "Add an index."]
+    );
+    const long = await api().get("/answers/3");
+    assert.equal(long.body.data.content.length, 300);
+    assert.ok(long.body.data.content.endsWith("…"));
+    const tagged = await api().get("/questions?tag=postgres");
+    assert.equal(tagged.body.data.length, 2);
+  });
+
+  test("imports up and down votes on imported posts", async () => {
+    await importPosts(file(posts), "dba");
+
+    const counts = await importVotes(file(votes), "dba");
+
+    assert.deepEqual(counts, { votes: 3, skipped: 2, resumedAfter: 0 });
+    const question = await api().get("/questions/1");
+    assert.equal(question.body.data.upvote_count, 2);
+    const answer = await api().get("/answers/2");
+    assert.equal(answer.body.data.downvote, 1);
+  });
+
+  test("carries on after the lines already imported", async () => {
+    await importPosts(file(posts.slice(0, 4)), "dba");
+    await importVotes(file(votes.slice(0, 3)), "dba");
+
+    const postCounts = await importPosts(file(posts), "dba");
+    const voteCounts = await importVotes(file(votes), "dba");
+    const again = await importPosts(file(posts), "dba");
+
+    assert.equal(postCounts.resumedAfter, 4);
+    assert.equal(postCounts.questions, 1);
+    assert.equal(postCounts.answers, 2);
+    assert.equal(voteCounts.resumedAfter, 3);
+    assert.equal(voteCounts.votes, 2);
+    assert.equal(again.questions + again.answers, 0);
+    const totals = await connectionPool.query(`
+      select (select count(*)::int from questions) as questions
+      ,(select count(*)::int from answers) as answers
+      ,(select count(*)::int from question_votes) as question_votes
+      ,(select upvote_count from questions where id = 1) as upvotes`);
+    assert.deepEqual(totals.rows[0], {
+      questions: 2,
+      answers: 3,
+      question_votes: 2,
+      upvotes: 2,
+    });
+  });
+
+  test("keeps the progress of each site apart", async () => {
+    await importPosts(file(posts), "dba");
+
+    const other = await importPosts(file(posts), "serverfault");
+
+    assert.equal(other.resumedAfter, 0);
+    assert.equal(other.questions, 2);
+  });
+});
@@ -0,0 +1,296 @@
+import { describe, test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { EventEmitter, once } from "node:events";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+  setRole,
+  hide,
+  breakDatabase,
+} from "./helpers.mjs";
+import app from "../app.mjs";
+import connectionPool from "../utils/db.mjs";
+import { closeStreams } from "../utils/stream.mjs";
+
+// Event streams never end, so they are read from a real server over http
+// instead of through supertest.
+let server;
+let port;
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  await closeStreams();
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(resetDatabase);
+
+// Opens the stream and collects its events. next() resolves with the next
+// event, waiting for it if needed.
+const follow = (question, headers = {}) =>
+  new Promise((resolve, reject) => {
+    const request = http.get(
+      {
+        port,
+        path: `/questions/${question.id}/stream`,
+        headers,
+      },
+      (response) => {
+        const events = [];
+        const waiting = [];
+        let buffer = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          buffer += chunk;
+          const blocks = buffer.split("\n\n");
+          buffer = blocks.pop();
+          for (const block of blocks) {
+            const fields = Object.fromEntries(
+              block
+                .split("\n")
+                .filter((line) => line && !line.startsWith(":"))
+                .map((line) => [
+                  line.slice(0, line.indexOf(":")),
+                  line.slice(line.indexOf(":") + 2),
+                ])
+            );
+            if (fields.event) {
+              events.push({
+                id: Number(fields.id),
+                type: fields.event,
+                data: JSON.parse(fields.data),
+              });
+            }
+          }
+          while (waiting.length > 0 && events.length > 0) {
+            waiting.shift()(events.shift());
+          }
+        });
+        resolve({
+          response,
+          next: () =>
+            events.length > 0
+              ? Promise.resolve(events.shift())
+              : new Promise((done) => waiting.push(done)),
+          close: () => request.destroy(),
+        });
+      }
+    );
+    request.on("error", reject);
+  });
+
+describe("GET /questions/:id/stream", () => {
+  test("sends new answers as they are posted", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    const stream = await follow(question);
+
+    assert.equal(stream.response.statusCode, 200);
+    assert.equal(
+      stream.response.headers["content-type"],
+      "text/event-stream; charset=utf-8"
+    );
+    const answer = await createAnswer(answerer, question.id);
+    const event = await stream.next();
+    stream.close();
+
+    assert.equal(event.type, "answer_created");
+    assert.equal(event.data.id, answer.id);
+    assert.equal(event.data.content, answer.content);
+  });
+
+  test("sends edits and vote counts", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const voter = await createUser();
+    await setRole(voter, "moderator");
+    const question = await createQuestion(asker);
+    const answer = await createAnswer(answerer, question.id);
+    const stream = await follow(question);
+
+    await api()
+      .put(`/answers/${answer.id}`)
+      .set("Authorization", `Bearer ${answerer.token}`)
+      .send({ content: "A better answer." });
+    await api()
+      .post(`/answers/${answer.id}/downvote`)
+      .set("Authorization", `Bearer ${voter.token}`)
+      .send({ vote: "-1" });
+    await api()
+      .post(`/questions/${question.id}/upvote`)
+      .set("Authorization", `Bearer ${voter.token}`)
+      .send({ vote: "1" });
+    const events = [
+      await stream.next(),
+      await stream.next(),
+      await stream.next(),
+    ];
+    stream.close();
+
+    assert.equal(events[0].type, "answer_updated");
+    assert.equal(events[0].data.content, "A better answer.");
+    assert.deepEqual(events[1], {
+      id: events[1].id,
+      type: "votes_changed",
+      data: {
+        question_id: question.id,
+        answer_id: answer.id,
+        upvote: 0,
+        downvote: 1,
+      },
+    });
+    assert.deepEqual(events[2].data, {
+      question_id: question.id,
+      answer_id: null,
+      upvote: 1,
+      downvote: 0,
+    });
+  });
+
+  test("sends the events missed since Last-Event-ID first", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    const first = await follow(question);
+    await createAnswer(answerer, question.id, "First.");
+    const seen = await first.next();
+    first.close();
+    await createAnswer(answerer, question.id, "Second.");
+    await createAnswer(answerer, question.id, "Third.");
+
+    const resumed = await follow(question, { "Last-Event-ID": seen.id });
+    const missed = [await resumed.next(), await resumed.next()];
+    await createAnswer(answerer, question.id, "Fourth.");
+    const live = await resumed.next();
+    resumed.close();
+
+    assert.deepEqual(
+      [...missed, live].map((event) => event.data.content),
+      ["Second.", "Third.", "Fourth."]
+    );
+    assert.ok(missed[0].id > seen.id);
+  });
+
+  test("ends the streams when the listening connection fails", async (t) => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    // The next stream listens on this client instead of the database.
+    await closeStreams();
+    const client = Object.assign(new EventEmitter(), {
+      query: async () => ({ rows: [], rowCount: 0 }),
+      release: () => {},
+    });
+    t.mock.method(console, "error", () => {});
+    const connect = t.mock.method(
+      connectionPool,
+      "connect",
+      async () => client
+    );
+    const broken = await follow(question);
+    connect.mock.restore();
+
+    const ended = once(broken.response, "end");
+    client.emit("error", new Error("Connection terminated unexpectedly"));
+    await ended;
+    const resumed = await follow(question, { "Last-Event-ID": "0" });
+    await createAnswer(answerer, question.id, "After the failure.");
+    const event = await resumed.next();
+    resumed.close();
+
+    assert.equal(event.data.content, "After the failure.");
+  });
+
+  test("only sends events for its question", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    const other = await createQuestion(asker);
+    const stream = await follow(question);
+
+    await createAnswer(answerer, other.id, "Elsewhere.");
+    await createAnswer(answerer, question.id, "Here.");
+    const event = await stream.next();
+    stream.close();
+
+    assert.equal(event.data.content, "Here.");
+  });
+
+  test("returns 404 for a missing or deleted question", async () => {
+    const asker = await createUser();
+    const question = await createQuestion(asker);
+    await api()
+      .delete(`/questions/${question.id}`)
+      .set("Authorization", `Bearer ${asker.token}`);
+
+    const missing = await api().get("/questions/999/stream");
+    const deleted = await api().get(`/questions/${question.id}/stream`);
+
+    assert.equal(missing.status, 404);
+    assert.equal(deleted.status, 404);
+    assert.equal(deleted.body.message, "Question not found.");
+  });
+
+  test("returns 404 for a hidden question unless its author asks", async () => {
+    const asker = await createUser();
+    const question = await createQuestion(asker);
+    await hide("questions", question.id);
+
+    const signedOut = await api().get(`/questions/${question.id}/stream`);
+    const byAsker = await follow(question, {
+      Authorization: `Bearer ${asker.token}`,
+    });
+    byAsker.close();
+
+    assert.equal(signedOut.status, 404);
+    assert.equal(byAsker.response.statusCode, 200);
+  });
+
+  test("leaves out events about hidden answers", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const question = await createQuestion(asker);
+    const hidden = await createAnswer(answerer, question.id, "Hidden.");
+    await hide("answers", hidden.id);
+    const stream = await follow(question);
+
+    await api()
+      .patch(`/answers/${hidden.id}`)
+      .set("Authorization", `Bearer ${answerer.token}`)
+      .send({ content: "Still hidden." });
+    await createAnswer(answerer, question.id, "Shown.");
+    const live = await stream.next();
+    stream.close();
+    const replayed = await follow(question, { "Last-Event-ID": "0" });
+    const first = await replayed.next();
+    replayed.close();
+
+    assert.equal(live.data.content, "Shown.");
+    assert.equal(first.data.content, "Shown.");
+  });
+
+  test("returns 400 for an invalid id", async () => {
+    const response = await api().get("/questions/abc/stream");
+
+    assert.equal(response.status, 400);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    breakDatabase(t);
+
+    const response = await api().get("/questions/1/stream");
+
+    assert.equal(response.status, 500);
+  });
+});
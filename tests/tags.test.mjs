@@ -0,0 +1,187 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  setRole,
+  breakDatabase,
+} from "./helpers.mjs";
+
+beforeEach(resetDatabase);
+
+const addAlias = (user, tag, alias) =>
+  api()
+    .post(`/tags/${tag}/aliases`)
+    .set("Authorization", `Bearer ${user.token}`)
+    .send({ alias });
+
+describe("question tags", () => {
+  test("normalises tag names and drops duplicates", async () => {
+    const user = await createUser();
+
+    const question = await createQuestion(user, {
+      tags: ["Node JS", "node-js", "Postgres"],
+    });
+
+    assert.deepEqual(question.tags, ["node-js", "postgres"]);
+    const response = await api().get(`/questions/${question.id}`);
+    assert.deepEqual(response.body.data.tags, ["node-js", "postgres"]);
+  });
+
+  test("replaces the tags when a question is updated", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user, { tags: ["postgres"] });
+
+    const response = await api()
+      .put(`/questions/${question.id}`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ title: "New", description: "New text", tags: ["mysql"] });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.updatedQuestion.tags, ["mysql"]);
+  });
+
+  test("rejects more than five tags or odd characters", async () => {
+    const user = await createUser();
+    for (const tags of [[], ["a", "b", "c", "d", "e", "f"], ["semi;colon"]]) {
+      const response = await api()
+        .post("/questions")
+        .set("Authorization", `Bearer ${user.token}`)
+        .send({ title: "Title", description: "Description", tags });
+      assert.equal(response.status, 400, tags.join(","));
+    }
+  });
+});
+
+describe("GET /tags", () => {
+  test("lists tags with question counts, most used first", async () => {
+    const user = await createUser();
+    await createQuestion(user, { tags: ["postgres", "indexes"] });
+    await createQuestion(user, { tags: ["postgres"] });
+
+    const response = await api().get("/tags");
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(
+      response.body.data.map((tag) => [tag.name, tag.question_count]),
+      [
+        ["postgres", 2],
+        ["indexes", 1],
+      ]
+    );
+  });
+
+  test("filters by name prefix", async () => {
+    const user = await createUser();
+    await createQuestion(user, { tags: ["postgres", "python"] });
+
+    const response = await api().get("/tags?q=Pos");
+
+    assert.deepEqual(
+      response.body.data.map((tag) => tag.name),
+      ["postgres"]
+    );
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    breakDatabase(t);
+
+    const response = await api().get("/tags");
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("POST /tags/:name/aliases", () => {
+  test("merges an existing tag into the target", async () => {
+    const moderator = await createUser();
+    await setRole(moderator, "moderator");
+    const merged = await createQuestion(moderator, { tags: ["JS"] });
+    await createQuestion(moderator, { tags: ["javascript"] });
+
+    const response = await addAlias(moderator, "javascript", "JS");
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(response.body.data, {
+      tag: "javascript",
+      alias: "js",
+      mergedQuestions: 1,
+    });
+    const tags = await api().get("/tags");
+    assert.deepEqual(tags.body.data, [
+      { name: "javascript", question_count: 2, aliases: ["js"] },
+    ]);
+    const question = await api().get(`/questions/${merged.id}`);
+    assert.deepEqual(question.body.data.tags, ["javascript"]);
+  });
+
+  test("clears the cached question responses", async () => {
+    const moderator = await createUser();
+    await setRole(moderator, "moderator");
+    await createQuestion(moderator, { tags: ["javascript"] });
+    const question = await createQuestion(moderator, { tags: ["js"] });
+    const before = await api().get("/questions?tag=js");
+    const single = await api().get(`/questions/${question.id}`);
+
+    await addAlias(moderator, "javascript", "js");
+    const after = await api().get("/questions?tag=js");
+    const revalidated = await api()
+      .get(`/questions/${question.id}`)
+      .set("If-None-Match", single.headers.etag);
+
+    assert.deepEqual(
+      before.body.data.map((row) => row.tags),
+      [["js"]]
+    );
+    assert.deepEqual(
+      after.body.data.map((row) => row.tags),
+      [["javascript"], ["javascript"]]
+    );
+    assert.equal(revalidated.status, 200);
+    assert.deepEqual(revalidated.body.data.tags, ["javascript"]);
+  });
+
+  test("tags new questions and filters through the alias", async () => {
+    const moderator = await createUser();
+    await setRole(moderator, "moderator");
+    await createQuestion(moderator, { tags: ["javascript"] });
+    await addAlias(moderator, "javascript", "js");
+
+    const question = await createQuestion(moderator, { tags: ["JS"] });
+    const filtered = await api().get("/questions?tag=js");
+
+    assert.deepEqual(question.tags, ["javascript"]);
+    assert.equal(filtered.body.data.length, 2);
+  });
+
+  test("rejects an alias that belongs to another tag", async () => {
+    const moderator = await createUser();
+    await setRole(moderator, "moderator");
+    await createQuestion(moderator, { tags: ["javascript", "typescript"] });
+    await addAlias(moderator, "javascript", "js");
+
+    const response = await addAlias(moderator, "typescript", "js");
+
+    assert.equal(response.status, 409);
+  });
+
+  test("returns 404 for a missing tag", async () => {
+    const moderator = await createUser();
+    await setRole(moderator, "moderator");
+
+    const response = await addAlias(moderator, "nothing", "none");
+
+    assert.equal(response.status, 404);
+  });
+
+  test("is only allowed for moderators and admins", async () => {
+    const user = await createUser();
+    await createQuestion(user, { tags: ["javascript"] });
+
+    const response = await addAlias(user, "javascript", "js");
+
+    assert.equal(response.status, 403);
+  });
+});
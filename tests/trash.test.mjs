@@ -0,0 +1,291 @@
+import { describe, test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+  api,
+  resetDatabase,
+  createUser,
+  createQuestion,
+  createAnswer,
+  setRole,
+  breakDatabase,
+} from "./helpers.mjs";
+import connectionPool from "../utils/db.mjs";
+import { purgeTrash } from "../utils/trash.mjs";
+
+beforeEach(resetDatabase);
+
+const deleteQuestion = (user, question) =>
+  api()
+    .delete(`/questions/${question.id}`)
+    .set("Authorization", `Bearer ${user.token}`);
+
+const deleteAnswer = (user, answer) =>
+  api()
+    .delete(`/answers/${answer.id}`)
+    .set("Authorization", `Bearer ${user.token}`);
+
+const createAdmin = async () => {
+  const admin = await createUser();
+  await setRole(admin, "admin");
+  return admin;
+};
+
+describe("DELETE /questions/:id", () => {
+  test("hides the question and its answers", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const answer = await createAnswer(user, question.id);
+
+    const response = await deleteQuestion(user, question);
+
+    assert.equal(response.status, 200);
+    const list = await api().get("/questions");
+    assert.equal(list.status, 404);
+    const single = await api().get(`/questions/${question.id}`);
+    assert.equal(single.status, 404);
+    const hiddenAnswer = await api().get(`/answers/${answer.id}`);
+    assert.equal(hiddenAnswer.status, 404);
+  });
+
+  test("returns 404 when the question is already in the trash", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    await deleteQuestion(user, question);
+
+    const response = await deleteQuestion(user, question);
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe("DELETE /answers/:id", () => {
+  test("hides the answer from its question", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const answer = await createAnswer(user, question.id);
+    await createAnswer(user, question.id, "Use EXPLAIN.");
+
+    const response = await deleteAnswer(user, answer);
+
+    assert.equal(response.status, 200);
+    const answers = await api().get(`/questions/${question.id}/answers`);
+    assert.deepEqual(
+      answers.body.data.map((item) => item.content),
+      ["Use EXPLAIN."]
+    );
+  });
+
+  test("stops accepting the answer until it is restored", async () => {
+    const asker = await createUser();
+    const answerer = await createUser();
+    const admin = await createAdmin();
+    const question = await createQuestion(asker);
+    const answer = await createAnswer(answerer, question.id);
+    await api()
+      .post(`/questions/${question.id}/accept/${answer.id}`)
+      .set("Authorization", `Bearer ${asker.token}`);
+    const accepted = await api().get(`/questions/${question.id}`);
+
+    await deleteAnswer(answerer, answer);
+    const trashed = await api().get(`/questions/${question.id}`);
+    await api()
+      .post(`/answers/${answer.id}/restore`)
+      .set("Authorization", `Bearer ${admin.token}`);
+    const restored = await api().get(`/questions/${question.id}`);
+
+    assert.equal(trashed.body.data.accepted_answer_id, null);
+    assert.equal(trashed.body.data.accepted_at, null);
+    assert.equal(restored.body.data.accepted_answer_id, answer.id);
+    assert.equal(
+      restored.body.data.accepted_at,
+      accepted.body.data.accepted_at
+    );
+  });
+});
+
+describe("GET /admin/trash", () => {
+  test("lists deleted questions and answers with their purge time", async () => {
+    const user = await createUser();
+    const admin = await createAdmin();
+    const question = await createQuestion(user);
+    const other = await createQuestion(user, { title: "Other" });
+    const answer = await createAnswer(user, other.id);
+    await deleteQuestion(user, question);
+    await deleteAnswer(user, answer);
+
+    const response = await api()
+      .get("/admin/trash")
+      .set("Authorization", `Bearer ${admin.token}`);
+
+    assert.equal(response.status, 200);
+    const [first, second] = response.body.data;
+    assert.equal(first.type, "answer");
+    assert.equal(first.id, answer.id);
+    assert.equal(first.question_id, other.id);
+    assert.equal(first.deleted_by, user.id);
+    assert.equal(second.type, "question");
+    assert.equal(second.id, question.id);
+    const kept = new Date(second.purge_at) - new Date(second.deleted_at);
+    assert.equal(kept, 30 * 24 * 60 * 60 * 1000);
+  });
+
+  test("filters by type", async () => {
+    const user = await createUser();
+    const admin = await createAdmin();
+    const question = await createQuestion(user);
+    const answer = await createAnswer(user, question.id);
+    await deleteAnswer(user, answer);
+    await deleteQuestion(user, question);
+
+    const response = await api()
+      .get("/admin/trash?type=answer")
+      .set("Authorization", `Bearer ${admin.token}`);
+
+    assert.deepEqual(
+      response.body.data.map((item) => item.type),
+      ["answer"]
+    );
+  });
+
+  test("returns 403 for a moderator", async () => {
+    const moderator = await createUser();
+    await setRole(moderator, "moderator");
+
+    const response = await api()
+      .get("/admin/trash")
+      .set("Authorization", `Bearer ${moderator.token}`);
+
+    assert.equal(response.status, 403);
+  });
+
+  test("returns 400 for an unknown type", async () => {
+    const admin = await createAdmin();
+
+    const response = await api()
+      .get("/admin/trash?type=comment")
+      .set("Authorization", `Bearer ${admin.token}`);
+
+    assert.equal(response.status, 400);
+  });
+
+  test("returns 500 when the database fails", async (t) => {
+    const admin = await createAdmin();
+    breakDatabase(t);
+
+    const response = await api()
+      .get("/admin/trash")
+      .set("Authorization", `Bearer ${admin.token}`);
+
+    assert.equal(response.status, 500);
+  });
+});
+
+describe("POST /questions/:id/restore", () => {
+  test("brings the question back with its answers and comments", async () => {
+    const user = await createUser();
+    const admin = await createAdmin();
+    const question = await createQuestion(user);
+    await createAnswer(user, question.id);
+    await api()
+      .post(`/questions/${question.id}/comments`)
+      .set("Authorization", `Bearer ${user.token}`)
+      .send({ content: "Which version?" });
+    await deleteQuestion(user, question);
+
+    const response = await api()
+      .post(`/questions/${question.id}/restore`)
+      .set("Authorization", `Bearer ${admin.token}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.restoredQuestion.deleted_at, null);
+    const answers = await api().get(`/questions/${question.id}/answers`);
+    assert.equal(answers.body.data.length, 1);
+    const comments = await api().get(`/questions/${question.id}/comments`);
+    assert.equal(comments.body.data.length, 1);
+  });
+
+  test("returns 404 when the question is not in the trash", async () => {
+    const user = await createUser();
+    const admin = await createAdmin();
+    const question = await createQuestion(user);
+
+    const response = await api()
+      .post(`/questions/${question.id}/restore`)
+      .set("Authorization", `Bearer ${admin.token}`);
+
+    assert.equal(response.status, 404);
+  });
+
+  test("returns 403 for the author", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    await deleteQuestion(user, question);
+
+    const response = await api()
+      .post(`/questions/${question.id}/restore`)
+      .set("Authorization", `Bearer ${user.token}`);
+
+    assert.equal(response.status, 403);
+  });
+});
+
+describe("POST /answers/:id/restore", () => {
+  test("brings the answer back", async () => {
+    const user = await createUser();
+    const admin = await createAdmin();
+    const question = await createQuestion(user);
+    const answer = await createAnswer(user, question.id);
+    await deleteAnswer(user, answer);
+
+    const response = await api()
+      .post(`/answers/${answer.id}/restore`)
+      .set("Authorization", `Bearer ${admin.token}`);
+
+    assert.equal(response.status, 200);
+    const answers = await api().get(`/questions/${question.id}/answers`);
+    assert.equal(answers.body.data.length, 1);
+  });
+
+  test("returns 404 when the answer is not in the trash", async () => {
+    const user = await createUser();
+    const admin = await createAdmin();
+    const question = await createQuestion(user);
+    const answer = await createAnswer(user, question.id);
+
+    const response = await api()
+      .post(`/answers/${answer.id}/restore`)
+      .set("Authorization", `Bearer ${admin.token}`);
+
+    assert.equal(response.status, 404);
+  });
+});
+
+describe("purgeTrash", () => {
+  test("removes items deleted before the retention period", async () => {
+    const user = await createUser();
+    const question = await createQuestion(user);
+    const kept = await createQuestion(user, { title: "Kept" });
+    const answer = await createAnswer(user, kept.id);
+    await createAnswer(user, question.id);
+    await deleteQuestion(user, question);
+    await deleteAnswer(user, answer);
+    await connectionPool.query(
+      `update questions set deleted_at = now() - interval '31 days' where id = $1`,
+      [question.id]
+    );
+
+    const purged = await purgeTrash(connectionPool, 30);
+
+    assert.deepEqual(purged, { questions: 1, answers: 0 });
+    const remaining = await connectionPool.query(
+      `select id from questions order by id`,
+      []
+    );
+    assert.deepEqual(remaining.rows, [{ id: kept.id }]);
+    const answers = await connectionPool.query(
+      `select id from answers where deleted_at is not null`,
+      []
+    );
+    assert.deepEqual(answers.rows, [{ id: answer.id }]);
+  });
+});
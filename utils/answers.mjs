@@ -0,0 +1,144 @@
+import connectionPool, { withTransaction } from "./db.mjs";
+import { HttpError } from "./errors.mjs";
+import { recordRevision } from "./revisions.mjs";
+import { notifyQuestionAnswered, notifyAnswerVoted } from "./notifications.mjs";
+import { publishEvent, publishVoteCounts } from "./stream.mjs";
+import { castVote, retractVote } from "./votes.mjs";
+import { invalidateQuestion } from "./cache.mjs";
+import { visibleQuestion } from "./trash.mjs";
+import { assertCanSee } from "../Middlewares/authorize.mjs";
+
+// Writes to answers shared by the REST routes and the GraphQL mutations, in the
+// manner of utils/questions.mjs.
+
+// Upvote and downvote totals for one answer.
+export const answerVoteSummary = `
+  select answers.id, answers.question_id, answers.content, answers.created_at, answers.updated_at
+  ,answers.upvote_count as upvote
+  ,answers.downvote_count as downvote
+  from answers inner join questions
+  on questions.id = answers.question_id
+  where answers.id = $1
+  and answers.deleted_at is null and questions.deleted_at is null`;
+
+// A hidden question only takes answers from its author and moderators.
+export const createAnswer = async (questionId, authorId, { content }) => {
+  const now = new Date();
+  const answer = await withTransaction(async (client) => {
+    const question = await client.query(visibleQuestion, [questionId]);
+    if (question.rowCount > 0) {
+      await assertCanSee(authorId, question.rows[0], "Question not found.");
+    }
+    const results = await client.query(
+      `
+      insert into answers (question_id,content,author_id,created_at,updated_at)
+      select id,$2,$3,$4,$5 from questions
+      where id = $1 and deleted_at is null
+      returning *`,
+      [questionId, content, authorId, now, now]
+    );
+    if (results.rowCount === 0) {
+      throw new HttpError(404, "NOT_FOUND", "Question not found.");
+    }
+    const row = results.rows[0];
+    await recordRevision(client, "answer", row.id, row, authorId);
+    await notifyQuestionAnswered(client, row);
+    await publishEvent(client, row.question_id, "answer_created", row);
+    return row;
+  });
+  invalidateQuestion(answer.question_id);
+  return answer;
+};
+
+export const updateAnswer = async (answerId, editorId, { content }) => {
+  const answer = await withTransaction(async (client) => {
+    const results = await client.query(
+      `
+      update answers
+      set content = $2,
+          updated_at = $3
+      where id = $1
+      returning *`,
+      [answerId, content, new Date()]
+    );
+    if (results.rowCount === 0) {
+      throw new HttpError(404, "NOT_FOUND", "Answer not found.");
+    }
+    const updated = results.rows[0];
+    await recordRevision(client, "answer", answerId, updated, editorId);
+    await publishEvent(client, updated.question_id, "answer_updated", updated);
+    return updated;
+  });
+  invalidateQuestion(answer.question_id);
+  return answer;
+};
+
+// Moves the answer to the trash in the caller's transaction; its votes and
+// comments stay with it. An accepted answer stops being accepted until it is
+// restored. Returns the question_id, or nothing if the answer was not found.
+export const moveAnswerToTrash = async (client, answerId, userId, now) => {
+  const results = await client.query(
+    `
+    update answers set deleted_at = $2, deleted_by = $3
+    ,was_accepted_at = (select accepted_at from questions where accepted_answer_id = answers.id)
+    where id = $1 and deleted_at is null
+    returning question_id`,
+    [answerId, now, userId]
+  );
+  await client.query(
+    `
+    update questions set accepted_answer_id = null, accepted_at = null
+    where accepted_answer_id = $1`,
+    [answerId]
+  );
+  return results.rows[0]?.question_id;
+};
+
+// Accepts a restored answer again, in the caller's transaction, if it was
+// accepted when it moved to the trash and its question has accepted no other
+// answer since.
+export const reacceptAnswer = (client, answerId) =>
+  client.query(
+    `
+    update questions set accepted_answer_id = answers.id, accepted_at = answers.was_accepted_at
+    from answers
+    where answers.id = $1 and questions.id = answers.question_id
+    and answers.was_accepted_at is not null and questions.accepted_answer_id is null`,
+    [answerId]
+  );
+
+export const trashAnswer = async (answerId, userId) => {
+  const questionId = await withTransaction((client) =>
+    moveAnswerToTrash(client, answerId, userId, new Date())
+  );
+  if (questionId === undefined) {
+    throw new HttpError(404, "NOT_FOUND", "Answer not found.");
+  }
+  invalidateQuestion(questionId);
+};
+
+// Records the user's vote (1 or -1) on the answer, or removes it when vote is
+// null, and tells the author about a new vote in the same transaction. Returns
+// the answer with its new totals.
+export const voteOnAnswer = async (answerId, userId, vote) => {
+  if (vote === null) {
+    await retractVote("answer", answerId, userId);
+  } else {
+    await castVote("answer", answerId, userId, vote, (client, voted) =>
+      notifyAnswerVoted(client, answerId, userId, voted.vote)
+    );
+  }
+  const results = await connectionPool.query(answerVoteSummary, [answerId]);
+  if (results.rowCount === 0) {
+    throw new HttpError(404, "NOT_FOUND", "Answer not found.");
+  }
+  const summary = results.rows[0];
+  await publishVoteCounts(
+    connectionPool,
+    summary.question_id,
+    answerId,
+    summary
+  );
+  invalidateQuestion(summary.question_id);
+  return summary;
+};
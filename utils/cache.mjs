@@ -0,0 +1,101 @@
+import { createHash } from "node:crypto";
+import config from "./config.mjs";
+
+// Responses of the question read routes, kept in this process for
+// config.cache.ttlMs. Write routes call invalidateQuestion once their change is
+// committed; other processes see it when their copy expires.
+const entries = new Map();
+// Counts invalidations. A response read from the database before the latest
+// one may already be stale, so it is sent but not stored.
+let generation = 0;
+
+export const questionKey = (questionId) => `question:${questionId}`;
+export const answersKey = (questionId) => `answers:${questionId}`;
+// Lists hold many questions, so any change to a question drops all of them.
+export const listKey = (url) => `list:${url}`;
+
+export const readCache = (key) => {
+  const entry = entries.get(key);
+  if (!entry) {
+    return undefined;
+  }
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    return undefined;
+  }
+  // A Map iterates in insertion order, so moving the entry to the end keeps
+  // the least recently used one first in line to be evicted.
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry;
+};
+
+// Pass the value before querying the database to writeCache.
+export const cacheGeneration = () => generation;
+
+// The newest updated_at of the response data, a row or a list of rows.
+const latestUpdate = (data) => {
+  const times = [data]
+    .flat()
+    .filter((row) => row?.updated_at)
+    .map((row) => new Date(row.updated_at).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+// Turns a response body into a cache entry and stores it, unless something was
+// invalidated since `since` came from cacheGeneration.
+export const writeCache = (key, since, body) => {
+  const json = JSON.stringify(body);
+  const entry = {
+    json,
+    etag: `"${createHash("sha1").update(json).digest("base64url")}"`,
+    lastModified: latestUpdate(body.data),
+    expiresAt: Date.now() + config.cache.ttlMs,
+  };
+  if (config.cache.ttlMs > 0 && since === generation) {
+    entries.set(key, entry);
+    if (entries.size > config.cache.maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+  return entry;
+};
+
+export const invalidateQuestion = (questionId) => {
+  generation += 1;
+  entries.delete(questionKey(questionId));
+  entries.delete(answersKey(questionId));
+  for (const key of entries.keys()) {
+    if (key.startsWith("list:")) {
+      entries.delete(key);
+    }
+  }
+};
+
+export const clearCache = () => {
+  generation += 1;
+  entries.clear();
+};
+
+// If-None-Match holds one or more ETags, or * for any.
+const matches = (ifNoneMatch, etag) =>
+  ifNoneMatch
+    ?.split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .some((tag) => tag === "*" || tag === etag) ?? false;
+
+// Sends a cached response, or 304 when the client already has it. Clients must
+// revalidate every time (no-cache), so they never show stale vote counts.
+// Votes do not change updated_at, so only If-None-Match can answer 304;
+// If-Modified-Since alone always gets the full response.
+export const sendCached = (req, res, entry) => {
+  res.set({ ETag: entry.etag, "Cache-Control": "no-cache" });
+  if (entry.lastModified) {
+    res.set("Last-Modified", entry.lastModified.toUTCString());
+  }
+  if (matches(req.get("If-None-Match"), entry.etag)) {
+    return res.status(304).end();
+  }
+  // res.send would answer 304 to If-Modified-Since by itself.
+  return res.status(200).type("json").end(entry.json);
+};
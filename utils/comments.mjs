@@ -0,0 +1,94 @@
+import connectionPool from "./db.mjs";
+import { HttpError } from "./errors.mjs";
+import { visibleQuestion, visibleAnswer } from "./trash.mjs";
+import { assertCanSee } from "../Middlewares/authorize.mjs";
+
+// Comments hang off either a question or an answer; the same queries serve both.
+const targets = {
+  question: {
+    visible: visibleQuestion,
+    column: "question_id",
+    notFound: "Question not found.",
+  },
+  answer: {
+    visible: visibleAnswer,
+    column: "answer_id",
+    notFound: "Answer not found.",
+  },
+};
+
+// Comments on something in the trash are hidden with it, and so are comments
+// on hidden content from everyone but its author and moderators.
+const checkVisible = async (target, targetId, userId) => {
+  const { visible, notFound } = targets[target];
+  const results = await connectionPool.query(visible, [targetId]);
+  if (results.rowCount === 0) {
+    throw new HttpError(404, "NOT_FOUND", notFound);
+  }
+  await assertCanSee(userId, results.rows[0], notFound);
+};
+
+// Top-level comments oldest first, each with its replies (also oldest first).
+// viewerId is the signed in user, if any.
+export const listComments = async (target, targetId, viewerId) => {
+  const { column } = targets[target];
+  await checkVisible(target, targetId, viewerId);
+  const results = await connectionPool.query(
+    `
+      select * from comments
+      where ${column} = $1
+      order by created_at, id`,
+    [targetId]
+  );
+  const topLevel = [];
+  const byId = new Map();
+  for (const comment of results.rows) {
+    if (comment.parent_id === null) {
+      const withReplies = { ...comment, replies: [] };
+      byId.set(comment.id, withReplies);
+      topLevel.push(withReplies);
+    }
+  }
+  for (const comment of results.rows) {
+    if (comment.parent_id !== null) {
+      byId.get(comment.parent_id)?.replies.push(comment);
+    }
+  }
+  return topLevel;
+};
+
+export const addComment = async (target, targetId, authorId, comment) => {
+  const { column } = targets[target];
+  await checkVisible(target, targetId, authorId);
+  if (comment.parentId !== undefined) {
+    const parent = await connectionPool.query(
+      `select ${column} as target_id, parent_id from comments where id = $1`,
+      [comment.parentId]
+    );
+    if (parent.rowCount === 0) {
+      throw new HttpError(404, "NOT_FOUND", "Comment not found.");
+    }
+    if (parent.rows[0].target_id !== targetId) {
+      throw new HttpError(
+        400,
+        "INVALID_INPUT",
+        `Comment does not belong to this ${target}.`
+      );
+    }
+    if (parent.rows[0].parent_id !== null) {
+      throw new HttpError(
+        400,
+        "INVALID_INPUT",
+        "Replies cannot be replied to."
+      );
+    }
+  }
+  const now = new Date();
+  const results = await connectionPool.query(
+    `
+      insert into comments (${column},parent_id,content,author_id,created_at,updated_at)
+      values ($1,$2,$3,$4,$5,$5) returning *`,
+    [targetId, comment.parentId ?? null, comment.content, authorId, now]
+  );
+  return results.rows[0];
+};
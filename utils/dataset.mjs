@@ -0,0 +1,482 @@
+import { createInterface } from "node:readline";
+import connectionPool, { withTransaction } from "./db.mjs";
+import { HttpError, fromDatabaseError } from "./errors.mjs";
+import { questionTagNames, setQuestionTags } from "./tags.mjs";
+import { recordRevision } from "./revisions.mjs";
+import { updateCounts } from "./votes.mjs";
+import { clearCache } from "./cache.mjs";
+import { datasetRecords } from "./schemas.mjs";
+import { createCheck } from "../Middlewares/validate.mjs";
+
+// The Q&A dataset as a file: every question, then every answer, then every
+// vote, one record per line. JSON Lines records carry a type field; CSV files
+// have one column per field of any record type, with type as the first.
+// Content in the trash is left out; content hidden by moderators is kept with
+// its hidden_at. User accounts are not exported: records name users by
+// username, and an import matches them to the accounts of the importing
+// database.
+
+export const CSV_COLUMNS = [
+  "type",
+  "id",
+  "question_id",
+  "answer_id",
+  "title",
+  "description",
+  "tags",
+  "content",
+  "author",
+  "user",
+  "vote",
+  "accepted",
+  "hidden_at",
+  "created_at",
+  "updated_at",
+];
+
+// Rows are read in pages of this many, by id, so an export of any size holds
+// one page in memory at a time.
+const PAGE_SIZE = 500;
+
+const exported = (table) => `${table}.deleted_at is null`;
+
+const sections = [
+  {
+    type: "question",
+    fields: [
+      "id",
+      "title",
+      "description",
+      "tags",
+      "author",
+      "hidden_at",
+      "created_at",
+      "updated_at",
+    ],
+    query: `
+      select questions.id, questions.title, questions.description, ${questionTagNames}
+      ,users.username as author, questions.hidden_at, questions.created_at, questions.updated_at
+      from questions left join users
+      on users.id = questions.author_id
+      where ${exported("questions")} and questions.id > $1
+      order by questions.id
+      limit $2`,
+  },
+  {
+    type: "answer",
+    fields: [
+      "id",
+      "question_id",
+      "content",
+      "author",
+      "accepted",
+      "hidden_at",
+      "created_at",
+      "updated_at",
+    ],
+    query: `
+      select answers.id, answers.question_id, answers.content, users.username as author
+      ,coalesce(answers.id = questions.accepted_answer_id, false) as accepted
+      ,answers.hidden_at, answers.created_at, answers.updated_at
+      from answers inner join questions
+      on questions.id = answers.question_id
+      left join users on users.id = answers.author_id
+      where ${exported("answers")} and ${exported(
+      "questions"
+    )} and answers.id > $1
+      order by answers.id
+      limit $2`,
+  },
+  {
+    type: "question_vote",
+    fields: ["question_id", "user", "vote", "created_at", "updated_at"],
+    query: `
+      select question_votes.id, question_votes.question_id, users.username as "user"
+      ,question_votes.vote, question_votes.created_at, question_votes.updated_at
+      from question_votes inner join questions
+      on questions.id = question_votes.question_id
+      inner join users on users.id = question_votes.user_id
+      where ${exported("questions")} and question_votes.id > $1
+      order by question_votes.id
+      limit $2`,
+  },
+  {
+    type: "answer_vote",
+    fields: ["answer_id", "user", "vote", "created_at", "updated_at"],
+    query: `
+      select answer_votes.id, answer_votes.answer_id, users.username as "user"
+      ,answer_votes.vote, answer_votes.created_at, answer_votes.updated_at
+      from answer_votes inner join answers
+      on answers.id = answer_votes.answer_id
+      inner join questions on questions.id = answers.question_id
+      inner join users on users.id = answer_votes.user_id
+      where ${exported("answers")} and ${exported(
+      "questions"
+    )} and answer_votes.id > $1
+      order by answer_votes.id
+      limit $2`,
+  },
+];
+
+// Fields without a value are left out rather than written as null.
+const toRecord = (type, fields, row) =>
+  Object.fromEntries([
+    ["type", type],
+    ...fields
+      .filter((field) => row[field] !== null && row[field] !== undefined)
+      .map((field) => [field, row[field]]),
+  ]);
+
+const toCsvValue = (value) => {
+  if (value === undefined) {
+    return "";
+  }
+  const text = Array.isArray(value)
+    ? value.join(",")
+    : value instanceof Date
+    ? value.toISOString()
+    : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+const formatters = {
+  jsonl: (record) => `${JSON.stringify(record)}\n`,
+  csv: (record) =>
+    `${CSV_COLUMNS.map((column) => toCsvValue(record[column])).join(",")}\n`,
+};
+
+// Yields the export in the given format, one chunk per page of rows. The CSV
+// header comes with the first page, so nothing is yielded before the first query
+// has succeeded.
+export async function* exportDataset(format, client = connectionPool) {
+  const formatRecord = formatters[format];
+  let header = format === "csv" ? `${CSV_COLUMNS.join(",")}\n` : "";
+  for (const { type, fields, query } of sections) {
+    let afterId = 0;
+    for (;;) {
+      const results = await client.query(query, [afterId, PAGE_SIZE]);
+      if (results.rowCount === 0) {
+        break;
+      }
+      afterId = results.rows[results.rows.length - 1].id;
+      yield header +
+        results.rows
+          .map((row) => formatRecord(toRecord(type, fields, row)))
+          .join("");
+      header = "";
+      if (results.rows.length < PAGE_SIZE) {
+        break;
+      }
+    }
+  }
+  if (header) {
+    yield header;
+  }
+}
+
+// Splits one CSV row into its values. Quoted values may contain commas, quotes
+// (doubled) and line breaks.
+const parseCsvRow = (text) => {
+  const values = [];
+  let value = "";
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted && char === '"' && text[index + 1] === '"') {
+      value += '"';
+      index += 1;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === "," && !quoted) {
+      values.push(value);
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  values.push(value);
+  return values;
+};
+
+// CSV values are all text; these columns are turned back into what the JSON
+// Lines format holds. Values that do not convert are left for the record check.
+const csvConverters = {
+  id: Number,
+  question_id: Number,
+  answer_id: Number,
+  vote: Number,
+  tags: (value) => value.split(","),
+  accepted: (value) =>
+    value === "true" ? true : value === "false" ? false : value,
+};
+
+const fromCsvRow = (columns, values) =>
+  Object.fromEntries(
+    columns
+      .map((column, index) => [column, values[index] ?? ""])
+      .filter(([, value]) => value !== "")
+      .map(([column, value]) => {
+        const converted = Object.hasOwn(csvConverters, column)
+          ? csvConverters[column](value)
+          : value;
+        return [column, Number.isNaN(converted) ? value : converted];
+      })
+  );
+
+const notValid = (message) => new HttpError(400, "INVALID_INPUT", message);
+
+async function* readJsonLines(lines) {
+  let line = 0;
+  for await (const text of lines) {
+    line += 1;
+    if (text.trim() === "") {
+      continue;
+    }
+    let record;
+    try {
+      record = JSON.parse(text);
+    } catch {
+      yield { line, error: notValid("Line is not valid JSON.") };
+      continue;
+    }
+    yield { line, record };
+  }
+}
+
+async function* readCsv(lines) {
+  let columns = null;
+  let line = 0;
+  let row = null;
+  for await (const text of lines) {
+    line += 1;
+    // A row goes on over the next line while a quoted value is still open.
+    row = row ? { ...row, text: `${row.text}\n${text}` } : { line, text };
+    if (row.text.split('"').length % 2 === 0) {
+      continue;
+    }
+    const values = parseCsvRow(row.text);
+    if (!columns) {
+      columns = values;
+    } else if (row.text.trim() !== "") {
+      yield { line: row.line, record: fromCsvRow(columns, values) };
+    }
+    row = null;
+  }
+  if (row) {
+    yield { line: row.line, error: notValid("Quoted value is not closed.") };
+  }
+}
+
+const readers = { jsonl: readJsonLines, csv: readCsv };
+
+// Reads the records of an import file from a stream, e.g. a request or a file.
+// Yields { line, record } per record, or { line, error } for one that cannot
+// be read, where line is the line the record starts on.
+export const readDataset = (input, format) =>
+  readers[format](createInterface({ input, crlfDelay: Infinity }));
+
+const checks = Object.fromEntries(
+  Object.entries(datasetRecords).map(([type, schema]) => [
+    type,
+    createCheck("record", schema),
+  ])
+);
+
+const checkRecord = (record) => {
+  if (!Object.hasOwn(checks, record?.type)) {
+    throw notValid(
+      `type must be one of ${Object.keys(datasetRecords).join(", ")}.`
+    );
+  }
+  const errors = checks[record.type](record);
+  if (errors.length > 0) {
+    throw notValid(errors.map((error) => error.message).join(" "));
+  }
+};
+
+// Keeps what the import has done so far: the new ids of imported questions and
+// answers by their id in the file, and the users found by username.
+const createImport = () => ({
+  ids: { question: new Map(), answer: new Map() },
+  users: new Map(),
+});
+
+// The id of the user with the username, or null when there is none.
+const findUser = async (state, client, username) => {
+  if (username === undefined) {
+    return null;
+  }
+  if (!state.users.has(username)) {
+    const results = await client.query(
+      `select id from users where username = $1`,
+      [username]
+    );
+    state.users.set(username, results.rows[0]?.id ?? null);
+  }
+  return state.users.get(username);
+};
+
+// Votes need their voter; content whose author has no account here is
+// imported without an author, like content of deleted users.
+const findVoter = async (state, client, username) => {
+  const userId = await findUser(state, client, username);
+  if (userId === null) {
+    throw new HttpError(404, "NOT_FOUND", `User ${username} not found.`);
+  }
+  return userId;
+};
+
+const newId = (state, target, fileId) => {
+  const id = state.ids[target].get(fileId);
+  if (id === undefined) {
+    const name = target === "question" ? "Question" : "Answer";
+    throw new HttpError(
+      404,
+      "NOT_FOUND",
+      `${name} ${fileId} is not in the file or was not imported.`
+    );
+  }
+  return id;
+};
+
+const notImportedYet = (state, target, fileId) => {
+  if (state.ids[target].has(fileId)) {
+    const name = target === "question" ? "Question" : "Answer";
+    throw new HttpError(
+      409,
+      "CONFLICT",
+      `${name} ${fileId} is already in the file.`
+    );
+  }
+};
+
+const importVote = (target, table, column) => async (state, client, record) => {
+  const targetId = newId(state, target, record[column]);
+  const userId = await findVoter(state, client, record.user);
+  const results = await client.query(
+    `
+        insert into ${table} (${column},user_id,vote,created_at,updated_at)
+        values ($1,$2,$3,coalesce($4,now()),coalesce($5,$4,now()))
+        on conflict (${column},user_id) do nothing`,
+    [targetId, userId, record.vote, record.created_at, record.updated_at]
+  );
+  if (results.rowCount === 0) {
+    throw new HttpError(
+      409,
+      "CONFLICT",
+      `${record.user} already voted on ${target} ${record[column]}.`
+    );
+  }
+  await updateCounts(client, target, targetId, null, record.vote);
+};
+
+const importers = {
+  question: async (state, client, record) => {
+    notImportedYet(state, "question", record.id);
+    const authorId = await findUser(state, client, record.author);
+    const results = await client.query(
+      `
+        insert into questions (title,description,author_id,hidden_at,created_at,updated_at)
+        values ($1,$2,$3,$4,coalesce($5,now()),coalesce($6,$5,now()))
+        returning id`,
+      [
+        record.title,
+        record.description,
+        authorId,
+        record.hidden_at ?? null,
+        record.created_at,
+        record.updated_at,
+      ]
+    );
+    const questionId = results.rows[0].id;
+    const tags = await setQuestionTags(client, questionId, record.tags);
+    await recordRevision(
+      client,
+      "question",
+      questionId,
+      { ...record, tags },
+      authorId
+    );
+    return () => state.ids.question.set(record.id, questionId);
+  },
+  answer: async (state, client, record) => {
+    notImportedYet(state, "answer", record.id);
+    const questionId = newId(state, "question", record.question_id);
+    const authorId = await findUser(state, client, record.author);
+    const results = await client.query(
+      `
+        insert into answers (question_id,content,author_id,hidden_at,created_at,updated_at)
+        values ($1,$2,$3,$4,coalesce($5,now()),coalesce($6,$5,now()))
+        returning id`,
+      [
+        questionId,
+        record.content,
+        authorId,
+        record.hidden_at ?? null,
+        record.created_at,
+        record.updated_at,
+      ]
+    );
+    const answerId = results.rows[0].id;
+    await recordRevision(client, "answer", answerId, record, authorId);
+    if (record.accepted) {
+      await client.query(
+        `update questions set accepted_answer_id = $2, accepted_at = now() where id = $1`,
+        [questionId, answerId]
+      );
+    }
+    return () => state.ids.answer.set(record.id, answerId);
+  },
+  question_vote: importVote("question", "question_votes", "question_id"),
+  answer_vote: importVote("answer", "answer_votes", "answer_id"),
+};
+
+// At most this many errors are listed in the report; all of them are counted.
+const MAX_REPORTED_ERRORS = 100;
+
+// Imports records read by readDataset, each in its own transaction. A record
+// that is invalid, or refers to one that was not imported, is reported and
+// skipped; the rest of the file is still imported. Only errors that are not the
+// record's fault, such as the database going away, stop the import.
+export const importDataset = async (records) => {
+  const state = createImport();
+  const imported = Object.fromEntries(
+    Object.keys(importers).map((type) => [type, 0])
+  );
+  const errors = [];
+  let failed = 0;
+  try {
+    for await (const { line, record, error } of records) {
+      try {
+        if (error) {
+          throw error;
+        }
+        checkRecord(record);
+        const remember = await withTransaction((client) =>
+          importers[record.type](state, client, record)
+        );
+        remember?.();
+        imported[record.type] += 1;
+      } catch (recordError) {
+        const httpError =
+          recordError instanceof HttpError
+            ? recordError
+            : fromDatabaseError(recordError);
+        if (!httpError || httpError.status >= 500) {
+          throw recordError;
+        }
+        failed += 1;
+        if (errors.length < MAX_REPORTED_ERRORS) {
+          errors.push({
+            line,
+            type: record?.type ?? null,
+            message: httpError.message,
+          });
+        }
+      }
+    }
+  } finally {
+    clearCache();
+  }
+  return { imported, failed, errors };
+};
@@ -0,0 +1,89 @@
+// Largest table longestCommonSubsequence fills, about 4 MB and a few milliseconds.
+const MAX_DIFF_CELLS = 1_000_000;
+
+// Word level diff of two texts, as a list of { op, text } parts where op is
+// "equal", "delete" or "insert". Whitespace is kept, so joining the "equal" and
+// "delete" parts gives back the old text and "equal" and "insert" the new one.
+export const diffWords = (before, after) => {
+  const oldWords = before.split(/(\s+)/).filter(Boolean);
+  const newWords = after.split(/(\s+)/).filter(Boolean);
+
+  // Most edits touch a small part of the text, so the common start and end are
+  // taken off before the quadratic part.
+  let start = 0;
+  while (
+    start < oldWords.length &&
+    start < newWords.length &&
+    oldWords[start] === newWords[start]
+  ) {
+    start += 1;
+  }
+  let end = 0;
+  while (
+    end < oldWords.length - start &&
+    end < newWords.length - start &&
+    oldWords[oldWords.length - 1 - end] === newWords[newWords.length - 1 - end]
+  ) {
+    end += 1;
+  }
+  const oldMiddle = oldWords.slice(start, oldWords.length - end);
+  const newMiddle = newWords.slice(start, newWords.length - end);
+
+  const parts = [];
+  const push = (op, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.op === op) {
+      last.text += text;
+    } else if (text) {
+      parts.push({ op, text });
+    }
+  };
+
+  push("equal", oldWords.slice(0, start).join(""));
+  if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+    // A rewrite of a long text: show it as replaced rather than spend seconds
+    // and hundreds of megabytes on the table.
+    push("delete", oldMiddle.join(""));
+    push("insert", newMiddle.join(""));
+  } else {
+    for (const [op, word] of longestCommonSubsequence(oldMiddle, newMiddle)) {
+      push(op, word);
+    }
+  }
+  push("equal", oldWords.slice(oldWords.length - end).join(""));
+  return parts;
+};
+
+// Classic dynamic programming LCS; lengths[i * width + j] is the LCS length of
+// a[i..] and b[j..].
+const longestCommonSubsequence = (a, b) => {
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+  const steps = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      steps.push(["equal", a[i]]);
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      steps.push(["delete", a[i]]);
+      i += 1;
+    } else {
+      steps.push(["insert", b[j]]);
+      j += 1;
+    }
+  }
+  for (; i < a.length; i += 1) steps.push(["delete", a[i]]);
+  for (; j < b.length; j += 1) steps.push(["insert", b[j]]);
+  return steps;
+};
@@ -0,0 +1,84 @@
+// Errors that already know which HTTP response they should become.
+export class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Messages for foreign keys whose violation means the referenced row is missing.
+const missingReferenceMessages = {
+  answers_question_id_fkey: "Question not found.",
+  question_votes_question_id_fkey: "Question not found.",
+  answer_votes_answer_id_fkey: "Answer not found.",
+  questions_accepted_answer_id_fkey: "Answer not found.",
+  comments_question_id_fkey: "Question not found.",
+  comments_answer_id_fkey: "Answer not found.",
+  comments_parent_id_fkey: "Comment not found.",
+};
+
+// SQLSTATE classes and codes that mean the database could not be reached or
+// could not finish in time, as opposed to the request being wrong.
+const unavailableCodes = ["57P01", "57P02", "57P03", "53300", "57014"];
+const unavailableNodeCodes = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ENOTFOUND",
+];
+
+const invalidInputCodes = {
+  "22P02": "Invalid value for the field type.",
+  22003: "Number is out of range.",
+  22001: "Value is too long.",
+  22007: "Invalid date or time.",
+  22008: "Date or time is out of range.",
+  23502: "A required value is missing.",
+  23514: "A value is not allowed.",
+};
+
+// Maps an error thrown by pg to an HttpError, or returns null when the error
+// did not come from the database.
+export const fromDatabaseError = (error) => {
+  const code = error?.code;
+  if (code === "23505") {
+    return new HttpError(409, "CONFLICT", "Resource already exists.");
+  }
+  if (code === "23503") {
+    // The same code is used for inserting a dangling reference and for deleting
+    // a row that is still referenced; only the first means "not found".
+    if (error.message?.startsWith("insert or update")) {
+      return new HttpError(
+        404,
+        "NOT_FOUND",
+        missingReferenceMessages[error.constraint] ??
+          "Referenced resource not found."
+      );
+    }
+    return new HttpError(
+      409,
+      "CONFLICT",
+      "Resource is still referenced by other data."
+    );
+  }
+  if (code in invalidInputCodes) {
+    return new HttpError(400, "INVALID_INPUT", invalidInputCodes[code]);
+  }
+  if (
+    unavailableCodes.includes(code) ||
+    unavailableNodeCodes.includes(code) ||
+    code?.startsWith("08") ||
+    /timeout exceeded when trying to connect|Connection terminated/i.test(
+      error?.message ?? ""
+    )
+  ) {
+    return new HttpError(
+      503,
+      "SERVICE_UNAVAILABLE",
+      "Database is unavailable, please try again later."
+    );
+  }
+  return null;
+};
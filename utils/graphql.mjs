@@ -0,0 +1,381 @@
+import { buildSchema, GraphQLError, Kind } from "graphql";
+import { HttpError } from "./errors.mjs";
+import { DEFAULT_PAGE_SIZE } from "./pagination.mjs";
+import {
+  idParams,
+  questionBody,
+  answerBody,
+  questionListQuery,
+} from "./schemas.mjs";
+import { createCheck } from "../Middlewares/validate.mjs";
+import { authenticate } from "../Middlewares/protect.mjs";
+import { checkRateLimit } from "../Middlewares/rateLimit.mjs";
+import {
+  assertQuestionAuthor,
+  assertAnswerAuthor,
+  assertReputation,
+  findViewer,
+  canSeeContent,
+} from "../Middlewares/authorize.mjs";
+import { clearLoaders } from "./loaders.mjs";
+import {
+  createQuestion,
+  updateQuestion,
+  trashQuestion,
+  voteOnQuestion,
+  listQuestions,
+} from "./questions.mjs";
+import {
+  createAnswer,
+  updateAnswer,
+  trashAnswer,
+  voteOnAnswer,
+} from "./answers.mjs";
+
+// The schema of POST /graphql. Field names match the REST responses. Nested
+// fields are read through the request's loaders (see loaders.mjs), and the
+// mutations run the same checks and writes as the REST routes.
+export const schema = buildSchema(`
+  "An ISO 8601 date and time in UTC"
+  scalar DateTime
+
+  type User {
+    id: Int!
+    username: String!
+  }
+
+  type VoteCounts {
+    upvote: Int!
+    downvote: Int!
+    "upvote minus downvote"
+    score: Int!
+  }
+
+  "A vote of the signed in user"
+  type Vote {
+    "1 for an upvote, -1 for a downvote"
+    vote: Int!
+    created_at: DateTime!
+    updated_at: DateTime!
+  }
+
+  type Question {
+    id: Int!
+    title: String!
+    description: String!
+    tags: [String!]!
+    "Null for imported questions and deleted users"
+    author: User
+    votes: VoteCounts!
+    "Null when signed out or not voted"
+    my_vote: Vote
+    "Null when the accepted answer is hidden"
+    accepted_answer: Answer
+    "The accepted answer first, then oldest first. Hidden answers are left out."
+    answers: [Answer!]!
+    created_at: DateTime!
+    updated_at: DateTime!
+  }
+
+  type Answer {
+    id: Int!
+    content: String!
+    "Null when the question is hidden"
+    question: Question
+    author: User
+    is_accepted: Boolean!
+    votes: VoteCounts!
+    my_vote: Vote
+    created_at: DateTime!
+    updated_at: DateTime!
+  }
+
+  type Pagination {
+    nextCursor: String
+    hasMore: Boolean!
+  }
+
+  type QuestionPage {
+    data: [Question!]!
+    pagination: Pagination!
+  }
+
+  input QuestionInput {
+    title: String!
+    description: String!
+    "One to five tags"
+    tags: [String!]!
+  }
+
+  input AnswerInput {
+    content: String!
+  }
+
+  type Query {
+    "Null when the question does not exist, is in the trash or is hidden from the signed in user"
+    question(id: Int!): Question
+    "Newest first, without hidden questions. Pass pagination.nextCursor as after for the next page."
+    questions(limit: Int = ${DEFAULT_PAGE_SIZE}, after: String): QuestionPage!
+    "Null when the answer does not exist, is in the trash or is hidden from the signed in user"
+    answer(id: Int!): Answer
+  }
+
+  "Every mutation needs a bearer token, like the REST routes it mirrors"
+  type Mutation {
+    createQuestion(input: QuestionInput!): Question!
+    updateQuestion(id: Int!, input: QuestionInput!): Question!
+    "Moves the question to the trash"
+    deleteQuestion(id: Int!): Boolean!
+    upvoteQuestion(id: Int!): Question!
+    downvoteQuestion(id: Int!): Question!
+    retractQuestionVote(id: Int!): Question!
+    createAnswer(questionId: Int!, input: AnswerInput!): Answer!
+    updateAnswer(id: Int!, input: AnswerInput!): Answer!
+    "Moves the answer to the trash"
+    deleteAnswer(id: Int!): Boolean!
+    upvoteAnswer(id: Int!): Answer!
+    downvoteAnswer(id: Int!): Answer!
+    retractAnswerVote(id: Int!): Answer!
+  }
+`);
+
+// Throws the 400 the validate middleware would answer, with the problems found.
+const check = (location, jsonSchema) => {
+  const findErrors = createCheck(location, jsonSchema);
+  return (value) => {
+    const errors = findErrors(value);
+    if (errors.length > 0) {
+      throw Object.assign(
+        new HttpError(
+          400,
+          "VALIDATION_FAILED",
+          "Missing or invalid request data."
+        ),
+        { errors }
+      );
+    }
+  };
+};
+
+const checkId = check("args", idParams);
+const checkQuestionId = check("args", {
+  type: "object",
+  properties: { questionId: idParams.properties.id },
+  required: ["questionId"],
+});
+const checkQuestionList = check("args", {
+  type: "object",
+  properties: {
+    limit: questionListQuery.properties.limit,
+    after: questionListQuery.properties.after,
+  },
+});
+const checkQuestionInput = check("input", questionBody);
+const checkAnswerInput = check("input", answerBody);
+
+// The newest questions, the way GET /questions lists them by default.
+const questionPage = async ({ limit, after }, { loaders }) => {
+  checkQuestionList({ limit, after: after ?? undefined });
+  const page = await listQuestions({ limit, after });
+  for (const question of page.data) {
+    loaders.question.prime(question.id, question);
+  }
+  return page;
+};
+
+// Wraps a mutation: it acts as the user of the Authorization header and
+// resolves to a fresh read of the question or answer whose id it returns, or
+// to true when returns is null.
+const mutation = (returns, resolve) => async (root, args, context) => {
+  const { req, res, loaders } = context;
+  req.user = authenticate(req.headers.authorization);
+  const id = await resolve(args, req, res);
+  clearLoaders(loaders);
+  return returns ? loaders[returns].load(id) : true;
+};
+
+const questionVote = (vote, privilege) =>
+  mutation("question", async ({ id }, req, res) => {
+    await checkRateLimit("vote", req, res);
+    checkId({ id });
+    if (privilege) {
+      await assertReputation(req.user.id, privilege);
+    }
+    await voteOnQuestion(id, req.user.id, vote);
+    return id;
+  });
+
+const answerVote = (vote, privilege) =>
+  mutation("answer", async ({ id }, req, res) => {
+    await checkRateLimit("vote", req, res);
+    checkId({ id });
+    if (privilege) {
+      await assertReputation(req.user.id, privilege);
+    }
+    await voteOnAnswer(id, req.user.id, vote);
+    return id;
+  });
+
+const voteCounts = (upvote, downvote) => ({
+  upvote,
+  downvote,
+  score: upvote - downvote,
+});
+
+// The row, or null when it or its question is hidden and the signed in user
+// may not see it. The user's role is only looked up once a hidden row turns up.
+const shown = async (row, context) => {
+  if (!row?.hidden_at && !row?.question_hidden_at) {
+    return row;
+  }
+  context.viewer ??= findViewer(context.req.headers.authorization);
+  return canSeeContent(await context.viewer, row) ? row : null;
+};
+
+const author = (row, args, { loaders }) =>
+  row.author_id ? loaders.user.load(row.author_id) : null;
+
+const resolvers = {
+  Query: {
+    question: async (root, { id }, context) =>
+      shown(await context.loaders.question.load(id), context),
+    questions: (root, args, context) => questionPage(args, context),
+    answer: async (root, { id }, context) =>
+      shown(await context.loaders.answer.load(id), context),
+  },
+  Mutation: {
+    createQuestion: mutation("question", async ({ input }, req, res) => {
+      await checkRateLimit("question", req, res);
+      checkQuestionInput(input);
+      const question = await createQuestion(req.user.id, input);
+      return question.id;
+    }),
+    updateQuestion: mutation("question", async ({ id, input }, req, res) => {
+      await checkRateLimit("edit", req, res);
+      checkId({ id });
+      checkQuestionInput(input);
+      await assertQuestionAuthor(id, req.user.id);
+      await updateQuestion(id, req.user.id, input);
+      return id;
+    }),
+    deleteQuestion: mutation(null, async ({ id }, req) => {
+      checkId({ id });
+      await assertQuestionAuthor(id, req.user.id);
+      await trashQuestion(id, req.user.id);
+    }),
+    upvoteQuestion: questionVote(1, "upvote"),
+    downvoteQuestion: questionVote(-1, "downvote"),
+    retractQuestionVote: questionVote(null, null),
+    createAnswer: mutation(
+      "answer",
+      async ({ questionId, input }, req, res) => {
+        await checkRateLimit("answer", req, res);
+        checkQuestionId({ questionId });
+        checkAnswerInput(input);
+        const answer = await createAnswer(questionId, req.user.id, input);
+        return answer.id;
+      }
+    ),
+    updateAnswer: mutation("answer", async ({ id, input }, req, res) => {
+      await checkRateLimit("edit", req, res);
+      checkId({ id });
+      checkAnswerInput(input);
+      await assertAnswerAuthor(id, req.user.id);
+      await updateAnswer(id, req.user.id, input);
+      return id;
+    }),
+    deleteAnswer: mutation(null, async ({ id }, req) => {
+      checkId({ id });
+      await assertAnswerAuthor(id, req.user.id);
+      await trashAnswer(id, req.user.id);
+    }),
+    upvoteAnswer: answerVote(1, "upvote"),
+    downvoteAnswer: answerVote(-1, "downvote"),
+    retractAnswerVote: answerVote(null, null),
+  },
+  Question: {
+    author,
+    votes: (question) =>
+      voteCounts(question.upvote_count, question.downvote_count),
+    my_vote: (question, args, { loaders }) =>
+      loaders.questionVote.load(question.id),
+    accepted_answer: async (question, args, context) =>
+      question.accepted_answer_id
+        ? shown(
+            await context.loaders.answer.load(question.accepted_answer_id),
+            context
+          )
+        : null,
+    answers: (question, args, { loaders }) =>
+      loaders.questionAnswers.load(question.id),
+  },
+  Answer: {
+    question: async (answer, args, context) =>
+      shown(await context.loaders.question.load(answer.question_id), context),
+    author,
+    votes: (answer) => voteCounts(answer.upvote_count, answer.downvote_count),
+    my_vote: (answer, args, { loaders }) => loaders.answerVote.load(answer.id),
+  },
+};
+
+// buildSchema leaves every field to the default resolver, which reads the
+// property of the same name; the resolvers above replace it where needed.
+for (const [typeName, fields] of Object.entries(resolvers)) {
+  const typeFields = schema.getType(typeName).getFields();
+  for (const [fieldName, resolve] of Object.entries(fields)) {
+    typeFields[fieldName].resolve = resolve;
+  }
+}
+Object.assign(schema.getType("DateTime"), {
+  serialize: (value) => new Date(value).toISOString(),
+});
+
+// Nested fields can loop (a question's answers, their question, its answers...)
+// and every level multiplies the size of the response, so documents nested
+// deeper than this many fields are refused before they run.
+export const MAX_QUERY_DEPTH = 5;
+
+// Validation rule for validate(schema, document, rules) that enforces
+// MAX_QUERY_DEPTH, following fragments.
+export const depthLimit = (context) => {
+  const fragments = new Map(
+    context
+      .getDocument()
+      .definitions.filter(
+        (definition) => definition.kind === Kind.FRAGMENT_DEFINITION
+      )
+      .map((definition) => [definition.name.value, definition])
+  );
+  const depthOf = (selectionSet, spread) =>
+    Math.max(
+      0,
+      ...selectionSet.selections.map((selection) => {
+        if (selection.kind === Kind.FIELD) {
+          return selection.selectionSet
+            ? 1 + depthOf(selection.selectionSet, spread)
+            : 1;
+        }
+        if (selection.kind === Kind.INLINE_FRAGMENT) {
+          return depthOf(selection.selectionSet, spread);
+        }
+        // Unknown and cyclic fragments are reported by the standard rules.
+        const fragment = fragments.get(selection.name.value);
+        if (!fragment || spread.has(fragment)) {
+          return 0;
+        }
+        return depthOf(fragment.selectionSet, new Set([...spread, fragment]));
+      })
+    );
+  return {
+    OperationDefinition(operation) {
+      if (depthOf(operation.selectionSet, new Set()) > MAX_QUERY_DEPTH) {
+        context.reportError(
+          new GraphQLError(
+            `Query is nested deeper than ${MAX_QUERY_DEPTH} fields.`,
+            { nodes: operation }
+          )
+        );
+      }
+    },
+  };
+};
@@ -0,0 +1,104 @@
+import DataLoader from "dataloader";
+import connectionPool from "./db.mjs";
+import { questionTagNames } from "./tags.mjs";
+
+// DataLoaders for the GraphQL endpoint. Each request gets its own set, so the
+// ids asked for by every resolver of one tick are fetched with one query per
+// kind of row, and each row is fetched at most once per request.
+
+// Puts rows in the order of the ids, with null for ids without a row.
+const byKey = (ids, rows, key = "id") => {
+  const found = new Map(rows.map((row) => [row[key], row]));
+  return ids.map((id) => found.get(id) ?? null);
+};
+
+// Groups rows by key in the order of the ids, with [] for ids without rows.
+const groupByKey = (ids, rows, key) => {
+  const groups = new Map(ids.map((id) => [id, []]));
+  for (const row of rows) {
+    groups.get(row[key]).push(row);
+  }
+  return ids.map((id) => groups.get(id));
+};
+
+// Questions as GET /questions/:id returns them.
+const loadQuestions = async (ids) => {
+  const results = await connectionPool.query(
+    `
+    select questions.*, ${questionTagNames} from questions
+    where questions.id = any($1::int[]) and questions.deleted_at is null`,
+    [ids]
+  );
+  return byKey(ids, results.rows);
+};
+
+const visibleAnswers = `
+  select answers.*
+  ,coalesce(answers.id = questions.accepted_answer_id, false) as is_accepted
+  ,questions.author_id as question_author_id
+  ,questions.hidden_at as question_hidden_at
+  from answers inner join questions
+  on questions.id = answers.question_id
+  where answers.deleted_at is null and questions.deleted_at is null`;
+
+const loadAnswers = async (ids) => {
+  const results = await connectionPool.query(
+    `${visibleAnswers} and answers.id = any($1::int[])`,
+    [ids]
+  );
+  return byKey(ids, results.rows);
+};
+
+// The answers of each question as GET /questions/:id/answers lists them.
+const loadQuestionAnswers = async (questionIds) => {
+  const results = await connectionPool.query(
+    `
+    ${visibleAnswers} and answers.hidden_at is null
+    and answers.question_id = any($1::int[])
+    order by is_accepted desc, answers.created_at, answers.id`,
+    [questionIds]
+  );
+  return groupByKey(questionIds, results.rows, "question_id");
+};
+
+const loadUsers = async (ids) => {
+  const results = await connectionPool.query(
+    `select id, username from users where id = any($1::int[])`,
+    [ids]
+  );
+  return byKey(ids, results.rows);
+};
+
+// The votes of one user on the given questions or answers.
+const loadVotes = (table, column, userId) => async (ids) => {
+  if (!userId) {
+    return ids.map(() => null);
+  }
+  const results = await connectionPool.query(
+    `
+    select ${column}, vote, created_at, updated_at from ${table}
+    where user_id = $1 and ${column} = any($2::int[])`,
+    [userId, ids]
+  );
+  return byKey(ids, results.rows, column);
+};
+
+// The loaders for one request. userId is the signed in user, if any, whose
+// votes the my_vote fields show.
+export const createLoaders = (userId) => ({
+  question: new DataLoader(loadQuestions),
+  answer: new DataLoader(loadAnswers),
+  questionAnswers: new DataLoader(loadQuestionAnswers),
+  user: new DataLoader(loadUsers),
+  questionVote: new DataLoader(
+    loadVotes("question_votes", "question_id", userId)
+  ),
+  answerVote: new DataLoader(loadVotes("answer_votes", "answer_id", userId)),
+});
+
+// Forgets every loaded row, so reads after a write see the change.
+export const clearLoaders = (loaders) => {
+  for (const loader of Object.values(loaders)) {
+    loader.clearAll();
+  }
+};
@@ -0,0 +1,209 @@
+import { withTransaction } from "./db.mjs";
+import config from "./config.mjs";
+import { HttpError } from "./errors.mjs";
+import { recordRevision } from "./revisions.mjs";
+import { setQuestionTags } from "./tags.mjs";
+import { visibleQuestion, visibleAnswer } from "./trash.mjs";
+import { publishEvent } from "./stream.mjs";
+import { invalidateQuestion } from "./cache.mjs";
+import { moveAnswerToTrash } from "./answers.mjs";
+
+// Flags and decisions work the same for questions and answers; only the table
+// and how a moderator edits it differ.
+const targets = {
+  question: {
+    visible: visibleQuestion,
+    table: "questions",
+    column: "question_id",
+    notFound: "Question not found.",
+    noFlags: "Question has no pending flags.",
+    questionOf: (row) => row.id,
+    trash: (client, questionId, moderatorId, now) =>
+      client.query(
+        `update questions set deleted_at = $2, deleted_by = $3 where id = $1`,
+        [questionId, now, moderatorId]
+      ),
+    edit: async (client, questionId, changes, editorId) => {
+      const results = await client.query(
+        `
+          update questions
+          set title = $2, description = $3, updated_at = $4, hidden_at = null
+          where id = $1
+          returning *`,
+        [questionId, changes.title, changes.description, new Date()]
+      );
+      const tags = await setQuestionTags(client, questionId, changes.tags);
+      const updated = { ...results.rows[0], tags };
+      await recordRevision(client, "question", questionId, updated, editorId);
+      await publishEvent(client, questionId, "question_updated", updated);
+    },
+  },
+  answer: {
+    visible: visibleAnswer,
+    table: "answers",
+    column: "answer_id",
+    notFound: "Answer not found.",
+    noFlags: "Answer has no pending flags.",
+    questionOf: (row) => row.question_id,
+    trash: moveAnswerToTrash,
+    edit: async (client, answerId, changes, editorId) => {
+      const results = await client.query(
+        `
+          update answers
+          set content = $2, updated_at = $3, hidden_at = null
+          where id = $1
+          returning *`,
+        [answerId, changes.content, new Date()]
+      );
+      await recordRevision(
+        client,
+        "answer",
+        answerId,
+        results.rows[0],
+        editorId
+      );
+      await publishEvent(
+        client,
+        results.rows[0].question_id,
+        "answer_updated",
+        results.rows[0]
+      );
+    },
+  },
+};
+
+// Records a flag and hides the question or answer once it has
+// config.moderation.flagHideThreshold pending flags.
+export const addFlag = async (target, targetId, flaggerId, flag) => {
+  const { questionId, ...result } = await withTransaction(async (client) => {
+    const { visible, table, column, notFound, questionOf } = targets[target];
+    const found = await client.query(visible, [targetId]);
+    if (found.rowCount === 0) {
+      throw new HttpError(404, "NOT_FOUND", notFound);
+    }
+    if (found.rows[0].author_id === flaggerId) {
+      throw new HttpError(
+        403,
+        "FORBIDDEN",
+        `You cannot flag your own ${target}.`
+      );
+    }
+    const existing = await client.query(
+      `
+        select id from flags
+        where ${column} = $1 and flagger_id = $2 and decision_id is null`,
+      [targetId, flaggerId]
+    );
+    if (existing.rowCount > 0) {
+      throw new HttpError(
+        409,
+        "CONFLICT",
+        `You have already flagged this ${target}.`
+      );
+    }
+    const inserted = await client.query(
+      `
+        insert into flags (${column},reason,note,flagger_id,created_at)
+        values ($1,$2,$3,$4,$5) returning *`,
+      [targetId, flag.reason, flag.note ?? null, flaggerId, new Date()]
+    );
+    const pending = await client.query(
+      `
+        select count(*)::int as count from flags
+        where ${column} = $1 and decision_id is null`,
+      [targetId]
+    );
+    const hidden = pending.rows[0].count >= config.moderation.flagHideThreshold;
+    if (hidden) {
+      await client.query(
+        `
+          update ${table} set hidden_at = $2
+          where id = $1 and hidden_at is null`,
+        [targetId, new Date()]
+      );
+    }
+    return {
+      flag: inserted.rows[0],
+      hidden,
+      questionId: questionOf(found.rows[0]),
+    };
+  });
+  // The cached question pages and lists are only stale once it is hidden.
+  if (result.hidden) {
+    invalidateQuestion(questionId);
+  }
+  return result;
+};
+
+// Settles every pending flag on a question or answer with one decision:
+// dismiss the flags (and show it again), hide it, edit it (recorded as a
+// revision by the moderator, and shown again) or move it to the trash.
+export const decide = async (target, targetId, moderatorId, decision) => {
+  const { questionId, ...result } = await withTransaction(async (client) => {
+    const {
+      visible,
+      table,
+      column,
+      notFound,
+      noFlags,
+      edit,
+      trash,
+      questionOf,
+    } = targets[target];
+    const found = await client.query(visible, [targetId]);
+    if (found.rowCount === 0) {
+      throw new HttpError(404, "NOT_FOUND", notFound);
+    }
+    const pending = await client.query(
+      `
+        select id from flags
+        where ${column} = $1 and decision_id is null
+        for update`,
+      [targetId]
+    );
+    if (pending.rowCount === 0) {
+      throw new HttpError(404, "NOT_FOUND", noFlags);
+    }
+    const now = new Date();
+    if (decision.action === "dismiss") {
+      await client.query(`update ${table} set hidden_at = null where id = $1`, [
+        targetId,
+      ]);
+    } else if (decision.action === "hide") {
+      await client.query(
+        `update ${table} set hidden_at = coalesce(hidden_at, $2) where id = $1`,
+        [targetId, now]
+      );
+    } else if (decision.action === "edit") {
+      if (decision.changes === undefined) {
+        throw new HttpError(
+          400,
+          "INVALID_INPUT",
+          "changes is required to edit."
+        );
+      }
+      await edit(client, targetId, decision.changes, moderatorId);
+    } else {
+      await trash(client, targetId, moderatorId, now);
+    }
+    const results = await client.query(
+      `
+        insert into moderation_decisions (${column},action,note,moderator_id,created_at)
+        values ($1,$2,$3,$4,$5) returning *`,
+      [targetId, decision.action, decision.note ?? null, moderatorId, now]
+    );
+    await client.query(
+      `
+        update flags set decision_id = $2
+        where ${column} = $1 and decision_id is null`,
+      [targetId, results.rows[0].id]
+    );
+    return {
+      ...results.rows[0],
+      flag_count: pending.rowCount,
+      questionId: questionOf(found.rows[0]),
+    };
+  });
+  invalidateQuestion(questionId);
+  return result;
+};
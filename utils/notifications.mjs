@@ -0,0 +1,128 @@
+import connectionPool, { withTransaction } from "./db.mjs";
+import { HttpError } from "./errors.mjs";
+import { NOTIFICATION_TYPES } from "./schemas.mjs";
+
+// Inserts a notification of type $1 caused by $2 at $3 for the user the source
+// query finds, unless that user caused it or turned the type off.
+const insertNotification = (source) => `
+  insert into notifications (user_id,type,actor_id,question_id,answer_id,created_at)
+  select source.user_id, $1, $2, source.question_id, source.answer_id, $3
+  from (${source}) as source
+  where source.user_id is not null
+  and source.user_id is distinct from $2
+  and not exists (
+    select 1 from notification_preferences
+    where notification_preferences.user_id = source.user_id
+    and notification_preferences.type = $1
+    and not notification_preferences.enabled
+  )`;
+
+// Tells the author of the question about a new answer.
+export const notifyQuestionAnswered = (client, answer) =>
+  client.query(
+    insertNotification(`
+      select author_id as user_id, id as question_id, $4::int as answer_id
+      from questions where id = $5`),
+    [
+      "question_answered",
+      answer.author_id,
+      answer.created_at,
+      answer.id,
+      answer.question_id,
+    ]
+  );
+
+// Tells the author of the answer about a new vote, or a vote that changed
+// direction.
+export const notifyAnswerVoted = (client, answerId, voterId, vote) =>
+  client.query(
+    insertNotification(`
+      select author_id as user_id, question_id, id as answer_id
+      from answers where id = $4`),
+    [
+      Number(vote) === 1 ? "answer_upvoted" : "answer_downvoted",
+      voterId,
+      new Date(),
+      answerId,
+    ]
+  );
+
+// Notifications about questions and answers in the trash are left out.
+const visibleNotifications = `
+  from notifications
+  left join questions on questions.id = notifications.question_id
+  left join answers on answers.id = notifications.answer_id
+  where notifications.user_id = $1
+  and questions.deleted_at is null and answers.deleted_at is null`;
+
+// Newest first, with the unread count over all of them.
+export const listNotifications = async (userId, { unread, limit, offset }) => {
+  const results = await connectionPool.query(
+    `
+      select notifications.*, questions.title as question_title
+      ${visibleNotifications}
+      and ($2::boolean is not true or notifications.read_at is null)
+      order by notifications.created_at desc, notifications.id desc
+      limit $3 offset $4`,
+    [userId, unread ?? null, limit, offset]
+  );
+  const count = await connectionPool.query(
+    `
+      select count(*)::int as unread
+      ${visibleNotifications}
+      and notifications.read_at is null`,
+    [userId]
+  );
+  return { unreadCount: count.rows[0].unread, notifications: results.rows };
+};
+
+export const markRead = async (userId, notificationId) => {
+  const results = await connectionPool.query(
+    `
+      update notifications set read_at = coalesce(read_at, $3)
+      where id = $2 and user_id = $1
+      returning *`,
+    [userId, notificationId, new Date()]
+  );
+  if (results.rowCount === 0) {
+    throw new HttpError(404, "NOT_FOUND", "Notification not found.");
+  }
+  return results.rows[0];
+};
+
+export const markAllRead = async (userId) => {
+  const results = await connectionPool.query(
+    `
+      update notifications set read_at = $2
+      where user_id = $1 and read_at is null`,
+    [userId, new Date()]
+  );
+  return results.rowCount;
+};
+
+// Every type with whether it is on; types without a stored preference are on.
+export const getPreferences = async (userId, client = connectionPool) => {
+  const results = await client.query(
+    `select type, enabled from notification_preferences where user_id = $1`,
+    [userId]
+  );
+  const stored = new Map(results.rows.map((row) => [row.type, row.enabled]));
+  return Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [type, stored.get(type) ?? true])
+  );
+};
+
+// Changes only the types given, e.g. { answer_downvoted: false }.
+export const setPreferences = (userId, preferences) =>
+  withTransaction(async (client) => {
+    for (const [type, enabled] of Object.entries(preferences)) {
+      await client.query(
+        `
+          insert into notification_preferences (user_id,type,enabled)
+          values ($1,$2,$3)
+          on conflict (user_id,type) do update set enabled = excluded.enabled`,
+        [userId, type, enabled]
+      );
+    }
+    return getPreferences(userId, client);
+  });
@@ -0,0 +1,22 @@
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+// A cursor is the sort value and id of the last row on a page, so the next page
+// can continue right after it even when rows share the same sort value.
+export const encodeCursor = (value, id) =>
+  Buffer.from(JSON.stringify([value, id])).toString("base64url");
+
+export const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!Array.isArray(decoded) || decoded.length !== 2) {
+      return null;
+    }
+    if (!Number.isInteger(decoded[1])) {
+      return null;
+    }
+    return { value: decoded[0], id: decoded[1] };
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,211 @@
+import connectionPool, { withTransaction } from "./db.mjs";
+import { HttpError } from "./errors.mjs";
+import {
+  questionTagNames,
+  setQuestionTags,
+  normalizeTag,
+  findTags,
+} from "./tags.mjs";
+import { recordRevision } from "./revisions.mjs";
+import { publishEvent, publishVoteCounts } from "./stream.mjs";
+import { castVote, retractVote, hotScore, wilsonScore } from "./votes.mjs";
+import { encodeCursor, decodeCursor } from "./pagination.mjs";
+import { invalidateQuestion } from "./cache.mjs";
+
+// Writes to questions shared by the REST routes and the GraphQL mutations. The
+// callers check the input and who may do what; each function throws an
+// HttpError when the question is missing and drops its cached responses once
+// the change is committed.
+
+// Upvote and downvote totals for one question.
+const questionVoteSummary = `
+  select questions.id, questions.title, questions.description, questions.created_at, questions.updated_at
+  ,${questionTagNames}
+  ,questions.upvote_count as upvote
+  ,questions.downvote_count as downvote
+  from questions
+  where questions.id = $1 and questions.deleted_at is null`;
+
+// Columns GET /questions can be ordered by; ties are broken by id in the same direction.
+const questionSorts = {
+  newest: { column: "created_at", type: "timestamptz", direction: "desc" },
+  oldest: { column: "created_at", type: "timestamptz", direction: "asc" },
+  votes: { column: "score", type: "int", direction: "desc" },
+  hot: { column: "hot_score", type: "float8", direction: "desc" },
+  top: { column: "top_score", type: "float8", direction: "desc" },
+  activity: {
+    column: "last_activity_at",
+    type: "timestamptz",
+    direction: "desc",
+  },
+};
+// ?tag=a,b matches questions with any of the tags, or with all of them when
+// match=all. Aliases count as their tag; with match=all an unknown tag matches nothing.
+const resolveTagFilter = async (names, match = "any") => {
+  const tags = await findTags(names);
+  const tagIds = [...new Set(tags.map((tag) => tag.id))];
+  if (match === "all") {
+    const everyNameKnown =
+      new Set(tags.map((tag) => tag.input)).size ===
+      new Set(names.map(normalizeTag)).size;
+    return {
+      tagIds: everyNameKnown ? tagIds : [],
+      minMatches: Math.max(tagIds.length, 1),
+    };
+  }
+  return { tagIds, minMatches: 1 };
+};
+
+// One page of the questions that are neither in the trash nor hidden, as
+// GET /questions and the GraphQL questions field list them: title, tag and
+// match filter it, sort is a key of questionSorts and after the nextCursor of
+// the page before.
+export const listQuestions = async ({
+  title,
+  tag,
+  match,
+  sort: sortName = "newest",
+  limit,
+  after,
+}) => {
+  const sort = questionSorts[sortName];
+  const cursor = after ? decodeCursor(after) : null;
+  const comparison = sort.direction === "desc" ? "<" : ">";
+  const tagFilter = tag
+    ? await resolveTagFilter(tag.split(","), match)
+    : { tagIds: null, minMatches: 0 };
+  const results = await connectionPool.query(
+    `
+      select * from (
+        select questions.*
+        ,${questionTagNames}
+        ,questions.upvote_count - questions.downvote_count as score
+        ,${hotScore("questions")} as hot_score
+        ,${wilsonScore("questions")} as top_score
+        ,greatest(questions.updated_at, (select max(answers.updated_at) from answers where answers.question_id = questions.id and answers.deleted_at is null)) as last_activity_at
+        from questions
+        where questions.deleted_at is null and questions.hidden_at is null
+        and (title = $1 or $1 is null or $1 = '')
+        and ($2::int[] is null or (
+          select count(*) from question_tags
+          where question_tags.question_id = questions.id
+          and question_tags.tag_id = any($2::int[])
+        ) >= $6)
+      ) as q
+      where ($3::text is null or (q.${sort.column}, q.id) ${comparison} ($3::${
+      sort.type
+    }, $4))
+      order by q.${sort.column} ${sort.direction}, q.id ${sort.direction}
+      limit $5`,
+    [
+      title ?? null,
+      tagFilter.tagIds,
+      cursor ? String(cursor.value) : null,
+      cursor ? cursor.id : null,
+      limit + 1,
+      tagFilter.minMatches,
+    ]
+  );
+  // One extra row is fetched only to know whether another page exists.
+  const hasMore = results.rows.length > limit;
+  const questions = results.rows.slice(0, limit);
+  const lastQuestion = questions[questions.length - 1];
+  return {
+    data: questions,
+    pagination: {
+      nextCursor: hasMore
+        ? encodeCursor(lastQuestion[sort.column], lastQuestion.id)
+        : null,
+      hasMore,
+    },
+  };
+};
+
+export const createQuestion = async (
+  authorId,
+  { title, description, tags }
+) => {
+  const now = new Date();
+  const question = await withTransaction(async (client) => {
+    const results = await client.query(
+      `
+      insert into questions (title,description,author_id,created_at,updated_at)
+      values ($1,$2,$3,$4,$5) returning *`,
+      [title, description, authorId, now, now]
+    );
+    const created = results.rows[0];
+    const names = await setQuestionTags(client, created.id, tags);
+    await recordRevision(
+      client,
+      "question",
+      created.id,
+      { ...created, tags: names },
+      authorId
+    );
+    return { ...created, tags: names };
+  });
+  invalidateQuestion(question.id);
+  return question;
+};
+
+export const updateQuestion = async (
+  questionId,
+  editorId,
+  { title, description, tags }
+) => {
+  const question = await withTransaction(async (client) => {
+    const results = await client.query(
+      `
+      update questions
+      set title = $2,
+          description = $3,
+          updated_at = $4
+      where id = $1
+      returning *
+    `,
+      [questionId, title, description, new Date()]
+    );
+    if (results.rowCount === 0) {
+      throw new HttpError(404, "NOT_FOUND", "Question not found.");
+    }
+    const names = await setQuestionTags(client, questionId, tags);
+    const updated = { ...results.rows[0], tags: names };
+    await recordRevision(client, "question", questionId, updated, editorId);
+    await publishEvent(client, questionId, "question_updated", updated);
+    return updated;
+  });
+  invalidateQuestion(questionId);
+  return question;
+};
+
+// Moves the question to the trash. Its answers, comments and votes stay hidden
+// with it until it is restored or purged.
+export const trashQuestion = async (questionId, userId) => {
+  const results = await connectionPool.query(
+    `
+    update questions set deleted_at = $2, deleted_by = $3
+    where id = $1 and deleted_at is null`,
+    [questionId, new Date(), userId]
+  );
+  if (results.rowCount === 0) {
+    throw new HttpError(404, "NOT_FOUND", "Question not found.");
+  }
+  invalidateQuestion(questionId);
+};
+
+// Records the user's vote (1 or -1) on the question, or removes it when vote is
+// null. Returns the question with its new totals.
+export const voteOnQuestion = async (questionId, userId, vote) => {
+  if (vote === null) {
+    await retractVote("question", questionId, userId);
+  } else {
+    await castVote("question", questionId, userId, vote);
+  }
+  const results = await connectionPool.query(questionVoteSummary, [questionId]);
+  if (results.rowCount === 0) {
+    throw new HttpError(404, "NOT_FOUND", "Question not found.");
+  }
+  await publishVoteCounts(connectionPool, questionId, null, results.rows[0]);
+  invalidateQuestion(questionId);
+  return results.rows[0];
+};
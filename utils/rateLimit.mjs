@@ -0,0 +1,65 @@
+import connectionPool from "./db.mjs";
+
+// Stores count requests per key in fixed windows. increment() adds one to the
+// key's current window, starting a new one of windowMs if the last has ended,
+// and returns { count, resetAt } for it.
+
+// Counts in this process only. Each process of a multi-process deployment then
+// allows the full budget, so use the postgres store there.
+export const createMemoryStore = () => {
+  const windows = new Map();
+  let nextSweep = 0;
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      // Ended windows are dropped now and then so idle keys do not pile up.
+      if (now >= nextSweep) {
+        for (const [windowKey, window] of windows) {
+          if (window.resetAt <= now) {
+            windows.delete(windowKey);
+          }
+        }
+        nextSweep = now + windowMs;
+      }
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: new Date(window.resetAt) };
+    },
+    clear: async () => windows.clear(),
+  };
+};
+
+// Counts in the rate_limits table, shared by every process using the database.
+export const createPostgresStore = (client = connectionPool) => ({
+  increment: async (key, windowMs) => {
+    const now = new Date();
+    const results = await client.query(
+      `
+        insert into rate_limits (key,count,reset_at)
+        values ($1,1,$2)
+        on conflict (key) do update set
+          count = case when rate_limits.reset_at <= $3 then 1 else rate_limits.count + 1 end,
+          reset_at = case when rate_limits.reset_at <= $3 then excluded.reset_at else rate_limits.reset_at end
+        returning count, reset_at`,
+      [key, new Date(now.getTime() + windowMs), now]
+    );
+    return {
+      count: results.rows[0].count,
+      resetAt: new Date(results.rows[0].reset_at),
+    };
+  },
+  clear: () => client.query(`delete from rate_limits`),
+});
+
+// Deletes ended windows from rate_limits; the purge job runs it.
+export const pruneRateLimits = async (client) => {
+  const results = await client.query(
+    `delete from rate_limits where reset_at <= $1`,
+    [new Date()]
+  );
+  return results.rowCount;
+};
@@ -0,0 +1,100 @@
+import connectionPool from "./db.mjs";
+import config from "./config.mjs";
+import { HttpError } from "./errors.mjs";
+
+// Everyone starts with 1 and never drops below it.
+export const BASE_REPUTATION = 1;
+
+// Every event that changed someone's reputation, worked out from the current
+// votes and accepted answers, so a changed or retracted vote changes it too.
+// Votes on your own posts, accepting your own answer and anything in the trash
+// do not count. $2 to $6 are the points from config.reputation.points.
+const reputationEvents = `
+  select questions.author_id as user_id
+  ,case when question_votes.vote = 1 then 'question_upvoted' else 'question_downvoted' end as event
+  ,case when question_votes.vote = 1 then $2::int else $3::int end as points
+  ,questions.id as question_id, null::int as answer_id
+  ,question_votes.updated_at as created_at
+  from question_votes inner join questions
+  on questions.id = question_votes.question_id
+  where questions.deleted_at is null
+  and question_votes.user_id is distinct from questions.author_id
+  union all
+  select answers.author_id as user_id
+  ,case when answer_votes.vote = 1 then 'answer_upvoted' else 'answer_downvoted' end as event
+  ,case when answer_votes.vote = 1 then $4::int else $5::int end as points
+  ,answers.question_id, answers.id as answer_id
+  ,answer_votes.updated_at as created_at
+  from answer_votes inner join answers
+  on answers.id = answer_votes.answer_id
+  inner join questions
+  on questions.id = answers.question_id
+  where answers.deleted_at is null and questions.deleted_at is null
+  and answer_votes.user_id is distinct from answers.author_id
+  union all
+  select answers.author_id as user_id
+  ,'answer_accepted' as event
+  ,$6::int as points
+  ,questions.id as question_id, answers.id as answer_id
+  ,questions.accepted_at as created_at
+  from questions inner join answers
+  on answers.id = questions.accepted_answer_id
+  where answers.deleted_at is null and questions.deleted_at is null
+  and answers.author_id is distinct from questions.author_id`;
+
+const pointValues = () => {
+  const points = config.reputation.points;
+  return [
+    points.questionUpvoted,
+    points.questionDownvoted,
+    points.answerUpvoted,
+    points.answerDownvoted,
+    points.answerAccepted,
+  ];
+};
+
+export const getReputation = async (userId, client = connectionPool) => {
+  const results = await client.query(
+    `
+      select greatest($7::int, $7::int + coalesce(sum(points), 0))::int as reputation
+      from (${reputationEvents}) as events
+      where user_id = $1`,
+    [userId, ...pointValues(), BASE_REPUTATION]
+  );
+  return results.rows[0].reputation;
+};
+
+// A user's reputation with the events behind it, newest first.
+export const getReputationHistory = async (userId, { limit, offset }) => {
+  const user = await connectionPool.query(
+    `select id, username from users where id = $1`,
+    [userId]
+  );
+  if (user.rowCount === 0) {
+    throw new HttpError(404, "NOT_FOUND", "User not found.");
+  }
+  const events = await connectionPool.query(
+    `
+      select event, points, question_id, answer_id, created_at
+      from (${reputationEvents}) as events
+      where user_id = $1
+      order by created_at desc, event, question_id desc, answer_id desc
+      limit $7 offset $8`,
+    [userId, ...pointValues(), limit, offset]
+  );
+  const reputation = await getReputation(userId);
+  return {
+    user_id: user.rows[0].id,
+    username: user.rows[0].username,
+    reputation,
+    privileges: Object.fromEntries(
+      Object.entries(config.reputation.privileges).map(
+        ([privilege, required]) => [
+          privilege,
+          { required, earned: reputation >= required },
+        ]
+      )
+    ),
+    events: events.rows,
+  };
+};
@@ -0,0 +1,119 @@
+import connectionPool from "./db.mjs";
+import { HttpError } from "./errors.mjs";
+import { diffWords } from "./diff.mjs";
+import { visibleQuestion, visibleAnswer } from "./trash.mjs";
+import { assertCanSee } from "../Middlewares/authorize.mjs";
+
+// Questions and answers keep their history the same way; only the text columns differ.
+const targets = {
+  question: {
+    visible: visibleQuestion,
+    revisions: "question_revisions",
+    column: "question_id",
+    fields: ["title", "description", "tags"],
+    notFound: "Question not found.",
+  },
+  answer: {
+    visible: visibleAnswer,
+    revisions: "answer_revisions",
+    column: "answer_id",
+    fields: ["content"],
+    notFound: "Answer not found.",
+  },
+};
+
+// Stores the current text of a question or answer as its next revision. Called
+// in the same transaction as the insert or update it records.
+export const recordRevision = async (
+  client,
+  target,
+  targetId,
+  values,
+  editorId,
+  rolledBackFrom = null
+) => {
+  const { revisions, column, fields } = targets[target];
+  const results = await client.query(
+    `
+      insert into ${revisions} (${column},revision,${fields.join(
+      ","
+    )},editor_id,rolled_back_from)
+      select $1, coalesce(max(revision), 0) + 1, ${fields
+        .map((_, index) => `$${index + 4}`)
+        .join(",")}, $2, $3
+      from ${revisions} where ${column} = $1
+      returning *`,
+    [
+      targetId,
+      editorId,
+      rolledBackFrom,
+      ...fields.map((field) => values[field]),
+    ]
+  );
+  return results.rows[0];
+};
+
+// What changed from one revision to the next: a word diff for text fields and
+// the added and removed names for tags.
+const changesBetween = (fields, before, after) =>
+  Object.fromEntries(
+    fields.map((field) => {
+      if (field === "tags") {
+        return [
+          field,
+          {
+            added: after.tags.filter((tag) => !before.tags.includes(tag)),
+            removed: before.tags.filter((tag) => !after.tags.includes(tag)),
+          },
+        ];
+      }
+      return [field, diffWords(before[field], after[field])];
+    })
+  );
+
+// One page of the revisions, newest first, each with its changes from the
+// revision before (null for the first one). Only the page is diffed; the
+// revision just before it is read for the changes of the oldest one. viewerId
+// is the signed in user, if any; hidden content is only listed for its author
+// and moderators.
+export const listRevisions = async (
+  target,
+  targetId,
+  { limit, offset },
+  viewerId
+) => {
+  const { visible, revisions, column, fields, notFound } = targets[target];
+  const exists = await connectionPool.query(visible, [targetId]);
+  if (exists.rowCount === 0) {
+    throw new HttpError(404, "NOT_FOUND", notFound);
+  }
+  await assertCanSee(viewerId, exists.rows[0], notFound);
+  const results = await connectionPool.query(
+    `
+      select * from ${revisions}
+      where ${column} = $1
+      order by revision desc
+      limit $2 offset $3`,
+    [targetId, limit + 1, offset]
+  );
+  return results.rows.slice(0, limit).map((revision, index) => {
+    const previous = results.rows[index + 1];
+    return {
+      ...revision,
+      changes: previous ? changesBetween(fields, previous, revision) : null,
+    };
+  });
+};
+
+// Looks up one revision for a rollback, inside the rollback's transaction.
+export const findRevision = async (client, target, targetId, revision) => {
+  const { revisions, column } = targets[target];
+  const results = await client.query(
+    `select * from ${revisions} where ${column} = $1 and revision = $2`,
+    [targetId, revision]
+  );
+  if (results.rowCount === 0) {
+    throw new HttpError(404, "NOT_FOUND", "Revision not found.");
+  }
+  return results.rows[0];
+};
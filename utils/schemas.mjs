@@ -0,0 +1,740 @@
+import { MAX_PAGE_SIZE } from "./pagination.mjs";
+
+// Request schemas are plain JSON Schema. The validate middleware checks requests
+// against them, and the body schemas are also registered as Swagger components,
+// so the docs and the validation rules cannot drift apart.
+
+// Used as a pattern: at least one character that is not whitespace.
+export const NOT_BLANK = "\\S";
+
+// Used as a pattern for tag names before they are normalised (see utils/tags.mjs).
+export const TAG_PATTERN = "^[A-Za-z0-9+#.][A-Za-z0-9+#. -]*$";
+
+// A comma separated list of tag names, as in ?tag=postgres,performance.
+export const TAG_LIST_PATTERN = "^[A-Za-z0-9+#. -]+(,[A-Za-z0-9+#. -]+)*$";
+
+export const QUESTION_SORTS = [
+  "newest",
+  "oldest",
+  "votes",
+  "activity",
+  "hot",
+  "top",
+];
+
+export const FLAG_REASONS = [
+  "spam",
+  "offensive",
+  "off_topic",
+  "low_quality",
+  "other",
+];
+
+export const MODERATION_ACTIONS = ["dismiss", "edit", "hide", "delete"];
+
+export const NOTIFICATION_TYPES = [
+  "question_answered",
+  "answer_upvoted",
+  "answer_downvoted",
+];
+
+// Formats of GET /admin/export and POST /admin/import (see utils/dataset.mjs).
+export const DATASET_FORMATS = ["jsonl", "csv"];
+
+const id = { type: "integer", minimum: 1 };
+const text = (maxLength) => ({ type: "string", minLength: 1, maxLength });
+const limit = { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE };
+const tag = { ...text(35), pattern: TAG_PATTERN };
+
+export const idParams = {
+  type: "object",
+  properties: { id },
+  required: ["id"],
+};
+
+export const acceptParams = {
+  type: "object",
+  properties: { id, answerId: id },
+  required: ["id", "answerId"],
+};
+
+export const revisionParams = {
+  type: "object",
+  properties: { id, revision: id },
+  required: ["id", "revision"],
+};
+
+export const revisionListQuery = {
+  type: "object",
+  properties: {
+    limit,
+    offset: { type: "integer", minimum: 0 },
+  },
+  additionalProperties: false,
+};
+
+export const questionBody = {
+  type: "object",
+  properties: {
+    title: {
+      ...text(300),
+      description: "Title of the question",
+      example: "How to use Swagger with Node.js?",
+    },
+    description: {
+      ...text(10000),
+      description: "Description of the question",
+      example:
+        "I am trying to integrate Swagger with my Node.js application...",
+    },
+    tags: {
+      type: "array",
+      items: tag,
+      minItems: 1,
+      maxItems: 5,
+      description:
+        "One to five tags. Names are lower-cased, spaces become hyphens and aliases are replaced by their tag.",
+      example: ["postgres", "performance"],
+    },
+  },
+  required: ["title", "description", "tags"],
+};
+
+export const answerBody = {
+  type: "object",
+  properties: {
+    content: {
+      ...text(300),
+      description: "Content of the answer",
+      example: "This is the answer content.",
+    },
+  },
+  required: ["content"],
+};
+
+const moderationNote = {
+  ...text(500),
+  pattern: NOT_BLANK,
+};
+
+export const flagBody = {
+  type: "object",
+  properties: {
+    reason: {
+      enum: FLAG_REASONS,
+      description: "Why the content should be reviewed",
+      example: "spam",
+    },
+    note: {
+      ...moderationNote,
+      description: "Anything else the moderators should know",
+      example: "Links to a shop in every answer.",
+    },
+  },
+  required: ["reason"],
+};
+
+const decisionFields = {
+  action: {
+    enum: MODERATION_ACTIONS,
+    description:
+      "dismiss the flags, hide the content, edit it (changes required) or delete it",
+    example: "hide",
+  },
+  note: {
+    ...moderationNote,
+    description: "Reason for the decision, kept with it",
+    example: "Confirmed spam.",
+  },
+};
+
+export const questionDecisionBody = {
+  type: "object",
+  properties: {
+    ...decisionFields,
+    changes: { ...questionBody, description: "New version, for edit" },
+  },
+  required: ["action"],
+};
+
+export const answerDecisionBody = {
+  type: "object",
+  properties: {
+    ...decisionFields,
+    changes: { ...answerBody, description: "New version, for edit" },
+  },
+  required: ["action"],
+};
+
+export const notificationPreferencesBody = {
+  type: "object",
+  properties: Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [
+      type,
+      { type: "boolean", example: type !== "answer_downvoted" },
+    ])
+  ),
+  minProperties: 1,
+  additionalProperties: false,
+  description:
+    "Whether each type of event creates a notification. Types left out keep their setting.",
+};
+
+const commentContent = {
+  ...text(600),
+  description: "Content of the comment",
+  example: "Which Postgres version are you on?",
+};
+
+export const commentBody = {
+  type: "object",
+  properties: {
+    content: commentContent,
+    parentId: {
+      ...id,
+      description:
+        "ID of the top-level comment to reply to. Replies cannot be replied to.",
+      example: 3,
+    },
+  },
+  required: ["content"],
+};
+
+export const commentUpdateBody = {
+  type: "object",
+  properties: { content: commentContent },
+  required: ["content"],
+};
+
+// Votes have always been sent as the strings "1" and "-1"; numbers are accepted too.
+export const upvoteBody = {
+  type: "object",
+  properties: {
+    vote: { enum: [1, "1"], description: "Always 1", example: 1 },
+  },
+  required: ["vote"],
+};
+
+export const downvoteBody = {
+  type: "object",
+  properties: {
+    vote: { enum: [-1, "-1"], description: "Always -1", example: -1 },
+  },
+  required: ["vote"],
+};
+
+export const questionListQuery = {
+  type: "object",
+  properties: {
+    title: { type: "string" },
+    tag: { type: "string", maxLength: 200, pattern: TAG_LIST_PATTERN },
+    match: { enum: ["any", "all"] },
+    limit,
+    after: { type: "string", format: "cursor" },
+    sort: { enum: QUESTION_SORTS },
+  },
+  additionalProperties: false,
+};
+
+export const searchQuery = {
+  type: "object",
+  properties: {
+    q: { ...text(200), pattern: NOT_BLANK },
+    tag,
+    limit,
+    offset: { type: "integer", minimum: 0 },
+  },
+  required: ["q"],
+  additionalProperties: false,
+};
+
+export const tagListQuery = {
+  type: "object",
+  properties: {
+    q: { type: "string", maxLength: 35 },
+    limit,
+    offset: { type: "integer", minimum: 0 },
+  },
+  additionalProperties: false,
+};
+
+export const trashQuery = {
+  type: "object",
+  properties: {
+    type: { enum: ["question", "answer"] },
+    limit,
+    offset: { type: "integer", minimum: 0 },
+  },
+  additionalProperties: false,
+};
+
+export const datasetQuery = {
+  type: "object",
+  properties: {
+    format: { enum: DATASET_FORMATS },
+  },
+  additionalProperties: false,
+};
+
+export const reputationQuery = {
+  type: "object",
+  properties: {
+    limit,
+    offset: { type: "integer", minimum: 0 },
+  },
+  additionalProperties: false,
+};
+
+export const notificationListQuery = {
+  type: "object",
+  properties: {
+    unread: { type: "boolean" },
+    limit,
+    offset: { type: "integer", minimum: 0 },
+  },
+  additionalProperties: false,
+};
+
+export const moderationQueueQuery = {
+  type: "object",
+  properties: {
+    type: { enum: ["question", "answer"] },
+    reason: { enum: FLAG_REASONS },
+    limit,
+    offset: { type: "integer", minimum: 0 },
+  },
+  additionalProperties: false,
+};
+
+export const moderationDecisionQuery = {
+  type: "object",
+  properties: {
+    type: { enum: ["question", "answer"] },
+    action: { enum: MODERATION_ACTIONS },
+    limit,
+    offset: { type: "integer", minimum: 0 },
+  },
+  additionalProperties: false,
+};
+
+export const tagParams = {
+  type: "object",
+  properties: { name: tag },
+  required: ["name"],
+};
+
+export const tagAliasBody = {
+  type: "object",
+  properties: {
+    alias: {
+      ...tag,
+      description:
+        "Other spelling of the tag. An existing tag with this name is merged into the tag.",
+      example: "postgresql",
+    },
+  },
+  required: ["alias"],
+};
+
+export const registerBody = {
+  type: "object",
+  properties: {
+    username: { ...text(50), description: "Unique username", example: "john" },
+    email: {
+      type: "string",
+      format: "email",
+      maxLength: 255,
+      description: "Unique email address",
+      example: "john@example.com",
+    },
+    password: {
+      type: "string",
+      minLength: 8,
+      maxLength: 72,
+      description: "Password with at least 8 characters",
+      example: "supersecret",
+    },
+  },
+  required: ["username", "email", "password"],
+};
+
+export const loginBody = {
+  type: "object",
+  properties: {
+    username: { ...text(50), example: "john" },
+    password: { ...text(72), example: "supersecret" },
+  },
+  required: ["username", "password"],
+};
+
+export const refreshBody = {
+  type: "object",
+  properties: {
+    refreshToken: { ...text(1000), description: "Token from /auth/login" },
+  },
+  required: ["refreshToken"],
+};
+
+export const graphqlBody = {
+  type: "object",
+  properties: {
+    query: {
+      ...text(100000),
+      description: "GraphQL document with the query or mutation to run",
+      example: "{ question(id: 1) { title answers { content } } }",
+    },
+    variables: {
+      type: "object",
+      nullable: true,
+      description: "Values of the variables the document declares",
+    },
+    operationName: {
+      type: "string",
+      nullable: true,
+      description: "Operation to run when the document has several",
+    },
+  },
+  required: ["query"],
+};
+
+// One record of an export file. IDs are those of the exporting database and
+// only link records within the file; users are referred to by username.
+const username = text(50);
+const timestamp = { type: "string", format: "date-time" };
+const datasetVote = (column) => ({
+  type: "object",
+  properties: {
+    type: { const: `${column.replace("_id", "")}_vote` },
+    [column]: id,
+    user: username,
+    vote: { enum: [1, -1] },
+    created_at: timestamp,
+    updated_at: timestamp,
+  },
+  required: ["type", column, "user", "vote"],
+  additionalProperties: false,
+});
+
+export const datasetRecords = {
+  question: {
+    type: "object",
+    properties: {
+      type: { const: "question" },
+      id,
+      title: text(300),
+      description: text(10000),
+      tags: questionBody.properties.tags,
+      author: username,
+      hidden_at: timestamp,
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+    required: ["type", "id", "title", "description", "tags"],
+    additionalProperties: false,
+  },
+  answer: {
+    type: "object",
+    properties: {
+      type: { const: "answer" },
+      id,
+      question_id: id,
+      content: text(300),
+      author: username,
+      accepted: { type: "boolean" },
+      hidden_at: timestamp,
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+    required: ["type", "id", "question_id", "content"],
+    additionalProperties: false,
+  },
+  question_vote: datasetVote("question_id"),
+  answer_vote: datasetVote("answer_id"),
+};
+
+export const validationError = {
+  type: "object",
+  properties: {
+    message: { type: "string", example: "Missing or invalid request data." },
+    code: { type: "string", example: "VALIDATION_FAILED" },
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string", example: "body.title" },
+          rule: { type: "string", example: "type" },
+          message: { type: "string", example: "title must be a string." },
+        },
+      },
+    },
+  },
+};
+
+const commentFields = {
+  id: { type: "integer", example: 3 },
+  question_id: {
+    type: "integer",
+    nullable: true,
+    example: 1,
+    description: "Set when the comment is on a question",
+  },
+  answer_id: {
+    type: "integer",
+    nullable: true,
+    example: null,
+    description: "Set when the comment is on an answer",
+  },
+  parent_id: {
+    type: "integer",
+    nullable: true,
+    example: null,
+    description: "ID of the comment this one replies to",
+  },
+  content: { type: "string", example: "Which Postgres version are you on?" },
+  author_id: { type: "integer", nullable: true, example: 2 },
+  created_at: { type: "string", format: "date-time" },
+  updated_at: { type: "string", format: "date-time" },
+};
+
+export const comment = { type: "object", properties: commentFields };
+
+export const commentThread = {
+  type: "object",
+  properties: {
+    ...commentFields,
+    replies: { type: "array", items: comment },
+  },
+};
+
+const textDiff = {
+  type: "array",
+  description:
+    "Word diff from the previous revision. Joining equal and delete parts gives the old text, equal and insert parts the new one.",
+  items: {
+    type: "object",
+    properties: {
+      op: { type: "string", enum: ["equal", "delete", "insert"] },
+      text: { type: "string", example: "Postgres" },
+    },
+  },
+};
+
+const revisionFields = {
+  id: { type: "integer", example: 7 },
+  revision: {
+    type: "integer",
+    example: 2,
+    description: "1 is the version as first posted",
+  },
+  editor_id: { type: "integer", nullable: true, example: 2 },
+  rolled_back_from: {
+    type: "integer",
+    nullable: true,
+    example: null,
+    description: "Set when this revision restored an earlier one",
+  },
+  created_at: { type: "string", format: "date-time" },
+};
+
+export const questionRevision = {
+  type: "object",
+  properties: {
+    ...revisionFields,
+    question_id: { type: "integer", example: 1 },
+    title: { type: "string" },
+    description: { type: "string" },
+    tags: { type: "array", items: { type: "string" } },
+    changes: {
+      type: "object",
+      nullable: true,
+      description: "Null for the first revision",
+      properties: {
+        title: textDiff,
+        description: textDiff,
+        tags: {
+          type: "object",
+          properties: {
+            added: { type: "array", items: { type: "string" } },
+            removed: { type: "array", items: { type: "string" } },
+          },
+        },
+      },
+    },
+  },
+};
+
+export const answerRevision = {
+  type: "object",
+  properties: {
+    ...revisionFields,
+    answer_id: { type: "integer", example: 4 },
+    content: { type: "string" },
+    changes: {
+      type: "object",
+      nullable: true,
+      description: "Null for the first revision",
+      properties: { content: textDiff },
+    },
+  },
+};
+
+const moderatedFields = {
+  question_id: {
+    type: "integer",
+    nullable: true,
+    example: 1,
+    description: "Set when it is about a question",
+  },
+  answer_id: {
+    type: "integer",
+    nullable: true,
+    example: null,
+    description: "Set when it is about an answer",
+  },
+  created_at: { type: "string", format: "date-time" },
+};
+
+export const flag = {
+  type: "object",
+  properties: {
+    id: { type: "integer", example: 5 },
+    ...moderatedFields,
+    reason: { type: "string", enum: FLAG_REASONS },
+    note: { type: "string", nullable: true },
+    flagger_id: { type: "integer", example: 3 },
+    decision_id: {
+      type: "integer",
+      nullable: true,
+      example: null,
+      description: "Set once a moderator has decided",
+    },
+  },
+};
+
+export const moderationDecision = {
+  type: "object",
+  properties: {
+    id: { type: "integer", example: 2 },
+    ...moderatedFields,
+    action: { type: "string", enum: MODERATION_ACTIONS },
+    note: { type: "string", nullable: true },
+    moderator_id: { type: "integer", nullable: true, example: 4 },
+    flag_count: {
+      type: "integer",
+      example: 3,
+      description: "Number of flags the decision settled",
+    },
+  },
+};
+
+export const notification = {
+  type: "object",
+  properties: {
+    id: { type: "integer", example: 9 },
+    user_id: { type: "integer", example: 2 },
+    type: { type: "string", enum: NOTIFICATION_TYPES },
+    actor_id: {
+      type: "integer",
+      nullable: true,
+      example: 5,
+      description: "User who answered or voted",
+    },
+    question_id: { type: "integer", example: 1 },
+    question_title: { type: "string", example: "How do I tune Postgres?" },
+    answer_id: { type: "integer", nullable: true, example: 4 },
+    read_at: { type: "string", format: "date-time", nullable: true },
+    created_at: { type: "string", format: "date-time" },
+  },
+};
+
+const privilege = {
+  type: "object",
+  properties: {
+    required: { type: "integer", example: 15 },
+    earned: { type: "boolean", example: true },
+  },
+};
+
+export const reputationHistory = {
+  type: "object",
+  properties: {
+    user_id: { type: "integer", example: 2 },
+    username: { type: "string", example: "john" },
+    reputation: {
+      type: "integer",
+      example: 26,
+      description: "Starts at 1 and never drops below it",
+    },
+    privileges: {
+      type: "object",
+      description:
+        "Reputation needed for each privilege and whether the user has it",
+      properties: { upvote: privilege, downvote: privilege },
+    },
+    events: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          event: {
+            type: "string",
+            enum: [
+              "question_upvoted",
+              "question_downvoted",
+              "answer_upvoted",
+              "answer_downvoted",
+              "answer_accepted",
+            ],
+          },
+          points: { type: "integer", example: 10 },
+          question_id: { type: "integer", example: 1 },
+          answer_id: { type: "integer", nullable: true, example: 4 },
+          created_at: { type: "string", format: "date-time" },
+        },
+      },
+    },
+  },
+};
+
+export const errorResponse = {
+  type: "object",
+  properties: {
+    message: { type: "string", example: "Internal server error." },
+    code: {
+      type: "string",
+      description:
+        "Stable error code: INVALID_INPUT, INVALID_JSON, UNAUTHORIZED, FORBIDDEN, NOT_FOUND, ROUTE_NOT_FOUND, CONFLICT, PAYLOAD_TOO_LARGE, SERVICE_UNAVAILABLE or INTERNAL_ERROR",
+      example: "INTERNAL_ERROR",
+    },
+  },
+};
+
+// Referenced from the route docs as #/components/schemas/<name>.
+export const swaggerSchemas = {
+  QuestionInput: questionBody,
+  AnswerInput: answerBody,
+  TagAliasInput: tagAliasBody,
+  CommentInput: commentBody,
+  CommentUpdateInput: commentUpdateBody,
+  FlagInput: flagBody,
+  QuestionDecisionInput: questionDecisionBody,
+  AnswerDecisionInput: answerDecisionBody,
+  UpvoteInput: upvoteBody,
+  DownvoteInput: downvoteBody,
+  RegisterInput: registerBody,
+  LoginInput: loginBody,
+  RefreshInput: refreshBody,
+  GraphQLRequest: graphqlBody,
+  Comment: comment,
+  CommentThread: commentThread,
+  QuestionRevision: questionRevision,
+  AnswerRevision: answerRevision,
+  ReputationHistory: reputationHistory,
+  Notification: notification,
+  NotificationPreferences: notificationPreferencesBody,
+  Flag: flag,
+  ModerationDecision: moderationDecision,
+  ValidationError: validationError,
+  Error: errorResponse,
+};
@@ -0,0 +1,297 @@
+import { createInterface } from "node:readline";
+import connectionPool, { withTransaction } from "./db.mjs";
+import { setQuestionTags } from "./tags.mjs";
+import { recordRevision } from "./revisions.mjs";
+import { questionBody, answerBody } from "./schemas.mjs";
+
+// Imports the Posts.xml and Votes.xml files of a Stack Exchange data dump. The
+// files hold one <row .../> element per line with every field an attribute, so
+// they are read line by line however large they are. Lines are imported in
+// batches, each in a transaction that also records the last line done in
+// stack_exchange_progress; running the import again skips those lines.
+// Users are not imported: posts have no author and votes no voter.
+
+const BATCH_SIZE = 500;
+
+// Posts longer than the routes accept are cut to fit.
+const limits = {
+  title: questionBody.properties.title.maxLength,
+  description: questionBody.properties.description.maxLength,
+  content: answerBody.properties.content.maxLength,
+};
+
+const entities = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (!name.startsWith("#")) {
+      return entities[name] ?? entity;
+    }
+    const code =
+      name[1] === "x" || name[1] === "X"
+        ? parseInt(name.slice(2), 16)
+        : Number(name.slice(1));
+    return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+  });
+
+// Returns the attributes of a <row .../> line, or null for any other line.
+const parseRow = (text) => {
+  if (!/^\s*<row\s/.test(text)) {
+    return null;
+  }
+  return Object.fromEntries(
+    [...text.matchAll(/(\w+)="([^"]*)"/g)].map(([, name, value]) => [
+      name,
+      decodeEntities(value),
+    ])
+  );
+};
+
+// Post bodies are HTML; questions and answers here are plain text.
+const htmlToText = (html) =>
+  decodeEntities(
+    html
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|pre|li|blockquote|h[1-6])>/gi, "\n\n")
+      .replace(/<[^>]*>/g, "")
+  )
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+// Older dumps write tags as <a><b>, newer ones as |a|b|.
+const parseTags = (value = "") => value.match(/[^<>|]+/g) ?? [];
+
+// Dump times are UTC without a zone.
+const toTimestamp = (value) => (value ? `${value}Z` : null);
+
+const clip = (text, maxLength, counts) => {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  counts.truncated += 1;
+  return `${text.slice(0, maxLength - 1)}…`;
+};
+
+// Runs importBatch(client, rows) for every BATCH_SIZE rows of the file after
+// the lines already done, then records the line it got to.
+const importFile = async (input, site, file, importBatch) => {
+  const progress = await connectionPool.query(
+    `select line from stack_exchange_progress where site = $1 and file = $2`,
+    [site, file]
+  );
+  const done = progress.rows[0]?.line ?? 0;
+  let line = 0;
+  let rows = [];
+  const commit = () =>
+    withTransaction(async (client) => {
+      await importBatch(client, rows);
+      await client.query(
+        `
+          insert into stack_exchange_progress (site,file,line) values ($1,$2,$3)
+          on conflict (site,file) do update set line = excluded.line, updated_at = now()`,
+        [site, file, line]
+      );
+      rows = [];
+    });
+  for await (const text of createInterface({ input, crlfDelay: Infinity })) {
+    line += 1;
+    if (line <= done) {
+      continue;
+    }
+    const row = parseRow(text);
+    if (row) {
+      rows.push(row);
+    }
+    if (rows.length === BATCH_SIZE) {
+      await commit();
+    }
+  }
+  await commit();
+  return { resumedAfter: done };
+};
+
+const findPost = async (client, site, postId) => {
+  const results = await client.query(
+    `select * from stack_exchange_posts where site = $1 and post_id = $2`,
+    [site, postId]
+  );
+  return results.rows[0];
+};
+
+const importQuestion = async (client, site, row, counts) => {
+  const title = clip((row.Title ?? "").trim(), limits.title, counts);
+  const description = clip(
+    htmlToText(row.Body ?? ""),
+    limits.description,
+    counts
+  );
+  if (!title || !description) {
+    counts.skipped += 1;
+    return;
+  }
+  const createdAt = toTimestamp(row.CreationDate);
+  const results = await client.query(
+    `
+      insert into questions (title,description,created_at,updated_at)
+      values ($1,$2,coalesce($3,now()),coalesce($4,$3,now()))
+      returning id`,
+    [title, description, createdAt, toTimestamp(row.LastEditDate)]
+  );
+  const questionId = results.rows[0].id;
+  const tags = await setQuestionTags(client, questionId, parseTags(row.Tags));
+  await recordRevision(
+    client,
+    "question",
+    questionId,
+    { title, description, tags },
+    null
+  );
+  await client.query(
+    `
+      insert into stack_exchange_posts (site,post_id,question_id,accepted_post_id)
+      values ($1,$2,$3,$4)`,
+    [site, Number(row.Id), questionId, row.AcceptedAnswerId ?? null]
+  );
+  counts.questions += 1;
+};
+
+const importAnswer = async (client, site, row, counts) => {
+  const question = await findPost(client, site, Number(row.ParentId));
+  const content = clip(htmlToText(row.Body ?? ""), limits.content, counts);
+  if (!question?.question_id || !content) {
+    counts.skipped += 1;
+    return;
+  }
+  const createdAt = toTimestamp(row.CreationDate);
+  const results = await client.query(
+    `
+      insert into answers (question_id,content,created_at,updated_at)
+      values ($1,$2,coalesce($3,now()),coalesce($4,$3,now()))
+      returning id`,
+    [question.question_id, content, createdAt, toTimestamp(row.LastEditDate)]
+  );
+  const answerId = results.rows[0].id;
+  await recordRevision(client, "answer", answerId, { content }, null);
+  await client.query(
+    `insert into stack_exchange_posts (site,post_id,answer_id) values ($1,$2,$3)`,
+    [site, Number(row.Id), answerId]
+  );
+  // The dump does not say when the answer was accepted.
+  if (question.accepted_post_id === Number(row.Id)) {
+    await client.query(
+      `
+        update questions set accepted_answer_id = $2, accepted_at = coalesce($3,now())
+        where id = $1`,
+      [question.question_id, answerId, createdAt]
+    );
+  }
+  counts.answers += 1;
+};
+
+const postImporters = { 1: importQuestion, 2: importAnswer };
+
+// Imports the questions (PostTypeId 1) and answers (PostTypeId 2) of Posts.xml
+// with their tags and accepted answers. Other post types, answers to questions
+// that were not imported and posts without text are skipped.
+export const importPosts = async (input, site) => {
+  const counts = { questions: 0, answers: 0, skipped: 0, truncated: 0 };
+  const { resumedAfter } = await importFile(
+    input,
+    site,
+    "Posts.xml",
+    async (client, rows) => {
+      for (const row of rows) {
+        // A post already imported means the progress was lost; keep the first.
+        if (
+          !Object.hasOwn(postImporters, row.PostTypeId) ||
+          (await findPost(client, site, Number(row.Id)))
+        ) {
+          counts.skipped += 1;
+          continue;
+        }
+        await postImporters[row.PostTypeId](client, site, row, counts);
+      }
+    }
+  );
+  return { ...counts, resumedAfter };
+};
+
+// Up votes are VoteTypeId 2 and down votes 3; the other types (favorites,
+// bounties, close votes...) have no counterpart here.
+const voteValues = { 2: 1, 3: -1 };
+
+const voteTargets = [
+  { table: "questions", votes: "question_votes", column: "question_id" },
+  { table: "answers", votes: "answer_votes", column: "answer_id" },
+];
+
+// Inserts the votes on imported posts and adds them to the stored counts.
+// Returns how many were inserted.
+const insertVotes = async (client, site, votes) => {
+  let inserted = 0;
+  for (const { table, votes: voteTable, column } of voteTargets) {
+    const results = await client.query(
+      `
+        with inserted as (
+          insert into ${voteTable} (${column},vote,created_at,updated_at)
+          select stack_exchange_posts.${column}, dump.vote, dump.created_at, dump.created_at
+          from unnest($2::int[], $3::int[], $4::timestamptz[]) as dump(post_id, vote, created_at)
+          inner join stack_exchange_posts
+          on stack_exchange_posts.site = $1 and stack_exchange_posts.post_id = dump.post_id
+          where stack_exchange_posts.${column} is not null
+          returning ${column} as id, vote
+        ), counts as (
+          select id
+          ,count(*) filter (where vote = 1) as upvotes
+          ,count(*) filter (where vote = -1) as downvotes
+          from inserted group by id
+        ), updated as (
+          update ${table}
+          set upvote_count = upvote_count + counts.upvotes
+          ,downvote_count = downvote_count + counts.downvotes
+          from counts where ${table}.id = counts.id
+        )
+        select coalesce(sum(upvotes + downvotes), 0)::int as inserted from counts`,
+      [
+        site,
+        votes.map((vote) => vote.postId),
+        votes.map((vote) => vote.vote),
+        votes.map((vote) => vote.createdAt),
+      ]
+    );
+    inserted += results.rows[0].inserted;
+  }
+  return inserted;
+};
+
+// Imports the up and down votes of Votes.xml on posts imported by importPosts.
+// Dumps do not say who voted, so the votes have no user.
+export const importVotes = async (input, site) => {
+  const counts = { votes: 0, skipped: 0 };
+  const { resumedAfter } = await importFile(
+    input,
+    site,
+    "Votes.xml",
+    async (client, rows) => {
+      const votes = rows
+        .filter((row) => Object.hasOwn(voteValues, row.VoteTypeId))
+        .map((row) => ({
+          postId: Number(row.PostId),
+          vote: voteValues[row.VoteTypeId],
+          createdAt: toTimestamp(row.CreationDate) ?? new Date().toISOString(),
+        }));
+      const inserted =
+        votes.length > 0 ? await insertVotes(client, site, votes) : 0;
+      counts.votes += inserted;
+      counts.skipped += rows.length - inserted;
+    }
+  );
+  return { ...counts, resumedAfter };
+};
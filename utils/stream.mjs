@@ -0,0 +1,181 @@
+import connectionPool from "./db.mjs";
+
+const CHANNEL = "question_events";
+
+// Open streams by question id. Each process keeps one connection that LISTENs
+// on the channel and hands every event to the streams of its question.
+const streams = new Map();
+let listener = null;
+// Notifications are handled one at a time so events reach the streams in order.
+let dispatching = Promise.resolve();
+
+// Stores an event for a question and announces it with NOTIFY. Pass the client
+// of the transaction that made the change: NOTIFY is only delivered on commit.
+export const publishEvent = (client, questionId, type, data) =>
+  client.query(
+    `
+      with event as (
+        insert into question_events (question_id,type,data,created_at)
+        values ($1,$2,$3,$4)
+        returning id, question_id
+      )
+      select pg_notify($5, json_build_object('id', event.id, 'question_id', event.question_id)::text)
+      from event`,
+    [questionId, type, JSON.stringify(data), new Date(), CHANNEL]
+  );
+
+// Publishes the vote counts from a vote summary row; answerId is null for
+// votes on the question itself.
+export const publishVoteCounts = (client, questionId, answerId, summary) =>
+  publishEvent(client, questionId, "votes_changed", {
+    question_id: Number(questionId),
+    answer_id: answerId === null ? null : Number(answerId),
+    upvote: Number(summary.upvote),
+    downvote: Number(summary.downvote),
+  });
+
+// Events are read with the current state of what they are about, and left out
+// while it is hidden by flags or moderators: its question, and the answer that
+// answer_created and answer_updated carry or votes_changed names.
+const shownEvents = `
+  select question_events.* from question_events
+  inner join questions on questions.id = question_events.question_id
+  left join answers on answers.id = case
+    when question_events.type in ('answer_created', 'answer_updated')
+    then (question_events.data->>'id')::int
+    else (question_events.data->>'answer_id')::int
+  end
+  where questions.hidden_at is null and answers.hidden_at is null`;
+
+const dispatch = async (payload) => {
+  const { id, question_id } = JSON.parse(payload);
+  const listeners = streams.get(question_id);
+  if (!listeners) {
+    return;
+  }
+  const results = await connectionPool.query(
+    `${shownEvents} and question_events.id = $1`,
+    [id]
+  );
+  if (results.rowCount === 0) {
+    return;
+  }
+  for (const stream of listeners) {
+    stream.deliver(results.rows[0]);
+  }
+};
+
+// Ends every open stream with its close().
+const endStreams = () => {
+  for (const listeners of streams.values()) {
+    for (const stream of listeners) {
+      stream.close();
+    }
+  }
+  streams.clear();
+};
+
+// Starts the LISTEN connection on first use. If it breaks, events would be
+// missed until a new one listens, so the open streams are ended: clients
+// reconnect with Last-Event-ID, which opens a new connection, and catch up.
+export const listen = () => {
+  if (!listener) {
+    listener = (async () => {
+      const client = await connectionPool.connect();
+      client.on("notification", (message) => {
+        dispatching = dispatching
+          .then(() => dispatch(message.payload))
+          .catch((error) => {
+            console.error("Sending a question event failed:", error);
+          });
+      });
+      client.on("error", (error) => {
+        console.error("Listening for question events failed:", error);
+        listener = null;
+        client.release(true);
+        endStreams();
+      });
+      await client.query(`listen ${CHANNEL}`);
+      return client;
+    })();
+    listener.catch(() => {
+      listener = null;
+    });
+  }
+  return listener;
+};
+
+// Sends every event for the question to send(event), starting after
+// lastEventId when it is given. Events that arrive while the missed ones are
+// read are held back so they go out in order. Returns a function that stops
+// the stream; close() is called instead when the server shuts down.
+export const openStream = async (questionId, lastEventId, send, close) => {
+  const key = Number(questionId);
+  let lastSentId = lastEventId ?? 0;
+  let held = lastEventId === undefined ? null : [];
+  const deliver = (event) => {
+    if (held) {
+      held.push(event);
+    } else if (event.id > lastSentId) {
+      lastSentId = event.id;
+      send(event);
+    }
+  };
+  const stream = { deliver, close };
+  if (!streams.has(key)) {
+    streams.set(key, new Set());
+  }
+  streams.get(key).add(stream);
+  const stop = () => {
+    const listeners = streams.get(key);
+    listeners?.delete(stream);
+    if (listeners?.size === 0) {
+      streams.delete(key);
+    }
+  };
+  if (held) {
+    try {
+      const missed = await connectionPool.query(
+        `
+          ${shownEvents}
+          and question_events.question_id = $1 and question_events.id > $2
+          order by question_events.id`,
+        [key, lastEventId]
+      );
+      const pending = [...missed.rows, ...held];
+      held = null;
+      pending.forEach(deliver);
+    } catch (error) {
+      stop();
+      throw error;
+    }
+  }
+  return stop;
+};
+
+// Formats an event for a text/event-stream response.
+export const toServerSentEvent = (event) =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+    event.data
+  )}\n\n`;
+
+// Ends every open stream and the LISTEN connection, so the server can close.
+export const closeStreams = async () => {
+  endStreams();
+  if (listener) {
+    const client = await listener.catch(() => null);
+    listener = null;
+    // A connection that is still listening must not go back to the pool.
+    client?.release(true);
+  }
+};
+
+// Deletes events older than retentionHours; reconnecting clients can only
+// catch up on what is left.
+export const pruneQuestionEvents = async (client, retentionHours) => {
+  const results = await client.query(
+    `delete from question_events where created_at < $1`,
+    [new Date(Date.now() - retentionHours * 60 * 60 * 1000)]
+  );
+  return results.rowCount;
+};
@@ -0,0 +1,105 @@
+import connectionPool from "./db.mjs";
+import { HttpError } from "./errors.mjs";
+
+// Tag names are stored lower case with words joined by hyphens, so "Node JS"
+// and "node-js" are the same tag.
+export const normalizeTag = (name) =>
+  name.trim().toLowerCase().replace(/\s+/g, "-");
+
+// Selects the sorted tag names of each row of questions, as a text array.
+export const questionTagNames = `(
+  select coalesce(array_agg(tags.name order by tags.name), '{}')
+  from question_tags inner join tags
+  on tags.id = question_tags.tag_id
+  where question_tags.question_id = questions.id
+) as tags`;
+
+// Looks up tags by name or alias. Returns one { input, id, name } row per given
+// name that matched, where name is the canonical tag name.
+export const findTags = async (names, client = connectionPool) => {
+  const results = await client.query(
+    `
+      select input.name as input, tags.id, tags.name
+      from unnest($1::text[]) as input(name)
+      left join tag_aliases on tag_aliases.alias = input.name
+      inner join tags on tags.id = coalesce(tag_aliases.tag_id,
+        (select id from tags where tags.name = input.name))`,
+    [[...new Set(names.map(normalizeTag))]]
+  );
+  return results.rows;
+};
+
+// Replaces the tags of a question with the given names, creating tags that do
+// not exist yet and following aliases. Returns the canonical names, sorted.
+export const setQuestionTags = async (client, questionId, names) => {
+  const normalized = [...new Set(names.map(normalizeTag))];
+  await client.query(
+    `
+      insert into tags (name)
+      select input.name from unnest($1::text[]) as input(name)
+      where not exists (select 1 from tag_aliases where alias = input.name)
+      on conflict (name) do nothing`,
+    [normalized]
+  );
+  const tags = await findTags(normalized, client);
+  const tagIds = [...new Set(tags.map((tag) => tag.id))];
+  await client.query(`delete from question_tags where question_id = $1`, [
+    questionId,
+  ]);
+  await client.query(
+    `
+      insert into question_tags (question_id, tag_id)
+      select $1, unnest($2::int[])`,
+    [questionId, tagIds]
+  );
+  return [...new Set(tags.map((tag) => tag.name))].sort();
+};
+
+// Makes alias another name for the tag. When a tag with the alias as its name
+// already exists, its questions and aliases move to the tag and it is deleted.
+export const addTagAlias = async (client, tagName, alias) => {
+  const [tag] = await findTags([tagName], client);
+  if (!tag) {
+    throw new HttpError(404, "NOT_FOUND", "Tag not found.");
+  }
+  const aliasName = normalizeTag(alias);
+  if (aliasName === tag.name) {
+    throw new HttpError(
+      400,
+      "INVALID_INPUT",
+      "A tag cannot be an alias of itself."
+    );
+  }
+  const [existing] = await findTags([aliasName], client);
+  if (existing?.id === tag.id) {
+    return { tag: tag.name, alias: aliasName, mergedQuestions: 0 };
+  }
+  if (existing && existing.name !== aliasName) {
+    throw new HttpError(
+      409,
+      "CONFLICT",
+      `${aliasName} is already an alias of ${existing.name}.`
+    );
+  }
+  let mergedQuestions = 0;
+  if (existing) {
+    const moved = await client.query(
+      `
+        insert into question_tags (question_id, tag_id)
+        select question_id, $2 from question_tags where tag_id = $1
+        on conflict do nothing`,
+      [existing.id, tag.id]
+    );
+    mergedQuestions = moved.rowCount;
+    await client.query(`update tag_aliases set tag_id = $2 where tag_id = $1`, [
+      existing.id,
+      tag.id,
+    ]);
+    await client.query(`delete from tags where id = $1`, [existing.id]);
+  }
+  await client.query(`insert into tag_aliases (alias, tag_id) values ($1,$2)`, [
+    aliasName,
+    tag.id,
+  ]);
+  return { tag: tag.name, alias: aliasName, mergedQuestions };
+};
@@ -0,0 +1,21 @@
+import jwt from "jsonwebtoken";
+import config from "./config.mjs";
+
+// Only the id and username go into the token; anything else is read from the database.
+const toPayload = (user) => ({ id: user.id, username: user.username });
+
+export const signAccessToken = (user) =>
+  jwt.sign(toPayload(user), config.auth.accessTokenSecret, {
+    expiresIn: config.auth.accessTokenExpiresIn,
+  });
+
+export const signRefreshToken = (user) =>
+  jwt.sign(toPayload(user), config.auth.refreshTokenSecret, {
+    expiresIn: config.auth.refreshTokenExpiresIn,
+  });
+
+export const verifyAccessToken = (token) =>
+  jwt.verify(token, config.auth.accessTokenSecret);
+
+export const verifyRefreshToken = (token) =>
+  jwt.verify(token, config.auth.refreshTokenSecret);
@@ -0,0 +1,67 @@
+import connectionPool from "./db.mjs";
+import config from "./config.mjs";
+import { pruneQuestionEvents } from "./stream.mjs";
+import { pruneRateLimits } from "./rateLimit.mjs";
+
+const day = 24 * 60 * 60 * 1000;
+
+// Find a question or answer by id ($1) only while it is not in the trash. An
+// answer is hidden too when its question is in the trash. Content hidden by
+// flags is still found, with what assertCanSee needs to decide who sees it.
+export const visibleQuestion = `
+  select questions.id, questions.author_id, questions.hidden_at from questions
+  where questions.id = $1 and questions.deleted_at is null`;
+
+export const visibleAnswer = `
+  select answers.id, answers.author_id, answers.question_id, answers.hidden_at
+  ,questions.author_id as question_author_id, questions.hidden_at as question_hidden_at
+  from answers inner join questions
+  on questions.id = answers.question_id
+  where answers.id = $1
+  and answers.deleted_at is null and questions.deleted_at is null`;
+
+// Permanently deletes questions and answers that have been in the trash longer
+// than retentionDays. Comments, votes and revisions go with them.
+export const purgeTrash = async (
+  client = connectionPool,
+  retentionDays = config.trash.retentionDays
+) => {
+  const cutoff = new Date(Date.now() - retentionDays * day);
+  const answers = await client.query(
+    `delete from answers where deleted_at < $1`,
+    [cutoff]
+  );
+  const questions = await client.query(
+    `delete from questions where deleted_at < $1`,
+    [cutoff]
+  );
+  return { questions: questions.rowCount, answers: answers.rowCount };
+};
+
+// Runs purgeTrash, and prunes old question events and rate limit windows, every
+// config.trash.purgeIntervalMs. Returns a function that stops the job, or null
+// when the interval is 0.
+export const startPurgeJob = () => {
+  if (config.trash.purgeIntervalMs === 0) {
+    return null;
+  }
+  const timer = setInterval(async () => {
+    try {
+      const purged = await purgeTrash();
+      if (purged.questions > 0 || purged.answers > 0) {
+        console.log(
+          `Purged ${purged.questions} questions and ${purged.answers} answers from the trash.`
+        );
+      }
+      await pruneQuestionEvents(
+        connectionPool,
+        config.stream.eventRetentionHours
+      );
+      await pruneRateLimits(connectionPool);
+    } catch (error) {
+      console.error("Purging the trash failed:", error);
+    }
+  }, config.trash.purgeIntervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
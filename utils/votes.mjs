@@ -0,0 +1,123 @@
+import { withTransaction } from "./db.mjs";
+import { HttpError } from "./errors.mjs";
+import { visibleQuestion, visibleAnswer } from "./trash.mjs";
+import { assertCanSee } from "../Middlewares/authorize.mjs";
+
+// Questions and answers are voted on the same way; only the tables differ.
+const targets = {
+  question: {
+    visible: visibleQuestion,
+    table: "questions",
+    votes: "question_votes",
+    column: "question_id",
+    notFound: "Question not found.",
+  },
+  answer: {
+    visible: visibleAnswer,
+    table: "answers",
+    votes: "answer_votes",
+    column: "answer_id",
+    notFound: "Answer not found.",
+  },
+};
+
+// Locks the question or answer for the rest of the transaction, so votes on it
+// are counted one after the other and the stored counts stay exact. Hidden
+// content can only be voted on by those who can see it.
+const lockTarget = async (client, target, targetId, userId) => {
+  const { visible, table, notFound } = targets[target];
+  const results = await client.query(`${visible} for update of ${table}`, [
+    targetId,
+  ]);
+  if (results.rowCount === 0) {
+    throw new HttpError(404, "NOT_FOUND", notFound);
+  }
+  await assertCanSee(userId, results.rows[0], notFound);
+};
+
+// Moves the stored counts from the previous vote to the new one; either may be
+// null for no vote.
+export const updateCounts = (client, target, targetId, previousVote, vote) => {
+  const { table } = targets[target];
+  const change = (value) => (vote === value) - (previousVote === value);
+  return client.query(
+    `
+      update ${table}
+      set upvote_count = upvote_count + $2, downvote_count = downvote_count + $3
+      where id = $1`,
+    [targetId, change(1), change(-1)]
+  );
+};
+
+// Records the user's vote (1 or -1), replacing any earlier one. Returns the vote
+// and the one it replaced (null if none). onChange(client, voted), if given,
+// runs in the same transaction when the vote is new or different.
+export const castVote = (target, targetId, userId, vote, onChange) =>
+  withTransaction(async (client) => {
+    const { votes, column } = targets[target];
+    await lockTarget(client, target, targetId, userId);
+    const previous = await client.query(
+      `select vote from ${votes} where ${column} = $1 and user_id = $2`,
+      [targetId, userId]
+    );
+    const previousVote = previous.rows[0]?.vote ?? null;
+    const now = new Date();
+    await client.query(
+      `
+        insert into ${votes} (${column},user_id,vote,created_at,updated_at)
+        values ($1,$2,$3,$4,$5)
+        on conflict (${column},user_id)
+        do update set vote = excluded.vote, updated_at = excluded.updated_at`,
+      [targetId, userId, vote, now, now]
+    );
+    await updateCounts(client, target, targetId, previousVote, Number(vote));
+    const voted = { vote: Number(vote), previousVote };
+    if (onChange && voted.vote !== previousVote) {
+      await onChange(client, voted);
+    }
+    return voted;
+  });
+
+// Removes the user's vote. Returns the vote that was removed.
+export const retractVote = (target, targetId, userId) =>
+  withTransaction(async (client) => {
+    const { votes, column } = targets[target];
+    await lockTarget(client, target, targetId, userId);
+    const results = await client.query(
+      `
+        delete from ${votes} where ${column} = $1 and user_id = $2
+        returning vote`,
+      [targetId, userId]
+    );
+    if (results.rowCount === 0) {
+      throw new HttpError(404, "NOT_FOUND", "Vote not found.");
+    }
+    const previousVote = results.rows[0].vote;
+    await updateCounts(client, target, targetId, previousVote, null);
+    return previousVote;
+  });
+
+// Ranking expressions over the stored counts of a questions or answers row.
+const score = (table) => `(${table}.upvote_count - ${table}.downvote_count)`;
+
+// Reddit-style hot score: the order of magnitude of the score plus the creation
+// time, where every HOT_DECAY_SECONDS newer counts as much as ten times the score.
+// It does not change as time passes, so it can be paged through with a cursor.
+const HOT_DECAY_SECONDS = 45000;
+
+export const hotScore = (table) => `
+  (sign(${score(table)}) * log(greatest(abs(${score(table)}), 1))
+  + extract(epoch from ${table}.created_at) / ${HOT_DECAY_SECONDS})::float8`;
+
+// Lower bound of the Wilson score interval for the share of upvotes at 95%
+// confidence: many votes that are mostly up beat a few that are all up.
+const Z = 1.96;
+
+export const wilsonScore = (table) => {
+  const up = `${table}.upvote_count::float8`;
+  const total = `nullif(${table}.upvote_count + ${table}.downvote_count, 0)`;
+  return `
+  coalesce((${up} + ${(Z * Z) / 2}
+    - ${Z} * sqrt(${up} * (${total} - ${up}) / ${total} + ${(Z * Z) / 4}))
+    / (${total} + ${Z * Z}), 0)::float8`;
+};